@@ -1,51 +1,78 @@
 // Import necessary libraries
 const { WebClient } = require('@slack/web-api');
-const { Octokit } = require('@octokit/rest');
 require('dotenv').config();
+const { extractReleaseChanges } = require('../lib/release-diff');
+const { getChannelTemplate, renderReleaseMessage } = require('../lib/templates');
+const { findReleaseAnnouncement, getAnnouncementThread } = require('../lib/slack-threads');
+const { getAnnouncementFormat, renderAnnouncementMessages, postAnnouncementMessages } = require('../lib/blocks');
+const { getThreadingOptions } = require('../lib/summary');
+const { parsePostAt, scheduleAnnouncementMessages } = require('../lib/scheduling');
+const { getExclusionRules } = require('../lib/exclusions');
+const { getAnnouncementTargets, getTargetTemplate, resolveTargetChannels } = require('../lib/targets');
 
 // --- Initialize clients ---
 const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
-const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
 
-// --- Helper function to determine previous release ---
-function getPreviousRelease(releaseNumber) {
-  // Handle different release numbering schemes
-  
-  // Check if it's a semantic version (e.g., "2.1.0")
-  if (releaseNumber.includes('.')) {
-    const parts = releaseNumber.split('.');
-    if (parts.length > 1) {
-      const minorVersion = parseInt(parts[1], 10);
-      if (minorVersion > 0) {
-        return `${parts[0]}.${minorVersion - 1}`;
-      }
-    }
-    const majorVersion = parseInt(parts[0], 10);
-    return (majorVersion - 1).toString();
-  } else {
-    // Handle simple numeric releases (e.g., "67" -> "66")
-    const currentNumber = parseInt(releaseNumber, 10);
-    if (isNaN(currentNumber)) {
-      throw new Error(`Invalid release number format: ${releaseNumber}`);
-    }
-    if (currentNumber <= 1) {
-      throw new Error(`Cannot determine previous release for release number: ${releaseNumber}`);
-    }
-    return (currentNumber - 1).toString();
+// --- Helper function to find the announcement a hotfix replies to in a channel ---
+async function findHotfixThread(release, channelId, { threadTs = null, replyInThread = false } = {}) {
+  if (!release.hotfix || !(threadTs || replyInThread)) return null;
+  try {
+    return threadTs
+      ? await getAnnouncementThread(slack, channelId, threadTs)
+      : await findReleaseAnnouncement(slack, channelId, [release.base, release.hotfix.parentRelease]);
+  } catch (threadError) {
+    console.warn('Could not look up the original release announcement:', threadError.message);
+    return null;
   }
 }
 
-// --- Helper function to ensure JIRA URL has proper protocol ---
-function formatJiraServerUrl(jiraServer) {
-  if (!jiraServer) return '';
-  
-  // If it already has a protocol, use as-is
-  if (jiraServer.startsWith('http://') || jiraServer.startsWith('https://')) {
-    return jiraServer;
+// --- Helper function to render and send (or schedule) the announcement in one channel ---
+async function announceInChannel(release, releaseNumber, channelId, changes, options) {
+  const { template, format, author, threaded, highlights, thread, postAt } = options;
+
+  // Generate announcement message (from the channel's template, if it has one)
+  const renderOptions = {
+    template,
+    format,
+    author,
+    // Slack can't schedule thread replies, so scheduled announcements carry the full list
+    threaded: postAt ? false : threaded,
+    highlights,
+    branch: release.head,
+    refType: release.source.type,
+    repositories: release.repositories,
+    sections: release.sections,
+    hotfix: release.hotfix && { ...release.hotfix, permalink: thread?.permalink },
+    previousRelease: release.previousRelease,
+    base: release.base,
+    compareUrl: release.compareUrl,
+    stats: release.stats
+  };
+  const message = renderReleaseMessage(releaseNumber, changes, renderOptions);
+  const announcement = renderAnnouncementMessages(releaseNumber, changes, message, renderOptions);
+
+  // Send to Slack (as a broadcast thread reply for hotfixes with a known announcement)
+  // Threaded announcements post a summary, with the full change list in its thread
+  const extra = thread ? { thread_ts: thread.ts, reply_broadcast: true } : {};
+  let result = null;
+  let replies = [];
+  let scheduled = null;
+  if (postAt) {
+    const record = await scheduleAnnouncementMessages(slack, channelId, announcement, postAt, {
+      releaseNumber,
+      hotfix: Boolean(release.hotfix)
+    }, extra);
+    scheduled = {
+      id: record.id,
+      postAt: record.postAt,
+      postAtIso: new Date(record.postAt * 1000).toISOString(),
+      scheduledMessageIds: record.scheduledMessageIds
+    };
+  } else {
+    ({ result, replies } = await postAnnouncementMessages(slack, channelId, announcement, extra));
   }
-  
-  // Otherwise, add https://
-  return `https://${jiraServer}`;
+
+  return { message, format, announcement, thread, result, replies, scheduled };
 }
 
 // --- Main function to generate and send announcement ---
@@ -54,148 +81,172 @@ async function generateAndSendAnnouncement(releaseNumber, channelId, options = {
     autoSend = false,
     filterEmptyCommits = true,
     includeCommitDetails = false,
-    customMessage = null
+    template = null,
+    format,
+    author = null,
+    threaded,
+    highlights,
+    base = null,
+    head = null,
+    refTemplate,
+    refType,
+    repositories,
+    resolvePullRequests,
+    groupChanges,
+    titleStrategy,
+    categorize,
+    categories,
+    excludeRules,
+    breakingLabels,
+    shippedChanges,
+    paths,
+    hotfix = false,
+    threadTs = null,
+    replyInThread = false,
+    // Unix timestamp to schedule the announcement for (see parsePostAt), instead of posting now
+    postAt = null,
+    // Resolved fan-out targets (lib/targets.js), each with its compiled announcementTemplate;
+    // without them the announcement goes to channelId only
+    targets = null
   } = options;
 
   try {
-    // --- 1. Get GitHub comparison data ---
-    const previousRelease = getPreviousRelease(releaseNumber);
-    const { data: comparison } = await octokit.repos.compareCommits({
-      owner: process.env.GITHUB_OWNER,
-      repo: process.env.GITHUB_REPO,
-      base: `releases/${previousRelease}`,
-      head: `releases/${releaseNumber}`,
+    const announcementFormat = getAnnouncementFormat({ format });
+    getThreadingOptions({ threaded, highlights });
+
+    // --- 1. Compare releases and extract JIRA/GitHub references ---
+    const release = await extractReleaseChanges(releaseNumber, {
+      filterEmptyCommits,
+      base,
+      head,
+      refTemplate,
+      refType,
+      repositories,
+      resolvePullRequests,
+      groupChanges,
+      titleStrategy,
+      categorize,
+      categories,
+      excludeRules,
+      breakingLabels,
+      shippedChanges,
+      paths,
+      hotfix
     });
-    
-    // --- 2. Process commits and extract JIRA/GitHub references ---
-    const releaseChanges = [];
-    const processedCommits = new Set();
-    const jiraRegex = new RegExp(`\\b${process.env.JIRA_PROJECT}-\\d+\\b`, 'gi');
-    let totalJiraReferences = 0;
-    let commitsWithJira = 0;
-
-    for (const commit of comparison.commits) {
-      const commitSha = commit.sha.substring(0, 7);
-      const commitTitle = commit.commit.message.split('\n')[0];
-      const commitMessage = commit.commit.message;
-      
-      // Skip if we've already processed this commit
-      if (processedCommits.has(commitSha)) {
-        continue;
-      }
-      processedCommits.add(commitSha);
-      
-      // Check both title and full message for JIRA references
-      const allText = `${commitTitle} ${commitMessage}`;
-      const jiraMatches = allText.match(jiraRegex);
-      const githubRegex = /#(\d+)/g;
-      const githubMatches = allText.match(githubRegex);
-      
-      if (jiraMatches && jiraMatches.length > 0) {
-        totalJiraReferences += jiraMatches.length;
-        commitsWithJira++;
-        
-        // Found JIRA references - link to first one found
-        const firstJiraTicket = jiraMatches[0].toUpperCase();
-        // Remove GitHub reference from title for clean JIRA link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        
-        const changeEntry = {
-          type: 'jira',
-          key: firstJiraTicket,
-          summary: cleanTitle,
-          url: `${formatJiraServerUrl(process.env.JIRA_SERVER)}/browse/${firstJiraTicket}`,
-          commitSha: commitSha,
-          commitAuthor: commit.commit.author.name,
-          allJiraRefs: jiraMatches.map(m => m.toUpperCase()),
-        };
-        
-        // Add GitHub info if GitHub reference found
-        if (githubMatches && githubMatches.length > 0) {
-          const firstGithubRef = githubMatches[0].replace('#', '');
-          const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-          changeEntry.githubKey = firstGithubRef;
-          changeEntry.githubUrl = githubUrl;
-          changeEntry.allGithubRefs = githubMatches;
+    const { previousRelease, changes: releaseChanges } = release;
+    const announceOptions = { author, highlights, postAt };
+
+    // --- 2. Post to the channel, or to each target with its own template and filter ---
+    // For hotfixes, the announcement of the release being patched is looked up per channel
+    let delivery = null;
+    let targetResults = null;
+    if (!targets) {
+      const thread = await findHotfixThread(release, channelId, { threadTs, replyInThread });
+      delivery = await announceInChannel(release, releaseNumber, channelId, releaseChanges, {
+        ...announceOptions, template, format: announcementFormat, threaded, thread
+      });
+    } else {
+      targetResults = [];
+      for (const target of targets) {
+        const entry = { channel: target.channel, channelName: target.channelName };
+        if (target.error) {
+          targetResults.push({ ...entry, success: false, error: target.error });
+          continue;
         }
-        
-        releaseChanges.push(changeEntry);
-      } else if (githubMatches && githubMatches.length > 0) {
-        // No JIRA but found GitHub reference
-        const firstGithubRef = githubMatches[0].replace('#', '');
-        const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-        // Remove the GitHub reference from the title since it's already in the link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        releaseChanges.push({
-          type: 'github',
-          key: firstGithubRef,
-          summary: cleanTitle,
-          url: githubUrl,
-          commitSha: commitSha,
-          commitAuthor: commit.commit.author.name,
-          allGithubRefs: githubMatches,
-        });
-      } else if (!filterEmptyCommits) {
-        // Include commits without references if filtering is disabled
-        releaseChanges.push({
-          type: 'plain',
-          key: commitSha,
-          summary: commitTitle,
-          commitSha: commitSha,
-          commitAuthor: commit.commit.author.name,
-        });
-      }
-    }
 
-    // --- 3. Generate announcement message ---
-    let message;
-    if (customMessage) {
-      message = customMessage
-        .replace('{{releaseNumber}}', releaseNumber)
-        .replace('{{changeCount}}', releaseChanges.length);
-    } else if (releaseChanges.length > 0) {
-      const changesText = releaseChanges
-        .map(change => {
-          if (change.type === 'jira') {
-            let changeText = `• <${change.url}|${change.summary}>`;
-            // Append GitHub link if present
-            if (change.githubUrl) {
-              changeText += ` <${change.githubUrl}|(#${change.githubKey})>`;
-            }
-            return changeText;
-          } else if (change.type === 'github') {
-            return `• ${change.summary} <${change.url}|(#${change.key})>`;
-          } else {
-            return `• ${change.summary}`;
+        try {
+          const changes = target.applyFilter(releaseChanges);
+          if (changes.length === 0 && releaseChanges.length > 0) {
+            targetResults.push({ ...entry, success: true, skipped: true, changeCount: 0 });
+            continue;
           }
-        })
-        .join('\n');
-      
-      message = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:*\n${changesText}`;
-    } else {
-      message = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:* No commits found in this release.`;
-    }
 
-    // --- 4. Send to Slack ---
-    const result = await slack.chat.postMessage({
-      channel: channelId,
-      text: message,
-      mrkdwn: true
-    });
+          // threadTs belongs to the request's own channel; other channels look their thread up
+          const thread = await findHotfixThread(release, target.channel, {
+            threadTs: target.channel === channelId ? threadTs : null,
+            replyInThread: replyInThread || Boolean(threadTs)
+          });
+          const targetDelivery = await announceInChannel(release, releaseNumber, target.channel, changes, {
+            ...announceOptions,
+            template: target.announcementTemplate,
+            format: target.format || announcementFormat,
+            threaded: target.threaded !== undefined ? target.threaded : threaded,
+            thread
+          });
+          delivery = delivery || targetDelivery;
+          targetResults.push({
+            ...entry,
+            success: true,
+            changeCount: changes.length,
+            format: targetDelivery.format,
+            messageCount: targetDelivery.announcement.messages.length,
+            threaded: targetDelivery.announcement.replies.length > 0,
+            threadReplies: targetDelivery.replies.length,
+            scheduled: targetDelivery.scheduled,
+            slackResponse: targetDelivery.result
+          });
+        } catch (targetError) {
+          console.error(`Failed to announce in ${target.label}:`, targetError);
+          targetResults.push({ ...entry, success: false, error: targetError.data?.error || targetError.message });
+        }
+      }
+
+      if (!targetResults.some(result => result.success)) {
+        return {
+          success: false,
+          error: 'The announcement could not be posted to any of the target channels',
+          details: null,
+          targets: targetResults
+        };
+      }
+    }
 
     return {
       success: true,
       data: {
         releaseNumber,
         previousRelease,
-        message,
-        slackResponse: result,
+        base: release.base,
+        head: release.head,
+        compareUrl: release.compareUrl,
+        coverage: release.coverage,
+        repositories: release.repositories,
+        pullRequestLookup: release.pullRequestLookup,
+        exclusions: release.exclusions,
+        pathScope: release.pathScope,
+        reverts: release.reverts,
+        shipped: release.shipped,
+        hotfix: release.hotfix && { ...release.hotfix, thread: delivery?.thread || null },
+        // Listed separately so CI can gate on breaking changes
+        breakingChanges: release.breakingChanges.map(change => ({
+          key: change.key,
+          summary: change.summary,
+          url: change.url,
+          repository: change.repository?.name,
+          pullRequest: change.githubKey ? Number(change.githubKey) : null,
+          commits: (change.commits || [change.commit]).map(commit => commit.sha),
+          reasons: change.breaking.reasons,
+          migration: change.breaking.migration
+        })),
+        jiraEnrichment: release.jiraEnrichment,
+        // With targets, these describe the first channel posted to; targets has each one
+        message: delivery?.message || null,
+        format: delivery?.format || announcementFormat,
+        messageCount: delivery ? delivery.announcement.messages.length : 0,
+        threaded: delivery ? delivery.announcement.replies.length > 0 : false,
+        threadReplies: delivery ? delivery.replies.length : 0,
+        scheduled: delivery?.scheduled || null,
+        slackResponse: delivery?.result || null,
+        targets: targetResults,
         commits: {
-          total: comparison.commits.length,
-          processed: releaseChanges.length,
-          withJira: commitsWithJira,
-          withGithub: releaseChanges.filter(c => c.type === 'github').length,
-          totalJiraReferences
+          total: release.stats.total,
+          processed: release.stats.processed,
+          withJira: release.stats.withJira,
+          withGithub: release.stats.withGithub,
+          totalJiraReferences: release.stats.totalJiraReferences,
+          excluded: release.stats.excluded,
+          outOfScope: release.stats.outOfScope,
+          changes: release.stats.changes
         }
       }
     };
@@ -228,12 +279,18 @@ function validateApiKey(req) {
 function validateRequiredEnvVars() {
   const required = [
     'SLACK_BOT_TOKEN',
-    'GITHUB_TOKEN', 
-    'GITHUB_OWNER',
-    'GITHUB_REPO',
-    'JIRA_SERVER',
-    'JIRA_PROJECT'
+    'GITHUB_TOKEN'
   ];
+
+  // JIRA_PROJECTS can give each project its own server
+  if (!process.env.JIRA_PROJECTS) {
+    required.push('JIRA_SERVER', 'JIRA_PROJECT');
+  }
+
+  // Multi-repository releases replace the single GITHUB_OWNER/GITHUB_REPO pair
+  if (!process.env.RELEASE_REPOS) {
+    required.push('GITHUB_OWNER', 'GITHUB_REPO');
+  }
   
   const missing = required.filter(key => !process.env[key]);
   
@@ -286,7 +343,32 @@ module.exports = async (req, res) => {
       autoSend = true,
       filterEmptyCommits = true,
       includeCommitDetails = false,
-      customMessage = null 
+      customMessage = null,
+      template = null,
+      format,
+      author = null,
+      threaded,
+      highlights,
+      base = null,
+      head = null,
+      refTemplate,
+      refType,
+      repositories,
+      resolvePullRequests,
+      groupChanges,
+      titleStrategy,
+      categorize,
+      categories,
+      excludeRules,
+      breakingLabels,
+      shippedChanges,
+      paths,
+      hotfix = false,
+      threadTs = null,
+      replyInThread = false,
+      postAt = null,
+      timezone = 'UTC',
+      targets = null
     } = req.body;
 
     // Validate required parameters
@@ -297,16 +379,42 @@ module.exports = async (req, res) => {
       });
     }
 
-    if (!channelId && !channelName) {
+    if (!channelId && !channelName && !targets) {
       return res.status(400).json({
         error: 'Missing required parameter',
-        message: 'Either channelId or channelName is required'
+        message: 'Either channelId, channelName or targets is required'
       });
     }
 
+    // Check the fan-out targets; channelId/channelName then only identify the hotfix thread's channel
+    let announcementTargets = null;
+    if (targets) {
+      try {
+        announcementTargets = getAnnouncementTargets({ targets });
+        if (announcementTargets.length === 0) {
+          throw new Error('Invalid targets: at least one channel is required');
+        }
+      } catch (targetsError) {
+        return res.status(400).json({
+          error: 'Invalid target',
+          message: targetsError.message
+        });
+      }
+
+      // Targets given by name are looked up; ones that can't be found fail on their own
+      try {
+        announcementTargets = await resolveTargetChannels(slack, announcementTargets);
+      } catch (slackError) {
+        return res.status(500).json({
+          error: 'Slack API error',
+          message: slackError.message
+        });
+      }
+    }
+
     // Resolve channel ID if channel name provided
     let targetChannelId = channelId;
-    if (!targetChannelId && channelName) {
+    if (!targetChannelId && channelName && !announcementTargets) {
       try {
         // Try to find channel by name
         const channels = await slack.conversations.list({
@@ -333,25 +441,103 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Check the schedule time before comparing anything; local times are in the given timezone
+    let scheduledAt = null;
+    if (postAt) {
+      try {
+        scheduledAt = parsePostAt(postAt, { timeZone: timezone });
+      } catch (postAtError) {
+        return res.status(400).json({
+          error: 'Invalid postAt',
+          message: postAtError.message
+        });
+      }
+    }
+
+    // Check the exclusion rules before comparing anything; RELEASE_REPOS entries are checked per repository
+    if (excludeRules !== undefined) {
+      try {
+        getExclusionRules(excludeRules);
+      } catch (rulesError) {
+        return res.status(400).json({
+          error: 'Invalid excludeRules',
+          message: rulesError.message
+        });
+      }
+    }
+
+    // Check the templates before comparing anything; customMessage is the older name for it.
+    // Each target uses its own template, then the request's, then its channel's
+    let announcementTemplate;
+    try {
+      if (announcementTargets) {
+        const requestTemplate = template || customMessage ? getChannelTemplate({ template: template || customMessage }) : null;
+        announcementTargets = announcementTargets.map(target => (target.error
+          ? target
+          : { ...target, announcementTemplate: getTargetTemplate(target, requestTemplate) }));
+      } else {
+        announcementTemplate = getChannelTemplate({
+          channelId: targetChannelId,
+          channelName,
+          template: template || customMessage
+        });
+      }
+    } catch (templateError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: templateError.message
+      });
+    }
+
     // Generate and send announcement
     const result = await generateAndSendAnnouncement(releaseNumber, targetChannelId, {
       autoSend,
       filterEmptyCommits,
       includeCommitDetails,
-      customMessage
+      template: announcementTemplate,
+      format,
+      author,
+      threaded,
+      highlights,
+      base,
+      head,
+      refTemplate,
+      refType,
+      repositories,
+      resolvePullRequests,
+      groupChanges,
+      titleStrategy,
+      categorize,
+      categories,
+      excludeRules,
+      breakingLabels,
+      shippedChanges,
+      paths,
+      hotfix,
+      threadTs,
+      replyInThread,
+      postAt: scheduledAt,
+      targets: announcementTargets
     });
 
     if (result.success) {
-      return res.status(200).json({
-        success: true,
-        message: `Release announcement sent for ${releaseNumber}`,
+      // Some targets failing is a partial success: 207 with each channel's outcome in targets
+      const targetResults = result.data.targets;
+      const failed = targetResults ? targetResults.filter(target => !target.success).length : 0;
+      const verb = scheduledAt ? 'scheduled' : 'sent';
+      return res.status(failed > 0 ? 207 : 200).json({
+        success: failed === 0,
+        message: targetResults
+          ? `Release announcement ${verb} to ${targetResults.length - failed} of ${targetResults.length} channels for ${releaseNumber}`
+          : `Release announcement ${verb} for ${releaseNumber}`,
         ...result.data
       });
     } else {
       return res.status(500).json({
         success: false,
         error: result.error,
-        details: result.details
+        details: result.details,
+        ...(result.targets ? { targets: result.targets } : {})
       });
     }
 
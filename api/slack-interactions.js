@@ -1,6 +1,43 @@
 // Import necessary libraries
 const { App, AwsLambdaReceiver } = require('@slack/bolt');
 require('dotenv').config();
+const { getChannelTemplate, renderReleaseMessage } = require('../lib/templates');
+const { getAnnouncementFormat, renderAnnouncementMessages, postAnnouncementMessages } = require('../lib/blocks');
+const { loadDraft, updateDraft, deleteDraft, renderDraftExpiredMessage, renderDraftExpiredView, renderDraftErrorView } = require('../lib/drafts');
+const {
+  SELECTION_CALLBACK_ID,
+  getSelectedIndices,
+  applySelectionState,
+  setCategorySelection,
+  renderChangeSelectionView,
+  renderSelectionSummary
+} = require('../lib/selection');
+const {
+  EDIT_CALLBACK_ID,
+  REVIEW_CALLBACK_ID,
+  getDraftEdits,
+  applyDraftEdits,
+  applyEditState,
+  renderEditView,
+  renderReviewView,
+  needsReview,
+  renderEditsApproved
+} = require('../lib/edits');
+const {
+  SCHEDULE_CALLBACK_ID,
+  RESCHEDULE_CALLBACK_ID,
+  renderPostAt,
+  loadScheduledAnnouncement,
+  scheduleAnnouncementMessages,
+  listScheduledAnnouncements,
+  cancelScheduledAnnouncement,
+  rescheduleAnnouncement,
+  renderScheduledList,
+  renderScheduleView,
+  readScheduleState
+} = require('../lib/scheduling');
+const { shouldThreadAnnouncement } = require('../lib/summary');
+const { getAnnouncementTargets, getTargetTemplate, resolveTargetChannels, renderTargetChannel, renderTargetResults } = require('../lib/targets');
 
 // Disable Vercel's body parser to get raw body for signature verification
 export const config = {
@@ -20,154 +57,198 @@ const app = new App({
   processBeforeResponse: true,
 });
 
+// --- Helper function to render a draft's announcement ---
+// Uses the draft's selection and approved edits (or the given ones, when reviewing edits).
+// For a fan-out target, its template, filter and settings apply. Returns the changes to
+// announce, the render options, the mrkdwn text and the messages to post.
+function renderDraftAnnouncement(draft, user, { edits = draft.edits, target = null, scheduled = false } = {}) {
+  const { releaseNumber, base, head, previousRelease, compareUrl, stats, threaded, refType, repositories, sections, hotfix } = draft;
+
+  // The preview already reported a broken template; fall back to the default format here
+  let template = null;
+  try {
+    template = target
+      ? getTargetTemplate(target)
+      : getChannelTemplate({ channelId: draft.channelId, channelName: draft.channelName });
+  } catch (templateError) {
+    console.warn('Ignoring invalid announcement template:', templateError.message);
+  }
+
+  const renderOptions = {
+    template,
+    format: getAnnouncementFormat(target?.format ? { format: target.format } : {}),
+    author: `<@${user.id}>`,
+    // --threaded forces a summary with the full list in the thread; otherwise THREADED_ANNOUNCEMENTS decides
+    threaded: target?.threaded !== undefined ? target.threaded : (threaded || undefined),
+    branch: head || `releases/${releaseNumber}`,
+    refType,
+    repositories: repositories || [],
+    sections: sections || null,
+    hotfix: hotfix || null,
+    previousRelease,
+    base,
+    compareUrl,
+    stats,
+    intro: getDraftEdits(draft, edits).intro,
+    emptyText: 'No changes selected.'
+  };
+  let selectedChanges = applyDraftEdits(draft, edits);
+  if (target) {
+    // Filter rules look at the original titles, not edited ones
+    const originals = getSelectedIndices(draft).map(index => draft.changes[index]);
+    const kept = new Set(target.applyFilter(originals));
+    selectedChanges = selectedChanges.filter((entry, position) => kept.has(originals[position]));
+  }
+  const message = renderReleaseMessage(releaseNumber, selectedChanges, renderOptions);
+  return {
+    selectedChanges,
+    renderOptions,
+    message,
+    // The messages as posted; Slack can't schedule thread replies, so scheduled ones carry the full list
+    announcement: renderAnnouncementMessages(releaseNumber, selectedChanges, message, { ...renderOptions, ...(scheduled ? { threaded: false } : {}) })
+  };
+}
+
+// --- Helper function to deliver a draft to the channels it fans out to ---
+// deliver(target, rendered) posts or schedules one channel's variant; a failing channel
+// doesn't stop the others. Returns { target, success, skipped, changeCount, error } per channel.
+async function deliverToTargets(client, draft, user, targets, deliver, { scheduled = false } = {}) {
+  const results = [];
+  for (const target of await resolveTargetChannels(client, targets)) {
+    if (target.error) {
+      results.push({ target, success: false, error: target.error });
+      continue;
+    }
+    try {
+      const rendered = renderDraftAnnouncement(draft, user, { target, scheduled });
+      if (rendered.selectedChanges.length === 0) {
+        results.push({ target, success: true, skipped: true, changeCount: 0 });
+        continue;
+      }
+      await deliver(target, rendered);
+      results.push({ target, success: true, changeCount: rendered.selectedChanges.length });
+    } catch (error) {
+      console.error(`Failed to announce in ${target.label}:`, error);
+      results.push({ target, success: false, error: error.data?.error || error.message });
+    }
+  }
+  return results;
+}
+
+// --- Helper function to thread a hotfix under its release's announcement ---
+// Hotfixes found their release's announcement at preview time; reply in its thread and
+// broadcast to the channel so nobody misses it
+function hotfixThreadFor(hotfix, targetChannel) {
+  return hotfix?.threadTs && hotfix.threadChannel === targetChannel
+    ? { thread_ts: hotfix.threadTs, reply_broadcast: true }
+    : {};
+}
+
+// --- Helper function to render what each channel gets, for the review step ---
+// Renders like "Send" does: per fan-out target with its template, filter and settings, as
+// Block Kit messages, and noting when a hotfix goes in its release's thread.
+function renderReviewVariants(draft, user, edits) {
+  const threadNote = channel => (hotfixThreadFor(draft.hotfix, channel).thread_ts
+    ? 'Posted in the thread of the release\'s announcement, and sent to the channel too.'
+    : null);
+
+  const targets = getAnnouncementTargets({ channelId: draft.channelId, channelName: draft.channelName });
+  if (targets.length === 0) {
+    const isDM = draft.channelId.startsWith('D') || draft.channelName === 'directmessage';
+    const channel = isDM ? user.id : draft.channelId;
+    return [{ label: null, note: threadNote(channel), announcement: renderDraftAnnouncement(draft, user, { edits }).announcement }];
+  }
+
+  return targets.map(target => {
+    const label = renderTargetChannel(target);
+    try {
+      const { selectedChanges, announcement } = renderDraftAnnouncement(draft, user, { edits, target });
+      return { label, note: threadNote(target.channel), skipped: selectedChanges.length === 0, announcement };
+    } catch (error) {
+      return { label, error: error.message };
+    }
+  });
+}
+
+// --- Helper function to save a new selection ---
+// Approved edits were reviewed for the old selection, so a different one withdraws the approval.
+function selectionUpdate(draft, selected) {
+  const sorted = indices => [...indices].sort((a, b) => a - b).join(',');
+  const changed = sorted(getSelectedIndices(draft)) !== sorted(getSelectedIndices({ ...draft, selected }));
+  return changed ? { selected, approved: false } : { selected };
+}
+
 // --- Interactive Button Handlers ---
 app.action('send_announcement', async ({ ack, body, say, respond, client }) => {
   try {
     await ack();
     
-    const buttonData = JSON.parse(body.actions[0].value);
-    const { allChanges, releaseNumber, channelId, channelName, changeCount } = buttonData;
-    
-    // Handle case where button value was simplified due to size constraints
-    let fullChanges = allChanges;
-    if (!fullChanges || fullChanges.length === 0 || buttonData.simplified) {
-      // Debug: Log the entire interaction payload structure
-      console.log('Button data was simplified, extracting changes from message blocks...');
-      console.log('Body keys:', Object.keys(body));
-      console.log('Body.message keys:', body.message ? Object.keys(body.message) : 'no message');
-      console.log('Body.message.blocks length:', body.message?.blocks?.length || 0);
-      console.log('Body.message.text length:', body.message?.text?.length || 0);
-      console.log('Body.container keys:', body.container ? Object.keys(body.container) : 'no container');
-      
-      // Try different possible locations for the message data
-      const messageBlocks = body.message?.blocks || body.container?.message?.blocks || [];
-      const messageText = body.message?.text || body.container?.message?.text || '';
-      
-      console.log('Total blocks to search:', messageBlocks.length);
-      console.log('Expected change count:', changeCount);
-      
-      // Extract changes from the original message blocks
-      fullChanges = [];
-      
-      // Look for bullet points in ALL blocks that contain text
-      // Since chunking can split changes across multiple blocks
-      for (const block of messageBlocks) {
-        if (block.type === 'section' && block.text?.text) {
-          const blockText = block.text.text;
-          console.log('Scanning block for bullet points:', blockText.substring(0, 100) + '...');
-          
-          const lines = blockText.split('\n');
-          for (const line of lines) {
-            if (line.trim().startsWith('• ')) {
-              fullChanges.push(line.trim());
-              console.log('Found bullet point:', line.trim().substring(0, 50) + '...');
-            }
-          }
-        }
-      }
-      
-      console.log('Extracted changes count:', fullChanges.length);
-      console.log('First few changes:', fullChanges.slice(0, 3));
-      
-      // If we still don't have any changes, try extracting from the message text directly
-      if (fullChanges.length === 0) {
-        console.log('No changes found in blocks, trying to extract from message text...');
-        console.log('Message text length:', messageText.length);
-        console.log('Message text sample:', messageText.substring(0, 200));
-        
-        if (messageText) {
-          const lines = messageText.split('\n');
-          for (const line of lines) {
-            if (line.trim().startsWith('• ')) {
-              fullChanges.push(line.trim());
-            }
-          }
-        }
-        console.log('Text extraction found:', fullChanges.length, 'changes');
-      }
-      
-      // Final fallback: if we still have no changes but expected some, reconstruct from GitHub
-      if (fullChanges.length === 0 && changeCount > 0) {
-        console.log('No changes extracted, attempting to reconstruct from GitHub...');
-        try {
-          // Try to reconstruct the changes by calling GitHub API again
-          const { extractChangesFromGitHub } = require('./slack');
-          const reconstructedChanges = await extractChangesFromGitHub(releaseNumber);
-          if (reconstructedChanges && reconstructedChanges.length > 0) {
-            fullChanges = reconstructedChanges;
-            console.log('Reconstructed', fullChanges.length, 'changes from GitHub');
-          }
-        } catch (error) {
-          console.error('Failed to reconstruct changes from GitHub:', error);
-        }
-      }
+    const { draftId, releaseNumber } = JSON.parse(body.actions[0].value);
+    const draft = await loadDraft(draftId);
+    if (!draft) {
+      await respond({
+        text: renderDraftExpiredMessage(releaseNumber),
+        response_type: 'ephemeral',
+        replace_original: true
+      });
+      return;
     }
+    const { changes, hotfix } = draft;
     
-    console.log('Total changes available:', fullChanges.length);
-    console.log('Button data had allChanges:', !!allChanges, 'length:', allChanges?.length || 0);
-    
-    // Get selected changes from checkboxes
-    let selectedChanges = [];
-    const checkboxStates = body.state?.values || {};
-    
-    console.log('Checkbox states available:', Object.keys(checkboxStates).length);
-    console.log('Checkbox state keys:', Object.keys(checkboxStates));
-    
-    // Extract selected changes from all checkbox groups
-    Object.keys(checkboxStates).forEach(blockId => {
-      Object.keys(checkboxStates[blockId]).forEach(actionId => {
-        if (actionId.startsWith('select_changes_')) {
-          const selectedOptions = checkboxStates[blockId][actionId].selected_options || [];
-          console.log(`Checkbox group ${actionId} has ${selectedOptions.length} selected options`);
-          
-          selectedOptions.forEach(option => {
-            const changeIndex = parseInt(option.value);
-            console.log(`Processing option value: ${option.value}, parsed as index: ${changeIndex}`);
-            
-            if (changeIndex >= 0 && changeIndex < fullChanges.length) {
-              selectedChanges.push(fullChanges[changeIndex]);
-              console.log(`Added change ${changeIndex}: ${fullChanges[changeIndex].substring(0, 50)}...`);
-            } else {
-              console.log(`Index ${changeIndex} is out of bounds (max: ${fullChanges.length - 1})`);
-            }
-          });
-        }
+    // The draft holds the selection made in the "Choose changes" modal; without one, everything is sent
+    if (getSelectedIndices(draft).length === 0 && changes.length > 0) {
+      await respond({
+        text: '⚠️ No changes are selected. Use *Choose changes* to pick some, or cancel the announcement.',
+        response_type: 'ephemeral',
+        replace_original: false
       });
-    });
-    
-    console.log('Selected changes count after checkbox processing:', selectedChanges.length);
-    
-    // If no checkboxes were selected, but we have changes, include all changes
-    if (selectedChanges.length === 0 && fullChanges.length > 0) {
-      console.log('No checkboxes selected, including all changes');
-      selectedChanges = fullChanges;
+      return;
     }
-    
-    // Create the announcement message
-    let message;
-    if (selectedChanges.length > 0) {
-      const changesText = selectedChanges.join('\n');
-      message = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:*\n${changesText}`;
-    } else {
-      message = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:* No changes selected.`;
+    if (needsReview(draft)) {
+      await respond({
+        text: '⚠️ The selection changed after your edits were approved. Use *Edit* to review the announcement again before sending.',
+        response_type: 'ephemeral',
+        replace_original: false
+      });
+      return;
     }
     
     // Determine where to send the announcement
     const channel = body.channel;
     const user = body.user;
+
+    // Channels with ANNOUNCEMENT_TARGETS fan out, each target getting its own variant
+    const targets = getAnnouncementTargets({ channelId: draft.channelId, channelName: draft.channelName });
+    if (targets.length > 0) {
+      const results = await deliverToTargets(client, draft, user, targets, async (target, { announcement }) => {
+        await postAnnouncementMessages(client, target.channel, announcement, hotfixThreadFor(hotfix, target.channel));
+      });
+
+      // Keep the preview (and its draft) when nothing went out, so it can be retried
+      const sent = results.some(result => result.success && !result.skipped);
+      if (sent) {
+        await deleteDraft(draftId).catch(error => console.warn('Could not delete the announcement draft:', error.message));
+      }
+      await respond({
+        text: `${sent ? '📣' : '❌'} Release announcement for \`${releaseNumber}\`:\n${renderTargetResults(results)}`,
+        response_type: 'ephemeral',
+        replace_original: sent
+      });
+      return;
+    }
+
+    // Create the announcement message, as Block Kit with the mrkdwn text as fallback
+    const { selectedChanges, message, announcement } = renderDraftAnnouncement(draft, user);
     const isDM = channel.id.startsWith('D') || channel.name === 'directmessage';
     
     let sentTo;
-    
+
     console.log('Channel info:', { channelId: channel.id, channelName: channel.name, isDM });
     
     try {
       if (isDM) {
         // For DMs, send directly to the user
-        await client.chat.postMessage({
-          channel: user.id,
-          text: message,
-        });
+        await postAnnouncementMessages(client, user.id, announcement, hotfixThreadFor(hotfix, user.id));
         sentTo = 'your DMs';
       } else {
         // For channels, check if bot has access first
@@ -177,10 +258,7 @@ app.action('send_announcement', async ({ ack, body, say, respond, client }) => {
           });
           
           // Bot has access to channel, send the message
-          await client.chat.postMessage({
-            channel: channel.id,
-            text: message,
-          });
+          await postAnnouncementMessages(client, channel.id, announcement, hotfixThreadFor(hotfix, channel.id));
           sentTo = `<#${channel.id}>`;
         } catch (accessError) {
           console.log('No direct channel access, falling back to ephemeral message');
@@ -199,9 +277,16 @@ app.action('send_announcement', async ({ ack, body, say, respond, client }) => {
       throw new Error(`Unable to send announcement: ${error.message}`);
     }
     
+    // The draft is used up; a second click shouldn't announce the release twice
+    try {
+      await deleteDraft(draftId);
+    } catch (deleteError) {
+      console.warn('Could not delete the announcement draft:', deleteError.message);
+    }
+
     // Update the original message to show where it was sent
     const selectedCount = selectedChanges.length;
-    const totalCount = changeCount || fullChanges.length;
+    const totalCount = changes.length;
     await respond({
       text: `✅ Release announcement for \`${releaseNumber}\` has been sent to ${sentTo}.\n\n*Included:* ${selectedCount} of ${totalCount} changes`,
       response_type: 'ephemeral',
@@ -222,7 +307,8 @@ app.action('cancel_announcement', async ({ ack, respond, body }) => {
   try {
     await ack();
     
-    const releaseNumber = body.message?.blocks?.[1]?.text?.text?.match(/releases\/(.+?)`/)?.[1] || 'unknown';
+    const { draftId, releaseNumber } = JSON.parse(body.actions[0].value || '{}');
+    await deleteDraft(draftId);
     
     await respond({
       text: `❌ Release announcement for \`${releaseNumber}\` was cancelled.`,
@@ -240,15 +326,450 @@ app.action('cancel_announcement', async ({ ack, respond, body }) => {
   }
 });
 
-// --- Checkbox Handlers ---
-// Handle checkbox selections (these don't need to do anything special, just acknowledge)
-app.action(/select_changes_\d+/, async ({ ack }) => {
+// --- Link Button Handlers ---
+// "View full diff" buttons open their URL in the browser; Slack still expects an ack
+app.action(/view_diff_\d+/, async ({ ack }) => {
+  await ack();
+});
+
+// --- Helper function to post to the response URL of the message a modal was opened from ---
+// Modals have no respond(), so they answer through the message's response URL.
+async function postToResponseUrl(responseUrl, message) {
+  if (!responseUrl) return;
+  await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message)
+  });
+}
+
+// --- Helper function to reply under the preview a modal was opened from ---
+async function replyToPreview(responseUrl, text) {
+  await postToResponseUrl(responseUrl, { text, response_type: 'ephemeral', replace_original: false });
+}
+
+// --- Change Selection Modal ---
+// "Choose changes" opens a modal over every change in the draft; paging, searching and
+// select all/none save the checkboxes to the draft and redraw the modal
+app.action('choose_changes', async ({ ack, body, respond, client }) => {
   try {
     await ack();
-    // No need to respond - checkboxes handle their own state
+
+    const { draftId, releaseNumber } = JSON.parse(body.actions[0].value);
+    const draft = await loadDraft(draftId);
+    if (!draft) {
+      await respond({
+        text: renderDraftExpiredMessage(releaseNumber),
+        response_type: 'ephemeral',
+        replace_original: true
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: renderChangeSelectionView(draft, { draftId, releaseNumber, responseUrl: body.response_url })
+    });
   } catch (error) {
-    console.error('Checkbox selection error:', error);
+    console.error('Choose changes error:', error);
+    await respond({
+      text: `❌ Failed to open the change selection: ${error.message}`,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+// --- Helper function to save the modal's checkboxes and redraw it ---
+// update turns the draft's new selection and the current metadata into the next metadata,
+// or changes the selection itself (select all/none).
+async function updateSelectionView(body, client, update) {
+  const metadata = JSON.parse(body.view.private_metadata);
+  const draft = await loadDraft(metadata.draftId);
+  const current = draft && applySelectionState(draft, body.view.state?.values);
+  const { selected = current, ...nextMetadata } = draft ? update(draft, current, metadata) : {};
+  const updated = draft && await updateDraft(metadata.draftId, selectionUpdate(draft, selected));
+
+  if (!updated) {
+    await client.views.update({
+      view_id: body.view.id,
+      view: renderDraftExpiredView(metadata.releaseNumber, 'Choose changes')
+    });
+    return;
+  }
+
+  await client.views.update({
+    view_id: body.view.id,
+    hash: body.view.hash,
+    view: renderChangeSelectionView(updated, nextMetadata)
+  });
+}
+
+app.action(/^change_page_(previous|next)$/, async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const step = action.action_id === 'change_page_next' ? 1 : -1;
+    await updateSelectionView(body, client, (draft, selected, metadata) => ({ ...metadata, page: (metadata.page || 0) + step }));
+  } catch (error) {
+    console.error('Change page error:', error);
+  }
+});
+
+app.action('search_changes', async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await updateSelectionView(body, client, (draft, selected, metadata) => ({ ...metadata, query: (action.value || '').trim(), page: 0 }));
+  } catch (error) {
+    console.error('Search changes error:', error);
+  }
+});
+
+app.action(/^select_category_(all|none)$/, async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    await updateSelectionView(body, client, (draft, selected, metadata) => ({
+      ...metadata,
+      // A new revision makes Slack show the new checkbox state instead of the old one
+      revision: (metadata.revision || 0) + 1,
+      selected: setCategorySelection(draft, selected, {
+        category: action.value,
+        query: metadata.query,
+        checked: action.action_id === 'select_category_all'
+      })
+    }));
+  } catch (error) {
+    console.error('Select category error:', error);
+  }
+});
+
+// Checkbox clicks only change the modal's state, which is read when paging or saving
+app.action('toggle_changes', async ({ ack }) => {
+  await ack();
+});
+
+app.view(SELECTION_CALLBACK_ID, async ({ ack, body, view }) => {
+  await ack();
+  try {
+    const metadata = JSON.parse(view.private_metadata);
+    const draft = await loadDraft(metadata.draftId);
+    const updated = draft && await updateDraft(metadata.draftId, selectionUpdate(draft, applySelectionState(draft, view.state?.values)));
+    const reviewNote = updated && needsReview(updated)
+      ? '\n✏️ Your approved edits were for the old selection: use *Edit* to review them again before sending.'
+      : '';
+    const text = updated ? `${renderSelectionSummary(updated)}${reviewNote}` : renderDraftExpiredMessage(metadata.releaseNumber);
+
+    await replyToPreview(metadata.responseUrl, text);
+  } catch (error) {
+    console.error('Save selection error:', error);
+  }
+});
+
+// --- Edit Modal ---
+// "Edit" opens the intro and title fields; "Review" pushes the edited announcement exactly as
+// it will be sent, and approving it makes the edits the draft's
+app.action('edit_announcement', async ({ ack, body, respond, client }) => {
+  try {
     await ack();
+
+    const { draftId, releaseNumber } = JSON.parse(body.actions[0].value);
+    const draft = await loadDraft(draftId);
+    if (!draft) {
+      await respond({
+        text: renderDraftExpiredMessage(releaseNumber),
+        response_type: 'ephemeral',
+        replace_original: true
+      });
+      return;
+    }
+
+    // Editing starts from the approved edits; unapproved ones from an abandoned modal are dropped
+    const edits = getDraftEdits(draft);
+    await updateDraft(draftId, { pendingEdits: edits });
+    const { message } = renderDraftAnnouncement(draft, body.user);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: renderEditView(draft, edits, message, { draftId, releaseNumber, responseUrl: body.response_url })
+    });
+  } catch (error) {
+    console.error('Edit announcement error:', error);
+    await respond({
+      text: `❌ Failed to open the editor: ${error.message}`,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+app.action(/^edit_page_(previous|next)$/, async ({ ack, body, action, client }) => {
+  await ack();
+  try {
+    const metadata = JSON.parse(body.view.private_metadata);
+    const draft = await loadDraft(metadata.draftId);
+    const edits = draft && applyEditState(draft, draft.pendingEdits, body.view.state?.values);
+    const updated = draft && await updateDraft(metadata.draftId, { pendingEdits: edits });
+    if (!updated) {
+      await client.views.update({
+        view_id: body.view.id,
+        view: renderDraftExpiredView(metadata.releaseNumber, 'Edit announcement')
+      });
+      return;
+    }
+
+    const step = action.action_id === 'edit_page_next' ? 1 : -1;
+    const { message } = renderDraftAnnouncement(updated, body.user);
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: renderEditView(updated, edits, message, { ...metadata, page: (metadata.page || 0) + step })
+    });
+  } catch (error) {
+    console.error('Edit page error:', error);
+  }
+});
+
+app.view(EDIT_CALLBACK_ID, async ({ ack, body, view }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  let updated;
+  let edits;
+  try {
+    const draft = await loadDraft(metadata.draftId);
+    edits = draft && applyEditState(draft, draft.pendingEdits, view.state?.values);
+    updated = draft && await updateDraft(metadata.draftId, { pendingEdits: edits });
+  } catch (error) {
+    console.error('Review edits error:', error);
+    await ack({ response_action: 'update', view: renderDraftErrorView(error, 'Edit announcement') });
+    return;
+  }
+  if (!updated) {
+    await ack({ response_action: 'update', view: renderDraftExpiredView(metadata.releaseNumber, 'Edit announcement') });
+    return;
+  }
+
+  await ack({ response_action: 'push', view: renderReviewView(renderReviewVariants(updated, body.user, edits), metadata) });
+});
+
+app.view(REVIEW_CALLBACK_ID, async ({ ack, view }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  let updated;
+  try {
+    const draft = await loadDraft(metadata.draftId);
+    // A second approval (e.g. a double click) finds no pending edits and keeps the approved ones
+    updated = draft && (draft.pendingEdits
+      ? await updateDraft(metadata.draftId, { edits: draft.pendingEdits, pendingEdits: null, approved: true })
+      : draft);
+  } catch (error) {
+    console.error('Approve edits error:', error);
+    await ack({ response_action: 'update', view: renderDraftErrorView(error, 'Review announcement') });
+    return;
+  }
+  await ack({ response_action: 'clear' });
+
+  try {
+    await replyToPreview(metadata.responseUrl, updated ? renderEditsApproved(updated) : renderDraftExpiredMessage(metadata.releaseNumber));
+  } catch (error) {
+    console.error('Approve edits error:', error);
+  }
+});
+
+// --- Scheduling ---
+// "Schedule" picks a time (in the user's Slack timezone by default) and hands the rendered
+// messages to chat.scheduleMessage; /release scheduled lists them with cancel and reschedule
+
+// --- Helper function to get a user's Slack timezone ---
+async function getUserTimeZone(client, userId) {
+  try {
+    const { user } = await client.users.info({ user: userId });
+    return user?.tz || 'UTC';
+  } catch (error) {
+    console.warn('Could not look up the user\'s timezone, using UTC:', error.message);
+    return 'UTC';
+  }
+}
+
+// --- Helper function to replace the /release scheduled list with a fresh one ---
+async function refreshScheduledList(client, respond, notice) {
+  const announcements = await listScheduledAnnouncements(client);
+  await respond({
+    text: notice,
+    response_type: 'ephemeral',
+    replace_original: true,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: notice } },
+      ...renderScheduledList(announcements)
+    ]
+  });
+}
+
+app.action('schedule_announcement', async ({ ack, body, respond, client }) => {
+  try {
+    await ack();
+
+    const { draftId, releaseNumber } = JSON.parse(body.actions[0].value);
+    const draft = await loadDraft(draftId);
+    if (!draft) {
+      await respond({
+        text: renderDraftExpiredMessage(releaseNumber),
+        response_type: 'ephemeral',
+        replace_original: true
+      });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: renderScheduleView({
+        timeZone: await getUserTimeZone(client, body.user.id),
+        metadata: { draftId, releaseNumber, responseUrl: body.response_url }
+      })
+    });
+  } catch (error) {
+    console.error('Schedule announcement error:', error);
+    await respond({
+      text: `❌ Failed to open scheduling: ${error.message}`,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+app.view(SCHEDULE_CALLBACK_ID, async ({ ack, body, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const { postAt, timeZone, errors } = readScheduleState(view.state?.values);
+  if (errors) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  let draft;
+  try {
+    draft = await loadDraft(metadata.draftId);
+  } catch (error) {
+    console.error('Schedule announcement error:', error);
+    await ack({ response_action: 'update', view: renderDraftErrorView(error, 'Schedule announcement') });
+    return;
+  }
+  if (!draft) {
+    await ack({ response_action: 'update', view: renderDraftExpiredView(metadata.releaseNumber, 'Schedule announcement') });
+    return;
+  }
+  if (getSelectedIndices(draft).length === 0 && draft.changes.length > 0) {
+    await ack({ response_action: 'errors', errors: { schedule_date: 'No changes are selected. Use "Choose changes" to pick some first.' } });
+    return;
+  }
+  if (needsReview(draft)) {
+    await ack({ response_action: 'errors', errors: { schedule_date: 'The selection changed after your edits were approved. Use "Edit" to review the announcement again first.' } });
+    return;
+  }
+  await ack({ response_action: 'clear' });
+
+  const user = body.user;
+  try {
+    // Slack can't thread replies under a message that isn't posted yet, so scheduled
+    // announcements always carry the full list
+    const details = {
+      releaseNumber: draft.releaseNumber,
+      hotfix: Boolean(draft.hotfix),
+      scheduledBy: user.id,
+      timeZone
+    };
+    const targets = getAnnouncementTargets({ channelId: draft.channelId, channelName: draft.channelName });
+    if (targets.length > 0) {
+      const results = await deliverToTargets(client, draft, user, targets, async (target, { announcement }) => {
+        await scheduleAnnouncementMessages(client, target.channel, announcement, postAt, details, hotfixThreadFor(draft.hotfix, target.channel));
+      }, { scheduled: true });
+      if (results.some(result => result.success && !result.skipped)) {
+        await deleteDraft(metadata.draftId).catch(error => console.warn('Could not delete the announcement draft:', error.message));
+      }
+      await replyToPreview(metadata.responseUrl,
+        `🕒 Release announcement for \`${draft.releaseNumber}\`, scheduled for ${renderPostAt(postAt)}:\n${renderTargetResults(results)}\nUse \`/release scheduled\` to cancel or reschedule.`);
+      return;
+    }
+
+    const { selectedChanges, renderOptions, announcement } = renderDraftAnnouncement(draft, user, { scheduled: true });
+    const wouldThread = shouldThreadAnnouncement(selectedChanges.length, renderOptions);
+
+    const isDM = draft.channelId.startsWith('D') || draft.channelName === 'directmessage';
+    const target = isDM ? user.id : draft.channelId;
+    const record = await scheduleAnnouncementMessages(client, target, announcement, postAt, details, hotfixThreadFor(draft.hotfix, target));
+
+    // Scheduled is as good as sent; the draft is used up
+    await deleteDraft(metadata.draftId).catch(error => console.warn('Could not delete the announcement draft:', error.message));
+
+    const where = isDM ? 'your DMs' : `<#${target}>`;
+    const threadNote = wouldThread ? '\nℹ️ Scheduled announcements are posted in full, since Slack can\'t schedule thread replies.' : '';
+    await replyToPreview(metadata.responseUrl,
+      `🕒 Release announcement for \`${draft.releaseNumber}\` is scheduled for ${renderPostAt(record.postAt)} in ${where}. Use \`/release scheduled\` to cancel or reschedule it.${threadNote}`);
+  } catch (error) {
+    console.error('Schedule announcement error:', error);
+    await replyToPreview(metadata.responseUrl, `❌ Failed to schedule the announcement: ${error.data?.error || error.message}`);
+  }
+});
+
+app.action('reschedule_announcement', async ({ ack, body, respond, client }) => {
+  try {
+    await ack();
+
+    const { id, channel } = JSON.parse(body.actions[0].value);
+    const record = await loadScheduledAnnouncement(id);
+    if (!record) {
+      await refreshScheduledList(client, respond, '⚠️ That announcement has already been posted or cancelled.');
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: renderScheduleView({
+        callbackId: RESCHEDULE_CALLBACK_ID,
+        title: 'Reschedule',
+        timeZone: record.timeZone || await getUserTimeZone(client, body.user.id),
+        postAt: record.postAt,
+        metadata: { id, channel, responseUrl: body.response_url }
+      })
+    });
+  } catch (error) {
+    console.error('Reschedule announcement error:', error);
+    await respond({
+      text: `❌ Failed to reschedule: ${error.message}`,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+app.view(RESCHEDULE_CALLBACK_ID, async ({ ack, view, client }) => {
+  const metadata = JSON.parse(view.private_metadata);
+  const { postAt, errors } = readScheduleState(view.state?.values);
+  if (errors) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack({ response_action: 'clear' });
+
+  // The list the modal was opened from is refreshed through its response URL
+  const respond = message => postToResponseUrl(metadata.responseUrl, message);
+  try {
+    const record = await rescheduleAnnouncement(client, { id: metadata.id, postAt });
+    await refreshScheduledList(client, respond, `🕒 \`${record.releaseNumber}\` moved to ${renderPostAt(record.postAt)}.`);
+  } catch (error) {
+    console.error('Reschedule announcement error:', error);
+    await replyToPreview(metadata.responseUrl, `❌ Failed to reschedule: ${error.data?.error || error.message}`);
+  }
+});
+
+app.action('cancel_scheduled_announcement', async ({ ack, body, respond, client }) => {
+  try {
+    await ack();
+
+    const { id } = JSON.parse(body.actions[0].value);
+    const record = await cancelScheduledAnnouncement(client, { id });
+    const name = record.releaseNumber ? `\`${record.releaseNumber}\`` : 'The scheduled announcement';
+    await refreshScheduledList(client, respond, `🗑️ ${name} was cancelled and won't be posted.`);
+  } catch (error) {
+    console.error('Cancel scheduled announcement error:', error);
+    await respond({
+      text: `❌ Failed to cancel: ${error.data?.error || error.message}`,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
   }
 });
 
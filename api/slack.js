@@ -1,7 +1,29 @@
 // Import necessary libraries
 const { App, AwsLambdaReceiver } = require('@slack/bolt');
-const { Octokit } = require('@octokit/rest');
 require('dotenv').config();
+const { extractReleaseChanges } = require('../lib/release-diff');
+const { findReleaseAnnouncement } = require('../lib/slack-threads');
+const { getChannelTemplate, renderReleaseMessage } = require('../lib/templates');
+const { chunkTextForSlack } = require('../lib/blocks');
+const { shouldThreadAnnouncement } = require('../lib/summary');
+const { getDraftStore, saveDraft, toDraftChange } = require('../lib/drafts');
+const { listScheduledAnnouncements, renderScheduledList } = require('../lib/scheduling');
+const { getAnnouncementTargets, getTargetTemplate, renderTargetsSummary } = require('../lib/targets');
+const {
+  renderEntry,
+  renderCoverageWarning,
+  renderJiraEnrichmentWarning,
+  renderPullRequestWarning,
+  renderExclusionSummary,
+  renderRevertSummary,
+  renderShippedSummary,
+  renderPathScopeSummary
+} = require('../lib/render');
+
+// Slack allows at most 50 blocks in a message
+const MAX_PREVIEW_BLOCKS = 50;
+// The announcement shown in the preview; the rest is summarised in a note
+const MAX_PREVIEW_SECTIONS = 20;
 
 // --- Initialize clients ---
 const awsLambdaReceiver = new AwsLambdaReceiver({
@@ -14,178 +36,54 @@ const app = new App({
   processBeforeResponse: true,
 });
 
-const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-
-// --- Helper function to ensure JIRA URL has proper protocol ---
-function formatJiraServerUrl(jiraServer) {
-  if (!jiraServer) return '';
-  
-  // If it already has a protocol, use as-is
-  if (jiraServer.startsWith('http://') || jiraServer.startsWith('https://')) {
-    return jiraServer;
-  }
-  
-  // Otherwise, add https://
-  return `https://${jiraServer}`;
-}
+// --- Helper function to parse the /release command text ---
+// Supports "/release 67", "/release 67 --from 64", "/release 67 --from abc1234 --to my-branch",
+// "/release 67 --titles pr-title", "/release 67.1 --hotfix --thread",
+// "/release 67 --path services/economy/** --path libs/shared/**" and "/release 67 --threaded"
+function parseReleaseCommand(text) {
+  const tokens = text.replace(/^\/release\s+/, '').split(/\s+/).filter(Boolean);
+  const parsed = { releaseNumber: null, base: null, head: null, hotfix: false, thread: false, threaded: false, paths: [] };
+  const booleanFlags = {
+    '--hotfix': 'hotfix',
+    '--thread': 'thread',
+    '--threaded': 'threaded',
+  };
+  const flags = {
+    '--from': 'base',
+    '--base': 'base',
+    '--to': 'head',
+    '--head': 'head',
+    '--titles': 'titleStrategy',
+    '--path': 'paths',
+  };
 
-// --- Helper function to chunk text for Slack blocks ---
-function chunkTextForSlack(text, maxLength = 2900) {
-  if (text.length <= maxLength) {
-    return [text];
-  }
-  
-  const chunks = [];
-  const lines = text.split('\n');
-  let currentChunk = '';
-  
-  for (const line of lines) {
-    // If adding this line would exceed the limit, start a new chunk
-    if (currentChunk.length + line.length + 1 > maxLength) {
-      if (currentChunk) {
-        chunks.push(currentChunk.trim());
-        currentChunk = '';
+  for (let i = 0; i < tokens.length; i++) {
+    const [flag, inlineValue] = tokens[i].split(/=(.*)/);
+    if (booleanFlags[tokens[i]]) {
+      parsed[booleanFlags[tokens[i]]] = true;
+    } else if (flags[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : tokens[++i];
+      if (!value) {
+        throw new Error(`Missing value for ${flag}`);
       }
-      
-      // If a single line is too long, truncate it
-      if (line.length > maxLength) {
-        chunks.push(line.substring(0, maxLength - 3) + '...');
+      if (flags[flag] === 'paths') {
+        // --path can be repeated, or given a comma-separated list
+        parsed.paths.push(...value.split(',').filter(Boolean));
       } else {
-        currentChunk = line;
+        parsed[flags[flag]] = value;
       }
-    } else {
-      currentChunk += (currentChunk ? '\n' : '') + line;
+    } else if (tokens[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${tokens[i]}`);
+    } else if (!parsed.releaseNumber) {
+      parsed.releaseNumber = tokens[i];
     }
   }
-  
-  if (currentChunk) {
-    chunks.push(currentChunk.trim());
-  }
-  
-  return chunks;
-}
 
-// --- Helper function to create safe button value ---
-function createSafeButtonValue(data, maxLength = 1900) {
-  const jsonString = JSON.stringify(data);
-  if (jsonString.length <= maxLength) {
-    return jsonString;
-  }
-  
-  // If too large, create a simplified version but include a hash of the changes
-  // This helps us verify we're working with the right data set
-  const changesHash = data.allChanges ? 
-    data.allChanges.join('').substring(0, 50) : '';
-  
-  const simplified = {
-    releaseNumber: data.releaseNumber,
-    channelId: data.channelId,
-    channelName: data.channelName,
-    changeCount: data.allChanges ? data.allChanges.length : 0,
-    simplified: true,
-    changesHash: changesHash
-  };
-  
-  return JSON.stringify(simplified);
-}
-
-// --- Helper function to determine previous release ---
-function getPreviousRelease(releaseNumber) {
-  // Handle different release numbering schemes
-  
-  // Check if it's a semantic version (e.g., "2.1.0")
-  if (releaseNumber.includes('.')) {
-    const parts = releaseNumber.split('.');
-    if (parts.length > 1) {
-      const minorVersion = parseInt(parts[1], 10);
-      if (minorVersion > 0) {
-        return `${parts[0]}.${minorVersion - 1}`;
-      }
-    }
-    const majorVersion = parseInt(parts[0], 10);
-    return (majorVersion - 1).toString();
-  } else {
-    // Handle simple numeric releases (e.g., "67" -> "66")
-    const currentNumber = parseInt(releaseNumber, 10);
-    if (isNaN(currentNumber)) {
-      throw new Error(`Invalid release number format: ${releaseNumber}`);
-    }
-    if (currentNumber <= 1) {
-      throw new Error(`Cannot determine previous release for release number: ${releaseNumber}`);
-    }
-    return (currentNumber - 1).toString();
-  }
-}
-
-// --- Helper function to extract changes from GitHub ---
-async function extractChangesFromGitHub(releaseNumber) {
-  try {
-    const previousRelease = getPreviousRelease(releaseNumber);
-    
-    const { data: comparison } = await octokit.repos.compareCommits({
-      owner: process.env.GITHUB_OWNER,
-      repo: process.env.GITHUB_REPO,
-      base: `releases/${previousRelease}`,
-      head: `releases/${releaseNumber}`,
-    });
-
-    // Process commits and extract JIRA references
-    const releaseChanges = [];
-    const processedCommits = new Set();
-    const jiraRegex = new RegExp(`\\b${process.env.JIRA_PROJECT}-\\d+\\b`, 'gi');
-
-    for (const commit of comparison.commits) {
-      const commitSha = commit.sha.substring(0, 7);
-      const commitTitle = commit.commit.message.split('\n')[0];
-      const commitMessage = commit.commit.message;
-      
-      if (processedCommits.has(commitSha)) {
-        continue;
-      }
-      processedCommits.add(commitSha);
-      
-      const allText = `${commitTitle} ${commitMessage}`;
-      const jiraMatches = allText.match(jiraRegex);
-      const githubRegex = /#(\d+)/g;
-      const githubMatches = allText.match(githubRegex);
-      
-      if (jiraMatches && jiraMatches.length > 0) {
-        // Found JIRA references - link to first one found
-        const firstJiraTicket = jiraMatches[0].toUpperCase();
-        // Remove GitHub reference from title for clean JIRA link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        let changeText = `• <${formatJiraServerUrl(process.env.JIRA_SERVER)}/browse/${firstJiraTicket}|${cleanTitle}>`;
-        
-        // Append GitHub link if GitHub reference found
-        if (githubMatches && githubMatches.length > 0) {
-          const firstGithubRef = githubMatches[0].replace('#', '');
-          const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-          changeText += ` <${githubUrl}|(#${firstGithubRef})>`;
-        }
-        
-        releaseChanges.push(changeText);
-      } else if (githubMatches && githubMatches.length > 0) {
-        // No JIRA but found GitHub reference
-        const firstGithubRef = githubMatches[0].replace('#', '');
-        const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-        // Remove the GitHub reference from the title since it's already in the link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        releaseChanges.push(
-          `• ${cleanTitle} <${githubUrl}|(#${firstGithubRef})>`
-        );
-      }
-      // Skip commits with no references (don't add to releaseChanges)
-    }
-
-    return releaseChanges;
-  } catch (error) {
-    console.error('Error extracting changes from GitHub:', error);
-    return [];
-  }
+  return parsed;
 }
 
 // --- Slash Command Handler ---
-app.command('/release', async ({ command, ack, respond, say }) => {
+app.command('/release', async ({ command, ack, respond, say, client }) => {
   try {
     await ack();
 
@@ -195,95 +93,172 @@ app.command('/release', async ({ command, ack, respond, say }) => {
       return;
     }
 
-    // Extract release number
-    const releaseMatch = commandText.match(/(?:\/release\s+)?(.+)/);
-    const releaseNumber = releaseMatch ? releaseMatch[1].trim() : commandText;
+    // "/release scheduled" lists the announcements waiting to be posted
+    if (commandText.toLowerCase() === 'scheduled') {
+      try {
+        const announcements = await listScheduledAnnouncements(client);
+        await respond({
+          text: `${announcements.length} scheduled announcements`,
+          response_type: 'ephemeral',
+          blocks: renderScheduledList(announcements)
+        });
+      } catch (error) {
+        console.error('List scheduled announcements error:', error);
+        await respond(`❌ Could not list scheduled announcements: ${error.data?.error || error.message}`);
+      }
+      return;
+    }
+
+    // Extract release number and optional base/head overrides
+    let parsedCommand;
+    try {
+      parsedCommand = parseReleaseCommand(commandText);
+    } catch (parseError) {
+      await respond(`❌ ${parseError.message}\n\nUsage: \`/release <release> [--from <base>] [--to <head>] [--titles ticket|first-commit|pr-title] [--path <glob>] [--hotfix [--thread]] [--threaded]\` or \`/release scheduled\``);
+      return;
+    }
+    const { releaseNumber } = parsedCommand;
     
     if (!releaseNumber) {
       await respond('Please provide a valid release number.');
       return;
     }
 
+    // Previews and their buttons only work when both functions reach the same draft store, so
+    // a store that can't be shared (e.g. no Redis on Vercel) is reported before fetching anything
     try {
-      // Get commits from GitHub
-      const previousRelease = getPreviousRelease(releaseNumber);
-      
-      const { data: comparison } = await octokit.repos.compareCommits({
-        owner: process.env.GITHUB_OWNER,
-        repo: process.env.GITHUB_REPO,
-        base: `releases/${previousRelease}`,
-        head: `releases/${releaseNumber}`,
-      });
-
-      // Process commits and extract JIRA references
-      const releaseChanges = [];
-      const processedCommits = new Set();
-      const jiraRegex = new RegExp(`\\b${process.env.JIRA_PROJECT}-\\d+\\b`, 'gi');
+      getDraftStore();
+    } catch (storeError) {
+      await respond(`❌ ${storeError.message}`);
+      return;
+    }
 
-      for (const commit of comparison.commits) {
-        const commitSha = commit.sha.substring(0, 7);
-        const commitTitle = commit.commit.message.split('\n')[0];
-        const commitMessage = commit.commit.message;
-        
-        if (processedCommits.has(commitSha)) {
-          continue;
-        }
-        processedCommits.add(commitSha);
-        
-        const allText = `${commitTitle} ${commitMessage}`;
-        const jiraMatches = allText.match(jiraRegex);
-        const githubRegex = /#(\d+)/g;
-        const githubMatches = allText.match(githubRegex);
-        
-        if (jiraMatches && jiraMatches.length > 0) {
-          // Found JIRA references - link to first one found
-          const firstJiraTicket = jiraMatches[0].toUpperCase();
-          // Remove GitHub reference from title for clean JIRA link
-          const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-          let changeText = `• <${formatJiraServerUrl(process.env.JIRA_SERVER)}/browse/${firstJiraTicket}|${cleanTitle}>`;
-          
-          // Append GitHub link if GitHub reference found
-          if (githubMatches && githubMatches.length > 0) {
-            const firstGithubRef = githubMatches[0].replace('#', '');
-            const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-            changeText += ` <${githubUrl}|(#${firstGithubRef})>`;
-          }
-          
-          releaseChanges.push(changeText);
-        } else if (githubMatches && githubMatches.length > 0) {
-          // No JIRA but found GitHub reference
-          const firstGithubRef = githubMatches[0].replace('#', '');
-          const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-          // Remove the GitHub reference from the title since it's already in the link
-          const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-          releaseChanges.push(
-            `• ${cleanTitle} <${githubUrl}|(#${firstGithubRef})>`
-          );
+    try {
+      // Get changes from GitHub
+      const release = await extractReleaseChanges(releaseNumber, {
+        base: parsedCommand.base,
+        head: parsedCommand.head,
+        titleStrategy: parsedCommand.titleStrategy || undefined,
+        hotfix: parsedCommand.hotfix,
+        paths: parsedCommand.paths.length > 0 ? parsedCommand.paths : undefined
+      });
+      const { changes, base, head } = release;
+
+      // Hotfixes can be posted in the thread of the release they patch
+      let thread = null;
+      if (release.hotfix && parsedCommand.thread) {
+        try {
+          thread = await findReleaseAnnouncement(client, command.channel_id, [base, release.hotfix.parentRelease]);
+        } catch (threadError) {
+          console.warn('Could not look up the original release announcement:', threadError.message);
         }
-        // Skip commits with no references (don't add to releaseChanges)
+      }
+      const hotfix = release.hotfix
+        ? { parentRelease: release.hotfix.parentRelease, permalink: thread?.permalink }
+        : null;
+      // Use the channel's announcement template; a broken one is reported and the default format used
+      let template = null;
+      let templateError = null;
+      try {
+        template = getChannelTemplate({ channelId: command.channel_id, channelName: command.channel_name });
+      } catch (error) {
+        templateError = error;
       }
 
+      // Channels with ANNOUNCEMENT_TARGETS fan out; broken targets and their templates are reported too
+      let targets = [];
+      let targetsError = null;
+      try {
+        targets = getAnnouncementTargets({ channelId: command.channel_id, channelName: command.channel_name });
+      } catch (error) {
+        targetsError = error;
+      }
+      const targetTemplateErrors = targets.map(target => {
+        try {
+          getTargetTemplate(target);
+          return null;
+        } catch (error) {
+          return `❌ *${error.message}*\nThat channel will get the default announcement format until the template is fixed.`;
+        }
+      });
+
+      // Breaking changes keep their migration note under the bullet
+      const releaseChanges = changes.map(change => renderEntry(change));
+      const multiRepo = release.repositories.length > 1;
+
       // Create interactive preview with checkboxes
       const blocks = [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "*Release Announcement Preview*"
+            text: hotfix ? "*Hotfix Announcement Preview* 🚑" : "*Release Announcement Preview*"
           }
         },
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*Branch:* \`releases/${releaseNumber}\``
+            text: `*${release.source.type === 'tag' ? 'Tag' : 'Branch'}:* \`${head}\``
           }
+        },
+        {
+          type: "context",
+          // Slack allows at most 10 elements per context block
+          elements: release.repositories.slice(0, 10).map(repository => ({
+            type: "mrkdwn",
+            text: repository.error
+              ? `⚠️ *${repository.name}:* ${repository.error}`
+              : `${release.repositories.length > 1 ? `*${repository.name}:* ` : ''}Comparing \`${repository.base}\` → \`${repository.head}\` (<${repository.compareUrl}|view diff>)`
+          }))
         }
       ];
 
+      // Tell the user when large releases needed the fallback or are incomplete,
+      // when ticket summaries or pull requests couldn't be fetched, and what exclusion rules,
+      // in-release reverts and already shipped cherry-picks dropped
+      const warnings = [
+        renderCoverageWarning(release.coverage),
+        renderJiraEnrichmentWarning(release.jiraEnrichment),
+        renderPullRequestWarning(release.pullRequestLookup),
+        renderExclusionSummary(release.exclusions),
+        renderRevertSummary(release.reverts),
+        renderShippedSummary(release.shipped),
+        renderPathScopeSummary(release.pathScope),
+        templateError && `❌ *${templateError.message}*\nThe default announcement format is shown below and will be used until the template is fixed.`,
+        targetsError && `❌ *${targetsError.message}*\nFix ANNOUNCEMENT_TARGETS before sending; the announcement can't be posted until then.`,
+        targets.length > 0 && renderTargetsSummary(targets, changes),
+        ...targetTemplateErrors,
+        shouldThreadAnnouncement(changes.length, { threaded: parsedCommand.threaded || undefined })
+          && `🧵 The channel will get a summary, with the full list of ${changes.length} changes in its thread.`,
+        hotfix && parsedCommand.thread && (thread
+          ? `🧵 Will be posted in the thread of the <${thread.permalink}|\`${hotfix.parentRelease}\` announcement>.`
+          : `ℹ️ No announcement for \`${hotfix.parentRelease}\` was found in this channel, so the hotfix will be posted on its own.`)
+      ].filter(Boolean);
+      warnings.forEach(warning => {
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: warning
+          }
+        });
+      });
+
       if (releaseChanges.length > 0) {
         // Show the full announcement preview first, but chunk it for large releases
-        const fullPreview = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:*\n${releaseChanges.join('\n')}`;
+        const fullPreview = renderReleaseMessage(releaseNumber, changes, {
+          template,
+          branch: head,
+          refType: release.source.type,
+          repositories: release.repositories,
+          sections: release.sections,
+          hotfix,
+          previousRelease: release.previousRelease,
+          base,
+          compareUrl: release.compareUrl,
+          stats: release.stats
+        });
         
         blocks.push({
           type: "section",
@@ -293,9 +268,11 @@ app.command('/release', async ({ command, ack, respond, say }) => {
           }
         });
         
-        // Split the preview into manageable chunks
+        // Split the preview into manageable chunks, leaving room for the note, the selection
+        // line and the buttons: a preview over Slack's block limit can't be shown at all
         const previewChunks = chunkTextForSlack(fullPreview);
-        previewChunks.forEach((chunk, index) => {
+        const shownChunks = Math.max(1, Math.min(MAX_PREVIEW_SECTIONS, MAX_PREVIEW_BLOCKS - blocks.length - 4));
+        previewChunks.slice(0, shownChunks).forEach(chunk => {
           blocks.push({
             type: "section",
             text: {
@@ -304,83 +281,29 @@ app.command('/release', async ({ command, ack, respond, say }) => {
             }
           });
         });
-        
-        blocks.push({
-          type: "divider"
-        });
-
-        // Create simplified checkbox options that reference the full text above
-        // Limit to first 30 changes to prevent block size issues
-        const maxChangesToShow = Math.min(releaseChanges.length, 30);
-        const checkboxOptions = releaseChanges.slice(0, maxChangesToShow).map((change, index) => {
-          // Extract ticket number or create simple identifier
-          let label = `Change ${index + 1}`;
-          
-          // Try to extract JIRA ticket
-          const jiraMatch = change.match(/WSU-\d+/); // Use actual JIRA project key
-          if (jiraMatch) {
-            label = jiraMatch[0];
-          } else {
-            // Try to extract GitHub PR number
-            const githubMatch = change.match(/#(\d+)\)/);
-            if (githubMatch) {
-              label = `PR #${githubMatch[1]}`;
-            }
-          }
-          
-          // Add first few words of commit for context
-          let description = change.replace('• ', '').replace(/<[^>]*>/g, ''); // Remove bullet and links
-          const firstWords = description.split(' ').slice(0, 4).join(' '); // Reduced to 4 words
-          if (description.length > firstWords.length) {
-            description = firstWords + '...';
-          }
-          
-          return {
-            text: {
-              type: "plain_text",
-              text: `${label}: ${description}`.substring(0, 75) // Limit text length
-            },
-            value: index.toString()
-          };
-        });
-
-        // Add warning if we truncated changes
-        if (releaseChanges.length > maxChangesToShow) {
+        if (previewChunks.length > shownChunks) {
+          const hidden = previewChunks.length - shownChunks;
           blocks.push({
-            type: "section",
-            text: {
+            type: "context",
+            elements: [{
               type: "mrkdwn",
-              text: `⚠️ *Showing first ${maxChangesToShow} of ${releaseChanges.length} changes in selection below. All changes will be included in the announcement unless you deselect them.*`
-            }
+              text: `_…and ${hidden} more ${hidden === 1 ? 'section' : 'sections'}, not shown here. The full announcement is sent, and *Edit* lets you review all of it._`
+            }]
           });
         }
+        
+        blocks.push({
+          type: "divider"
+        });
 
+        // Changes are picked in the "Choose changes" modal, which pages through the whole release
         blocks.push({
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "*Select changes to include (all selected by default):*"
+            text: `*All ${releaseChanges.length} changes are selected.* Use *Choose changes* to leave some out.`
           }
         });
-
-        // Add checkboxes in groups (Slack limits to 10 options per checkbox group)
-        const maxOptionsPerGroup = 10;
-        for (let i = 0; i < checkboxOptions.length; i += maxOptionsPerGroup) {
-          const optionsGroup = checkboxOptions.slice(i, i + maxOptionsPerGroup);
-          blocks.push({
-            type: "section",
-            accessory: {
-              type: "checkboxes",
-              action_id: `select_changes_${Math.floor(i / maxOptionsPerGroup)}`,
-              initial_options: optionsGroup, // All checked by default
-              options: optionsGroup
-            },
-            text: {
-              type: "mrkdwn",
-              text: i === 0 ? "Checkboxes:" : "More:"
-            }
-          });
-        }
       } else {
         blocks.push({
           type: "section",
@@ -391,6 +314,26 @@ app.command('/release', async ({ command, ack, respond, say }) => {
         });
       }
 
+      // Save everything the send needs as a draft; the buttons only carry its ID
+      const draftId = await saveDraft({
+        releaseNumber,
+        base,
+        head,
+        previousRelease: release.previousRelease,
+        compareUrl: release.compareUrl,
+        stats: release.stats,
+        refType: release.source.type,
+        repositories: multiRepo ? release.repositories.map(({ name, head, compareUrl }) => ({ name, head, compareUrl })) : undefined,
+        sections: release.sections || undefined,
+        hotfix: hotfix ? { ...hotfix, threadTs: thread?.ts, threadChannel: thread?.channel } : undefined,
+        threaded: parsedCommand.threaded || undefined,
+        changes: changes.map(toDraftChange),
+        channelId: command.channel_id,
+        channelName: command.channel_name,
+        createdBy: command.user_id
+      });
+      const draftValue = JSON.stringify({ draftId, releaseNumber });
+
       // Add action buttons
       blocks.push({
         type: "actions",
@@ -399,16 +342,38 @@ app.command('/release', async ({ command, ack, respond, say }) => {
             type: "button",
             text: {
               type: "plain_text",
-              text: "✅ Send Selected Changes"
+              text: "✅ Send"
             },
             style: "primary",
             action_id: "send_announcement",
-            value: createSafeButtonValue({
-              allChanges: releaseChanges,
-              releaseNumber: releaseNumber,
-              channelId: command.channel_id,
-              channelName: command.channel_name
-            })
+            value: draftValue
+          },
+          ...(releaseChanges.length > 0 ? [{
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "☑️ Choose changes"
+            },
+            action_id: "choose_changes",
+            value: draftValue
+          }] : []),
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "✏️ Edit"
+            },
+            action_id: "edit_announcement",
+            value: draftValue
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "🕒 Schedule"
+            },
+            action_id: "schedule_announcement",
+            value: draftValue
           },
           {
             type: "button",
@@ -417,7 +382,8 @@ app.command('/release', async ({ command, ack, respond, say }) => {
               text: "❌ Cancel"
             },
             style: "danger",
-            action_id: "cancel_announcement"
+            action_id: "cancel_announcement",
+            value: draftValue
           }
         ]
       });
@@ -448,12 +414,19 @@ app.command('/release', async ({ command, ack, respond, say }) => {
       
       let errorMessage;
       if (error.status === 404) {
-        const previousRelease = getPreviousRelease(releaseNumber);
-        errorMessage = `❌ Could not find release branches in GitHub.\n\nPlease check that these branches exist:\n• \`releases/${previousRelease}\` (previous release)\n• \`releases/${releaseNumber}\` (current release)\n\nRepository: \`${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}\``;
+        const base = error.base || 'the previous release';
+        const head = error.head || `releases/${releaseNumber}`;
+        errorMessage = `❌ Could not find release refs in GitHub.\n\nPlease check that these branches or tags exist:\n• \`${base}\` (previous release)\n• \`${head}\` (current release)\n\nRepository: \`${error.owner || process.env.GITHUB_OWNER}/${error.repo || process.env.GITHUB_REPO}\``;
       } else if (error.message.includes('Invalid release number format')) {
-        errorMessage = `❌ Invalid release number format: \`${releaseNumber}\`\n\nPlease provide a valid release number (e.g., "67" or "2.1.0").`;
+        errorMessage = parsedCommand.hotfix
+          ? `❌ Invalid hotfix release number: \`${releaseNumber}\`\n\nHotfix releases need a patch number (e.g., "67.1" or "2.1.3").`
+          : `❌ Invalid release number format: \`${releaseNumber}\`\n\nPlease provide a valid release number (e.g., "67" or "2.1.0").`;
       } else if (error.message.includes('Cannot determine previous release')) {
-        errorMessage = `❌ Cannot determine previous release for: \`${releaseNumber}\`\n\nRelease numbers must be greater than 1.`;
+        const candidates = error.candidates?.length > 0
+          ? error.candidates.map(name => `• \`${name}\``).join('\n')
+          : '• (none)';
+        const scope = parsedCommand.hotfix ? ' in the same release line' : '';
+        errorMessage = `❌ Cannot determine previous release for: \`${releaseNumber}\`\n\nNo lower release${scope} was found among these release refs:\n${candidates}`;
       } else {
         errorMessage = `❌ An error occurred: ${error.message}`;
       }
@@ -560,6 +533,3 @@ module.exports = async (req, res) => {
     res.status(500).json({ error: 'Internal server error' });
   }
 };
-
-// Export the function for use in other modules
-module.exports.extractChangesFromGitHub = extractChangesFromGitHub; 
\ No newline at end of file
@@ -1,51 +1,14 @@
 // Import necessary libraries
 const { Octokit } = require('@octokit/rest');
 require('dotenv').config();
+const { extractReleaseChanges, formatJiraServerUrl } = require('../lib/release-diff');
+const { getJiraProjects } = require('../lib/config');
+const { isJiraEnrichmentEnabled } = require('../lib/jira');
+const { getChannelTemplate, renderReleaseMessage } = require('../lib/templates');
 
 // --- Initialize clients ---
 const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
 
-// --- Helper function to ensure JIRA URL has proper protocol ---
-function formatJiraServerUrl(jiraServer) {
-  if (!jiraServer) return '';
-  
-  // If it already has a protocol, use as-is
-  if (jiraServer.startsWith('http://') || jiraServer.startsWith('https://')) {
-    return jiraServer;
-  }
-  
-  // Otherwise, add https://
-  return `https://${jiraServer}`;
-}
-
-// --- Helper function to determine previous release ---
-function getPreviousRelease(releaseNumber) {
-  // Handle different release numbering schemes
-  
-  // Check if it's a semantic version (e.g., "2.1.0")
-  if (releaseNumber.includes('.')) {
-    const parts = releaseNumber.split('.');
-    if (parts.length > 1) {
-      const minorVersion = parseInt(parts[1], 10);
-      if (minorVersion > 0) {
-        return `${parts[0]}.${minorVersion - 1}`;
-      }
-    }
-    const majorVersion = parseInt(parts[0], 10);
-    return (majorVersion - 1).toString();
-  } else {
-    // Handle simple numeric releases (e.g., "67" -> "66")
-    const currentNumber = parseInt(releaseNumber, 10);
-    if (isNaN(currentNumber)) {
-      throw new Error(`Invalid release number format: ${releaseNumber}`);
-    }
-    if (currentNumber <= 1) {
-      throw new Error(`Cannot determine previous release for release number: ${releaseNumber}`);
-    }
-    return (currentNumber - 1).toString();
-  }
-}
-
 // --- Test functions ---
 async function testGitHubConnection() {
   try {
@@ -75,26 +38,29 @@ async function testGitHubConnection() {
 async function testJiraConnection() {
   try {
     // Since we no longer connect to JIRA directly, just validate configuration
-    if (!process.env.JIRA_SERVER) {
-      throw new Error('JIRA_SERVER environment variable not set');
+    const projects = getJiraProjects();
+    if (projects.length === 0) {
+      throw new Error('JIRA_PROJECT or JIRA_PROJECTS not configured');
     }
 
-    if (!process.env.JIRA_PROJECT) {
-      throw new Error('JIRA_PROJECT not configured');
+    const missingServer = projects.find(project => !project.server);
+    if (missingServer) {
+      throw new Error(`No JIRA server configured for ${missingServer.key || missingServer.pattern} (set JIRA_SERVER)`);
     }
 
-    // Validate JIRA_SERVER format
-    const jiraUrl = process.env.JIRA_SERVER.startsWith('https://') 
-      ? process.env.JIRA_SERVER 
-      : `https://${process.env.JIRA_SERVER}`;
-
     return {
       success: true,
       data: {
-        jiraServer: jiraUrl,
-        projectKey: process.env.JIRA_PROJECT,
-        projectUrl: `${jiraUrl}/projects/${process.env.JIRA_PROJECT}`,
-        extractionRegex: `\\b${process.env.JIRA_PROJECT}-\\d+\\b`,
+        projects: projects.map(project => {
+          const jiraUrl = formatJiraServerUrl(project.server);
+          return {
+            projectKey: project.key,
+            jiraServer: jiraUrl,
+            projectUrl: project.key ? `${jiraUrl}/projects/${project.key}` : null,
+            extractionRegex: `\\b(?:${project.pattern})\\b`,
+          };
+        }),
+        enrichmentEnabled: isJiraEnrichmentEnabled(),
         note: 'JIRA connection test validates configuration only (no API calls needed)',
       }
     };
@@ -107,10 +73,10 @@ async function testJiraConnection() {
   }
 }
 
-async function testReleaseAnnouncement(releaseNumber) {
+async function testReleaseAnnouncement(releaseNumber, overrides = {}, channel = null) {
   const results = {
     releaseNumber,
-    previousRelease: getPreviousRelease(releaseNumber),
+    previousRelease: null,
     github: { success: false },
     jiraExtraction: { success: false },
     announcement: null,
@@ -118,136 +84,69 @@ async function testReleaseAnnouncement(releaseNumber) {
 
   try {
     // --- 1. Test GitHub comparison ---
-    const previousRelease = getPreviousRelease(releaseNumber);
-    const { data: comparison } = await octokit.repos.compareCommits({
-      owner: process.env.GITHUB_OWNER,
-      repo: process.env.GITHUB_REPO,
-      base: `releases/${previousRelease}`,
-      head: `releases/${releaseNumber}`,
-    });
-    
+    const release = await extractReleaseChanges(releaseNumber, overrides);
+    const { commits, changes: releaseChanges, stats } = release;
+    results.previousRelease = release.previousRelease;
+    results.base = release.base;
+    results.head = release.head;
+    results.compareUrl = release.compareUrl;
+    results.repositories = release.repositories;
+
     results.github = {
       success: true,
-      commitCount: comparison.commits.length,
-      commits: comparison.commits.slice(0, 5).map(commit => ({
+      commitCount: commits.length,
+      commits: commits.slice(0, 5).map(commit => ({
         sha: commit.sha.substring(0, 7),
         message: commit.commit.message.split('\n')[0],
         author: commit.commit.author.name,
         date: commit.commit.author.date,
       })),
-      moreCommits: comparison.commits.length > 5,
+      moreCommits: commits.length > 5,
+      coverage: release.coverage,
+      pullRequests: release.pullRequestLookup,
     };
 
-    // --- 2. Process commits and extract JIRA references ---
-    const releaseChanges = [];
-    const processedCommits = new Set();
-    const jiraRegex = new RegExp(`\\b${process.env.JIRA_PROJECT}-\\d+\\b`, 'gi');
-    let totalJiraReferences = 0;
-    let commitsWithJira = 0;
-
-    for (const commit of comparison.commits) {
-      const commitSha = commit.sha.substring(0, 7);
-      const commitTitle = commit.commit.message.split('\n')[0];
-      const commitMessage = commit.commit.message;
-      
-      // Skip if we've already processed this commit
-      if (processedCommits.has(commitSha)) {
-        continue;
-      }
-      processedCommits.add(commitSha);
-      
-      // Check both title and full message for JIRA references
-      const allText = `${commitTitle} ${commitMessage}`;
-      const jiraMatches = allText.match(jiraRegex);
-      const githubRegex = /#(\d+)/g;
-      const githubMatches = allText.match(githubRegex);
-      
-      if (jiraMatches && jiraMatches.length > 0) {
-        totalJiraReferences += jiraMatches.length;
-        commitsWithJira++;
-        
-        // Found JIRA references - link to first one found
-        const firstJiraTicket = jiraMatches[0].toUpperCase();
-        // Remove GitHub reference from title for clean JIRA link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        
-        const changeEntry = {
-          type: 'jira',
-          key: firstJiraTicket,
-          summary: cleanTitle,
-          url: `${formatJiraServerUrl(process.env.JIRA_SERVER)}/browse/${firstJiraTicket}`,
-          commitSha: commitSha,
-          commitAuthor: commit.commit.author.name,
-          allJiraRefs: jiraMatches.map(m => m.toUpperCase()),
-        };
-        
-        // Add GitHub info if GitHub reference found
-        if (githubMatches && githubMatches.length > 0) {
-          const firstGithubRef = githubMatches[0].replace('#', '');
-          const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-          changeEntry.githubKey = firstGithubRef;
-          changeEntry.githubUrl = githubUrl;
-          changeEntry.allGithubRefs = githubMatches;
-        }
-        
-        releaseChanges.push(changeEntry);
-      } else if (githubMatches && githubMatches.length > 0) {
-        // No JIRA but found GitHub reference
-        const firstGithubRef = githubMatches[0].replace('#', '');
-        const githubUrl = `https://github.com/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/pull/${firstGithubRef}`;
-        // Remove the GitHub reference from the title since it's already in the link
-        const cleanTitle = commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
-        releaseChanges.push({
-          type: 'github',
-          key: firstGithubRef,
-          summary: cleanTitle,
-          url: githubUrl,
-          commitSha: commitSha,
-          commitAuthor: commit.commit.author.name,
-          allGithubRefs: githubMatches,
-        });
-      }
-      // Skip commits with no references (don't add to releaseChanges)
-    }
-
-    const commitsWithGithub = releaseChanges.filter(change => change.type === 'github').length;
-    const commitsSkipped = comparison.commits.length - releaseChanges.length;
-    
+    // --- 2. Report extracted JIRA/GitHub references ---
     results.jiraExtraction = {
       success: true,
-      totalCommits: comparison.commits.length,
-      commitsIncluded: releaseChanges.length,
-      commitsSkipped: commitsSkipped,
-      commitsWithJira: commitsWithJira,
-      commitsWithGithub: commitsWithGithub,
-      totalJiraReferences,
+      totalCommits: stats.total,
+      commitsIncluded: stats.processed,
+      commitsSkipped: stats.skipped,
+      commitsWithJira: stats.withJira,
+      commitsWithGithub: stats.withGithub,
+      totalJiraReferences: stats.totalJiraReferences,
+      changesAfterGrouping: stats.changes,
+      exclusions: release.exclusions,
+      reverts: release.reverts,
+      shipped: release.shipped,
+      pathScope: release.pathScope,
       releaseChanges,
-      regex: jiraRegex.toString(),
+      patterns: release.jiraPatterns,
+      enrichment: release.jiraEnrichment,
     };
 
-    // --- 3. Generate announcement preview ---
-    if (releaseChanges.length > 0) {
-      const changesText = releaseChanges
-        .map(change => {
-          if (change.type === 'jira') {
-            let changeText = `• <${change.url}|${change.summary}>`;
-            // Append GitHub link if present
-            if (change.githubUrl) {
-              changeText += ` <${change.githubUrl}|(#${change.githubKey})>`;
-            }
-            return changeText;
-          } else if (change.type === 'github') {
-            return `• ${change.summary} <${change.url}|(#${change.key})>`;
-          } else {
-            return `• ${change.summary}`;
-          }
-        })
-        .join('\n');
-      
-      results.announcement = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:*\n${changesText}`;
-    } else {
-      results.announcement = `*Deploying to prod* 🚀\n*Branch:* \`releases/${releaseNumber}\`\n*Changes:* No commits found in this release.`;
+    // --- 3. Generate announcement preview, with the channel's template if it has one ---
+    let template = null;
+    if (channel) {
+      try {
+        template = getChannelTemplate({ channelId: channel, channelName: channel });
+        results.template = { channel, name: template ? template.name : null, valid: true };
+      } catch (templateError) {
+        results.template = { channel, valid: false, error: templateError.message };
+      }
     }
+    results.announcement = renderReleaseMessage(releaseNumber, releaseChanges, {
+      template,
+      branch: release.head,
+      refType: release.source.type,
+      repositories: release.repositories,
+      sections: release.sections,
+      hotfix: release.hotfix,
+      previousRelease: release.previousRelease,
+      base: release.base,
+      compareUrl: release.compareUrl,
+      stats: release.stats
+    });
 
   } catch (error) {
     if (!results.github.success) {
@@ -381,7 +280,8 @@ module.exports = async (req, res) => {
   }
 
   const { method, query } = req;
-  const { test, release } = query;
+  const { test, release, base, head, paths, channel } = query;
+  const hotfix = query.hotfix === 'true';
 
   try {
     // Health check
@@ -401,6 +301,10 @@ module.exports = async (req, res) => {
           github: '/api/test?test=github',
           jira: '/api/test?test=jira',
           release: '/api/test?test=release&release=2.1.0',
+          releaseRange: '/api/test?test=release&release=67&base=releases/64',
+          hotfix: '/api/test?test=release&release=67.1&hotfix=true',
+          paths: '/api/test?test=release&release=67&paths=services/economy/**',
+          template: '/api/test?test=release&release=67&channel=releases-economy',
           all: '/api/test?test=all&release=2.1.0'
         },
         environment: {
@@ -439,7 +343,7 @@ module.exports = async (req, res) => {
         });
       }
 
-      const result = await testReleaseAnnouncement(release);
+      const result = await testReleaseAnnouncement(release, { base, head, hotfix, paths }, channel);
       return res.status(200).json({
         test: 'release',
         ...result,
@@ -453,7 +357,7 @@ module.exports = async (req, res) => {
       const [githubResult, jiraResult, releaseResult] = await Promise.all([
         testGitHubConnection(),
         testJiraConnection(),
-        testReleaseAnnouncement(releaseNumber),
+        testReleaseAnnouncement(releaseNumber, { base, head }),
       ]);
 
       return res.status(200).json({
@@ -0,0 +1,348 @@
+// Block Kit rendering for sent announcements: a header, a context line with the ref, compare
+// link and author, the change list in sections and a "View full diff" button. Slack limits
+// section text to 3000 characters and a message to 50 blocks, so long lists are split over
+// several sections and, if needed, several messages. The mrkdwn text from lib/render.js (or
+// the channel's template) goes along as the notification fallback.
+require('dotenv').config();
+const {
+  ANNOUNCEMENT_HEADER,
+  HOTFIX_HEADER,
+  renderBreakingBlock,
+  renderCategorizedEntries,
+  renderChangeList,
+} = require('./render');
+const {
+  shouldThreadAnnouncement,
+  summarizeEntries,
+  renderSummaryCounts,
+  renderSummaryHighlights,
+  renderThreadPointer,
+  renderAnnouncementSummary,
+} = require('./summary');
+const { renderAnnouncementMetadata } = require('./slack-threads');
+
+const ANNOUNCEMENT_FORMATS = ['blocks', 'text'];
+const MAX_SECTION_LENGTH = 2900;
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_HEADER_LENGTH = 150;
+const MAX_FALLBACK_LENGTH = 3000;
+const MAX_BUTTONS = 25;
+// Plain-text messages are cut off with "Show more" beyond about 4000 characters
+const MAX_TEXT_MESSAGE_LENGTH = 3900;
+
+// --- Helper function to read whether announcements are sent as blocks or plain text ---
+function getAnnouncementFormat(options = {}) {
+  const { format = process.env.ANNOUNCEMENT_FORMAT || 'blocks' } = options;
+  if (!ANNOUNCEMENT_FORMATS.includes(format)) {
+    throw new Error(`Invalid announcement format: ${format} (must be one of ${ANNOUNCEMENT_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+// --- Helper function to chunk text for Slack blocks ---
+function chunkTextForSlack(text, maxLength = MAX_SECTION_LENGTH) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const chunks = [];
+  const lines = text.split('\n');
+  let currentChunk = '';
+
+  for (const line of lines) {
+    // If adding this line would exceed the limit, start a new chunk
+    if (currentChunk.length + line.length + 1 > maxLength) {
+      if (currentChunk) {
+        chunks.push(currentChunk.trim());
+        currentChunk = '';
+      }
+
+      // If a single line is too long, truncate it
+      if (line.length > maxLength) {
+        chunks.push(line.substring(0, maxLength - 3) + '...');
+      } else {
+        currentChunk = line;
+      }
+    } else {
+      currentChunk += (currentChunk ? '\n' : '') + line;
+    }
+  }
+
+  if (currentChunk) {
+    chunks.push(currentChunk.trim());
+  }
+
+  return chunks;
+}
+
+// --- Helper function to turn mrkdwn text into section blocks ---
+// Paragraphs (e.g. category sections) start a new block, so a heading stays with its list.
+function textToSectionBlocks(text) {
+  return text
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .flatMap(paragraph => chunkTextForSlack(paragraph))
+    .map(chunk => ({ type: 'section', text: { type: 'mrkdwn', text: chunk } }));
+}
+
+// --- Helper function to turn a mrkdwn headline into plain text for a header block ---
+function toPlainText(text) {
+  return text.replace(/[*_~`]/g, '').trim();
+}
+
+// --- Helper function to build the context line under the header ---
+function renderContextBlock(releaseNumber, options) {
+  const { branch, refType = 'branch', repositories = [], hotfix = null, base = null, compareUrl = null, author = null } = options;
+
+  const elements = [];
+  if (repositories.length > 1) {
+    elements.push(`*Release:* \`${releaseNumber}\``);
+  } else {
+    elements.push(`*${refType === 'tag' ? 'Tag' : 'Branch'}:* \`${branch}\``);
+    if (compareUrl) {
+      elements.push(`<${compareUrl}|${base ? `\`${base}...${branch}\`` : 'Compare'}>`);
+    }
+  }
+  if (hotfix?.parentRelease) {
+    const original = hotfix.permalink ? ` · <${hotfix.permalink}|original announcement>` : '';
+    elements.push(`*Hotfix for:* \`${hotfix.parentRelease}\`${original}`);
+  }
+  if (author) {
+    elements.push(`Announced by ${author}`);
+  }
+
+  return {
+    type: 'context',
+    elements: elements.map(text => ({ type: 'mrkdwn', text })),
+  };
+}
+
+// --- Helper function to build the change list blocks ---
+// Same layout as the mrkdwn announcement: breaking changes first, then a heading per
+// repository (for multi-repo releases) with the category sections below it.
+function renderChangeBlocks(entries, options) {
+  const { repositories = [], sections = null, emptyText = 'No commits found in this release.' } = options;
+  if (entries.length === 0) {
+    return textToSectionBlocks(`*Changes:* ${emptyText}`);
+  }
+
+  const multiRepo = repositories.length > 1;
+  const isBreaking = entry => typeof entry !== 'string' && Boolean(entry.breaking);
+  const breakingEntries = entries.filter(isBreaking);
+  const changes = entries.filter(entry => !isBreaking(entry));
+
+  const blocks = [];
+  if (breakingEntries.length > 0) {
+    blocks.push(...textToSectionBlocks(renderBreakingBlock(breakingEntries, multiRepo)));
+  }
+  if (changes.length === 0) {
+    return blocks;
+  }
+
+  if (!multiRepo) {
+    if (breakingEntries.length > 0) blocks.push({ type: 'divider' });
+    blocks.push(...textToSectionBlocks(renderCategorizedEntries(changes, sections)));
+    return blocks;
+  }
+
+  const repositoryOf = entry => (typeof entry === 'string' ? null : entry.repository?.name);
+  const known = new Set(repositories.map(repository => repository.name));
+  const groups = repositories
+    .map(repository => ({ repository, entries: changes.filter(entry => repositoryOf(entry) === repository.name) }))
+    .concat([{ repository: null, entries: changes.filter(entry => !known.has(repositoryOf(entry))) }])
+    .filter(group => group.entries.length > 0);
+
+  for (const { repository, entries: repositoryEntries } of groups) {
+    if (blocks.length > 0) blocks.push({ type: 'divider' });
+    const list = renderCategorizedEntries(repositoryEntries, sections, '_');
+    if (!repository) {
+      blocks.push(...textToSectionBlocks(list));
+      continue;
+    }
+    const ref = repository.head ? ` · \`${repository.head}\`` : '';
+    const diff = repository.compareUrl ? ` · <${repository.compareUrl}|diff>` : '';
+    blocks.push(...textToSectionBlocks(`*${repository.name}*${ref}${diff}\n${list}`));
+  }
+  return blocks;
+}
+
+// --- Helper function to build the "View full diff" button(s) ---
+function renderDiffActions(options) {
+  const { repositories = [], compareUrl = null } = options;
+  const links = repositories.length > 1
+    ? repositories.filter(repository => repository.compareUrl)
+      .map(repository => ({ label: `View ${repository.name} diff`, url: repository.compareUrl }))
+    : (compareUrl ? [{ label: 'View full diff', url: compareUrl }] : []);
+  if (links.length === 0) return null;
+
+  return {
+    type: 'actions',
+    elements: links.slice(0, MAX_BUTTONS).map((link, index) => ({
+      type: 'button',
+      action_id: `view_diff_${index}`,
+      text: { type: 'plain_text', text: link.label.substring(0, 75) },
+      url: link.url,
+    })),
+  };
+}
+
+// --- Helper function to build the header block ---
+function renderHeaderBlock(releaseNumber, hotfix) {
+  const headline = toPlainText(hotfix ? HOTFIX_HEADER : ANNOUNCEMENT_HEADER);
+  return {
+    type: 'header',
+    text: { type: 'plain_text', text: `${headline} · ${releaseNumber}`.substring(0, MAX_HEADER_LENGTH), emoji: true },
+  };
+}
+
+// --- Helper function to split blocks into messages of at most 50 blocks ---
+function splitIntoMessages(blocks, fallbackText) {
+  if (blocks.length === 0) return [{ text: fallbackText }];
+
+  const messages = [];
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_MESSAGE) {
+    messages.push({ blocks: blocks.slice(i, i + MAX_BLOCKS_PER_MESSAGE) });
+  }
+
+  // Notifications show the first message's text; the rest only need a placeholder
+  const fallback = fallbackText.length > MAX_FALLBACK_LENGTH
+    ? `${fallbackText.substring(0, MAX_FALLBACK_LENGTH - 3)}...`
+    : fallbackText;
+  return messages.map((message, index) => ({
+    text: index === 0 ? fallback : `(continued ${index + 1}/${messages.length})`,
+    ...message,
+  }));
+}
+
+// --- Helper function to render the channel summary of a threaded announcement ---
+function renderSummaryBlocks(releaseNumber, entries, options) {
+  const summary = summarizeEntries(entries, options);
+  const multiRepo = (options.repositories || []).length > 1;
+  const highlights = renderSummaryHighlights(summary);
+
+  const blocks = [
+    renderHeaderBlock(releaseNumber, options.hotfix),
+    renderContextBlock(releaseNumber, options),
+    ...(options.intro ? textToSectionBlocks(options.intro) : []),
+    ...textToSectionBlocks(renderSummaryCounts(summary)),
+  ];
+  if (summary.breakingEntries.length > 0) {
+    blocks.push(...textToSectionBlocks(renderBreakingBlock(summary.breakingEntries, multiRepo)));
+  }
+  if (highlights) {
+    blocks.push(...textToSectionBlocks(highlights));
+  }
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: renderThreadPointer(summary) }] });
+
+  const actions = renderDiffActions(options);
+  if (actions) blocks.push(actions);
+  return blocks;
+}
+
+// --- Helper function to render the thread replies holding the full change list ---
+// listText is the change list as mrkdwn (the template's output when there is one).
+function renderThreadReplies(entries, listText, options) {
+  const { format = 'blocks', template = null } = options;
+  if (format === 'text') {
+    return chunkTextForSlack(listText, MAX_TEXT_MESSAGE_LENGTH).map(text => ({ text }));
+  }
+
+  const blocks = template ? textToSectionBlocks(listText) : renderChangeBlocks(entries, options);
+  const messages = [];
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_MESSAGE) {
+    messages.push({ blocks: blocks.slice(i, i + MAX_BLOCKS_PER_MESSAGE) });
+  }
+  return messages.map((message, index) => ({
+    text: messages.length > 1 ? `Full change list (${index + 1}/${messages.length})` : 'Full change list',
+    ...message,
+  }));
+}
+
+// --- Render an announcement as the Slack messages to post ---
+// text is the mrkdwn announcement (default format or template output), used as the
+// fallback. With a template the template decides the content, so its output is only split
+// into sections. Returns { messages, replies }: the messages go to the channel, and for
+// threaded announcements (see lib/summary.js) the messages are a summary and the replies,
+// posted in its thread, hold the full change list. Each message is { text, blocks }, or
+// { text } in the plain-text format. The first message carries metadata naming the release,
+// which is how a hotfix finds the announcement to thread under (lib/slack-threads.js).
+function renderAnnouncementMessages(releaseNumber, entries, text, options = {}) {
+  const { messages, replies } = renderAnnouncementContent(releaseNumber, entries, text, options);
+  const [first, ...rest] = messages;
+  return {
+    messages: [{ ...first, metadata: renderAnnouncementMetadata(releaseNumber, options.branch) }, ...rest],
+    replies,
+  };
+}
+
+// --- Helper function to render the messages and thread replies of an announcement ---
+function renderAnnouncementContent(releaseNumber, entries, text, options = {}) {
+  const { format = 'blocks', template = null, hotfix = null } = options;
+
+  if (shouldThreadAnnouncement(entries.length, options)) {
+    const summaryText = renderAnnouncementSummary(releaseNumber, entries, options);
+    const listText = template ? text : renderChangeList(entries, options);
+    return {
+      messages: format === 'text'
+        ? [{ text: summaryText }]
+        : splitIntoMessages(renderSummaryBlocks(releaseNumber, entries, options), summaryText),
+      replies: renderThreadReplies(entries, listText, options),
+    };
+  }
+
+  if (format === 'text') {
+    return { messages: [{ text }], replies: [] };
+  }
+  if (template) {
+    return { messages: splitIntoMessages(textToSectionBlocks(text), text), replies: [] };
+  }
+
+  const blocks = [
+    renderHeaderBlock(releaseNumber, hotfix),
+    renderContextBlock(releaseNumber, options),
+    ...(options.intro ? textToSectionBlocks(options.intro) : []),
+    ...renderChangeBlocks(entries, options),
+  ];
+  const actions = renderDiffActions(options);
+  if (actions) blocks.push(actions);
+
+  return { messages: splitIntoMessages(blocks, text), replies: [] };
+}
+
+// --- Post an announcement ---
+// Continuation messages are posted like the first one: in the channel, or with extra's
+// thread_ts (hotfixes) in that thread too, where only the first is broadcast. Replies go in
+// the thread of the first message, or in the hotfix's thread. Returns every postMessage
+// result, plus the first one on its own.
+async function postAnnouncementMessages(client, channel, announcement, extra = {}) {
+  const { messages, replies = [] } = announcement;
+  const { reply_broadcast: replyBroadcast, ...threading } = extra;
+
+  const results = [];
+  for (const [index, message] of messages.entries()) {
+    results.push(await client.chat.postMessage({
+      channel,
+      mrkdwn: true,
+      ...message,
+      ...threading,
+      ...(index === 0 && replyBroadcast ? { reply_broadcast: true } : {}),
+    }));
+  }
+
+  const threadTs = threading.thread_ts || results[0].ts;
+  const replyResults = [];
+  for (const reply of replies) {
+    replyResults.push(await client.chat.postMessage({ channel, mrkdwn: true, ...reply, thread_ts: threadTs }));
+  }
+
+  return { result: results[0], results, replies: replyResults };
+}
+
+module.exports = {
+  ANNOUNCEMENT_FORMATS,
+  getAnnouncementFormat,
+  chunkTextForSlack,
+  textToSectionBlocks,
+  renderAnnouncementMessages,
+  postAnnouncementMessages,
+};
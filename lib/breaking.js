@@ -0,0 +1,111 @@
+// Detects breaking changes so announcements can put them in a highlighted block at the top.
+// A change is breaking when one of its commits has a "BREAKING CHANGE:" footer or a "!" after
+// its conventional-commit type ("feat!: ..."), or when its PR carries a breaking label.
+require('dotenv').config();
+const { parseConventionalCommit } = require('./categories');
+
+const DEFAULT_BREAKING_LABELS = ['breaking', 'breaking-change'];
+const MAX_MIGRATION_LENGTH = 500;
+
+// --- Helper function to read the labels that mark a PR as breaking ---
+function getBreakingLabels(options = {}) {
+  const { breakingLabels = process.env.BREAKING_LABELS } = options;
+  if (!breakingLabels) return DEFAULT_BREAKING_LABELS;
+
+  const labels = Array.isArray(breakingLabels) ? breakingLabels : breakingLabels.split(',');
+  return labels.map(label => label.trim().toLowerCase()).filter(Boolean);
+}
+
+// --- Helper function to find a "BREAKING CHANGE:" footer ---
+// Returns the footer text (which may continue over several lines until a blank line or the
+// next trailer), or null when the message has none.
+function findBreakingFooter(message) {
+  const lines = message.split('\n');
+  const start = lines.findIndex(line => /^BREAKING[ -]CHANGE:/.test(line));
+  if (start === -1) return null;
+
+  const footer = [lines[start].replace(/^BREAKING[ -]CHANGE:\s*/, '')];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim() || /^[\w-]+: /.test(line) || /^[\w-]+ #/.test(line)) break;
+    footer.push(line.trim());
+  }
+  return footer.join(' ').trim();
+}
+
+// --- Helper function to get a commit's body without its title and trailers ---
+function getCommitBody(message) {
+  return message
+    .split('\n')
+    .slice(1)
+    .filter(line => !/^[\w-]+-by: /i.test(line))
+    .join('\n')
+    .trim();
+}
+
+// --- Helper function to shorten a migration note for Slack ---
+function truncateMigration(text) {
+  if (!text) return null;
+  return text.length > MAX_MIGRATION_LENGTH ? `${text.substring(0, MAX_MIGRATION_LENGTH - 3)}...` : text;
+}
+
+// --- Detect whether a (grouped) change is breaking ---
+// Returns { reasons, migration } or null. The migration note is the BREAKING CHANGE footer
+// when there is one, otherwise the body of the breaking commit.
+function detectBreakingChange(change, labels = DEFAULT_BREAKING_LABELS) {
+  const reasons = new Set();
+  let migration = null;
+  let fallbackBody = null;
+
+  for (const commit of change.commits || [change.commit]) {
+    const footer = findBreakingFooter(commit.message);
+    const markedBreaking = Boolean(parseConventionalCommit(commit.title)?.breaking);
+    if (footer !== null) {
+      reasons.add('footer');
+      migration = migration || footer || null;
+    }
+    if (markedBreaking) {
+      reasons.add('conventional-commit');
+    }
+    if (footer !== null || markedBreaking) {
+      fallbackBody = fallbackBody || getCommitBody(commit.message) || null;
+    }
+  }
+
+  if (parseConventionalCommit(change.pullRequest?.title)?.breaking) {
+    reasons.add('conventional-commit');
+  }
+  if ((change.pullRequest?.labels || []).some(label => labels.includes(label.toLowerCase()))) {
+    reasons.add('label');
+    if (!fallbackBody) {
+      fallbackBody = (change.commits || [change.commit]).map(commit => getCommitBody(commit.message)).find(Boolean) || null;
+    }
+  }
+
+  if (reasons.size === 0) return null;
+  return { reasons: [...reasons], migration: truncateMigration(migration || fallbackBody) };
+}
+
+// --- Flag breaking changes in place ---
+// Sets change.breaking = { reasons, migration } on every breaking change and returns them.
+function markBreakingChanges(changes, options = {}) {
+  const labels = getBreakingLabels(options);
+  const breakingChanges = [];
+
+  for (const change of changes) {
+    const breaking = detectBreakingChange(change, labels);
+    if (breaking) {
+      change.breaking = breaking;
+      breakingChanges.push(change);
+    }
+  }
+
+  return breakingChanges;
+}
+
+module.exports = {
+  DEFAULT_BREAKING_LABELS,
+  getBreakingLabels,
+  findBreakingFooter,
+  detectBreakingChange,
+  markBreakingChanges,
+};
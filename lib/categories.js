@@ -0,0 +1,172 @@
+// Sorts changes into announcement sections (Features, Fixes, ...). A change's category comes
+// from its conventional-commit prefix ("feat(shop): ..."), then its PR labels, then its Jira
+// issue type; anything unmapped lands in "Other changes".
+require('dotenv').config();
+const { parseJsonEnv } = require('./config');
+
+const OTHER_CATEGORY = 'other';
+
+// Section order is the order sections appear in announcements
+const DEFAULT_CATEGORY_CONFIG = {
+  sections: [
+    { key: 'breaking', title: '💥 Breaking Changes' },
+    { key: 'features', title: '✨ Features' },
+    { key: 'fixes', title: '🐛 Fixes' },
+    { key: 'performance', title: '⚡ Performance' },
+    { key: 'chores', title: '🧹 Chores' },
+    { key: 'reverted', title: '↩️ Reverted' },
+    { key: OTHER_CATEGORY, title: '📦 Other changes' },
+  ],
+  types: {
+    feat: 'features',
+    feature: 'features',
+    fix: 'fixes',
+    bugfix: 'fixes',
+    hotfix: 'fixes',
+    perf: 'performance',
+    chore: 'chores',
+    build: 'chores',
+    ci: 'chores',
+    deps: 'chores',
+    docs: 'chores',
+    refactor: 'chores',
+    style: 'chores',
+    test: 'chores',
+  },
+  labels: {
+    feature: 'features',
+    enhancement: 'features',
+    bug: 'fixes',
+    bugfix: 'fixes',
+    performance: 'performance',
+    dependencies: 'chores',
+    documentation: 'chores',
+    chore: 'chores',
+  },
+  issueTypes: {
+    story: 'features',
+    'new feature': 'features',
+    improvement: 'features',
+    epic: 'features',
+    bug: 'fixes',
+  },
+};
+
+// Optional leading ticket references ("WSU-123 feat: ...", "[WSU-123] fix: ...") are skipped
+const CONVENTIONAL_COMMIT_REGEX = /^(?:\[?[A-Z][A-Z0-9_]*-\d+\]?[\s:,-]*)*(\w+)(?:\(([^)]*)\))?(!)?:\s+\S/;
+
+// --- Helper function to check whether categorised announcements are turned on ---
+function isCategorizationEnabled(options = {}) {
+  const { categorize = process.env.CATEGORIZE_CHANGES !== 'false' } = options;
+  return Boolean(categorize);
+}
+
+// --- Helper function to lower-case the keys of a mapping ---
+function normalizeMapping(mapping = {}) {
+  return Object.fromEntries(
+    Object.entries(mapping).map(([name, category]) => [name.toLowerCase(), category])
+  );
+}
+
+// --- Get the category mapping and section order ---
+// CHANGE_CATEGORIES is a JSON object with any of sections, types, labels and issueTypes.
+// Mappings are merged over the defaults; sections, when given, replace the default order.
+function getCategoryConfig(overrides = null) {
+  const configured = overrides || parseJsonEnv('CHANGE_CATEGORIES', {});
+
+  const sections = (configured.sections || DEFAULT_CATEGORY_CONFIG.sections).map(section => (
+    typeof section === 'string' ? { key: section, title: section } : section
+  ));
+  if (!sections.some(section => section.key === OTHER_CATEGORY)) {
+    sections.push(DEFAULT_CATEGORY_CONFIG.sections.find(section => section.key === OTHER_CATEGORY));
+  }
+
+  return {
+    sections,
+    types: normalizeMapping({ ...DEFAULT_CATEGORY_CONFIG.types, ...configured.types }),
+    labels: normalizeMapping({ ...DEFAULT_CATEGORY_CONFIG.labels, ...configured.labels }),
+    issueTypes: normalizeMapping({ ...DEFAULT_CATEGORY_CONFIG.issueTypes, ...configured.issueTypes }),
+  };
+}
+
+// --- Helper function to parse a conventional-commit prefix ---
+// Returns { type, scope, breaking } or null when the title doesn't follow the convention.
+function parseConventionalCommit(title) {
+  const match = (title || '').match(CONVENTIONAL_COMMIT_REGEX);
+  if (!match) return null;
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3]),
+  };
+}
+
+// --- Helper function to find the category of a single change ---
+function categorizeChange(change, config) {
+  const known = category => config.sections.some(section => section.key === category);
+
+  // Breaking changes (flagged by lib/breaking.js) always get their own section
+  if (change.breaking && known('breaking')) {
+    return { category: 'breaking', source: 'breaking-change' };
+  }
+
+  // Reverts of earlier releases too
+  if (change.revert && known('reverted')) {
+    return { category: 'reverted', source: 'revert' };
+  }
+
+  // 1. Conventional-commit prefix of the PR title or any of the commits
+  const titles = [change.pullRequest?.title, ...(change.commits || [change.commit]).map(commit => commit.title)];
+  for (const title of titles) {
+    const conventional = parseConventionalCommit(title);
+    const category = conventional && config.types[conventional.type];
+    if (category && known(category)) {
+      return { category, source: 'conventional-commit', conventional };
+    }
+  }
+
+  // 2. PR labels
+  for (const label of change.pullRequest?.labels || []) {
+    const category = config.labels[label.toLowerCase()];
+    if (category && known(category)) {
+      return { category, source: 'label' };
+    }
+  }
+
+  // 3. Jira issue type (only known when Jira enrichment is on)
+  const issueType = change.jira?.issueType;
+  const category = issueType && config.issueTypes[issueType.toLowerCase()];
+  if (category && known(category)) {
+    return { category, source: 'jira-issue-type' };
+  }
+
+  return { category: OTHER_CATEGORY, source: null };
+}
+
+// --- Assign a category to every change and order them by section ---
+// Sets change.category (and change.categorySource) in place; returns the changes sorted by
+// section order, keeping the release order within each section.
+function categorizeChanges(changes, options = {}) {
+  const config = getCategoryConfig(options.categories);
+  const order = new Map(config.sections.map((section, index) => [section.key, index]));
+
+  for (const change of changes) {
+    const { category, source, conventional } = categorizeChange(change, config);
+    change.category = category;
+    change.categorySource = source;
+    if (conventional) change.conventional = conventional;
+  }
+
+  return [...changes].sort((a, b) => order.get(a.category) - order.get(b.category));
+}
+
+module.exports = {
+  OTHER_CATEGORY,
+  DEFAULT_CATEGORY_CONFIG,
+  isCategorizationEnabled,
+  getCategoryConfig,
+  parseConventionalCommit,
+  categorizeChange,
+  categorizeChanges,
+};
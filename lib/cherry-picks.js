@@ -0,0 +1,105 @@
+// Finds commits that already shipped in the previous release line. Hotfixes cherry-picked
+// into releases/66 and merged forward would otherwise be announced again with 67. A release
+// commit counts as shipped when a "(cherry picked from commit ...)" trailer links it to a
+// commit on the previous line, or when a previous-line commit with the same ticket or title
+// has the same patch-id.
+const crypto = require('crypto');
+require('dotenv').config();
+
+const SHIPPED_MODES = ['omit', 'mark', 'off'];
+
+// --- Helper function to read how already-shipped changes are handled ---
+function getShippedMode(options = {}) {
+  const { shippedChanges = process.env.SHIPPED_CHANGES || 'omit' } = options;
+  if (!SHIPPED_MODES.includes(shippedChanges)) {
+    throw new Error(`Invalid shippedChanges mode: ${shippedChanges} (must be one of ${SHIPPED_MODES.join(', ')})`);
+  }
+  return shippedChanges;
+}
+
+// --- Helper function to read the cherry-pick trailers of a commit ---
+function parseCherryPickTrailers(commit) {
+  const matches = commit.commit.message.matchAll(/\(cherry picked from commit ([0-9a-f]{7,40})\)/gi);
+  return [...matches].map(match => match[1].toLowerCase());
+}
+
+// --- Helper function to compare a full SHA with a possibly abbreviated one ---
+function sameSha(a, b) {
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+// --- Helper function to compute a patch-id for a commit ---
+// Like `git patch-id`: a hash of the added and removed lines per file, ignoring whitespace,
+// line numbers and context, so the same change applied on another branch gets the same id.
+async function computePatchId(octokit, { owner, repo, sha }) {
+  const { data } = await octokit.repos.getCommit({ owner, repo, ref: sha });
+  const hash = crypto.createHash('sha1');
+
+  const files = [...(data.files || [])].sort((a, b) => a.filename.localeCompare(b.filename));
+  for (const file of files) {
+    hash.update(`${file.filename}\n`);
+    for (const line of (file.patch || '').split('\n')) {
+      if (/^[+-]/.test(line)) {
+        hash.update(`${line[0]}${line.slice(1).replace(/\s+/g, '')}\n`);
+      }
+    }
+  }
+  return hash.digest('hex');
+}
+
+// --- Find release commits equivalent to a commit on the previous release line ---
+// previousCommits are the commits that shipped in the previous release (its own compare range).
+// describeCommit(commit) returns { title, tickets } used to pick patch-id candidates.
+// Returns a Map of release commit SHA -> { sha, title, reason } of the shipped equivalent.
+async function findShippedCommits(octokit, { owner, repo, commits, previousCommits, describeCommit }) {
+  const shipped = new Map();
+  if (previousCommits.length === 0) return shipped;
+
+  const previous = previousCommits.map(commit => ({
+    commit,
+    trailers: parseCherryPickTrailers(commit),
+    ...describeCommit(commit),
+  }));
+
+  const patchIds = new Map();
+  const patchIdOf = async sha => {
+    if (!patchIds.has(sha)) {
+      patchIds.set(sha, computePatchId(octokit, { owner, repo, sha }));
+    }
+    return patchIds.get(sha);
+  };
+
+  for (const commit of commits) {
+    const trailers = parseCherryPickTrailers(commit);
+
+    // 1. A cherry-pick trailer links the two commits (in either direction, or to a shared original)
+    const linked = previous.find(candidate => candidate.trailers.some(sha => sameSha(commit.sha, sha))
+      || trailers.some(sha => sameSha(candidate.commit.sha, sha))
+      || trailers.some(sha => candidate.trailers.some(other => sameSha(sha, other))));
+    if (linked) {
+      shipped.set(commit.sha, { sha: linked.commit.sha, title: linked.title, reason: 'cherry-pick-trailer' });
+      continue;
+    }
+
+    // 2. Same ticket or title, and the same patch
+    const { title, tickets } = describeCommit(commit);
+    const candidates = previous.filter(candidate => candidate.title === title
+      || candidate.tickets.some(ticket => tickets.includes(ticket)));
+    for (const candidate of candidates) {
+      if (await patchIdOf(commit.sha) === await patchIdOf(candidate.commit.sha)) {
+        shipped.set(commit.sha, { sha: candidate.commit.sha, title: candidate.title, reason: 'patch-id' });
+        break;
+      }
+    }
+  }
+
+  return shipped;
+}
+
+module.exports = {
+  SHIPPED_MODES,
+  getShippedMode,
+  parseCherryPickTrailers,
+  computePatchId,
+  findShippedCommits,
+};
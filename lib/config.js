@@ -0,0 +1,113 @@
+// Shared configuration helpers. Settings come from environment variables, with
+// JSON-valued variables for anything that is a list.
+require('dotenv').config();
+
+// --- Helper function to parse a JSON environment variable ---
+function parseJsonEnv(name, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+}
+
+// --- Helper function to normalize a repository definition ---
+// Accepts "owner/repo" or { owner, repo, name, refTemplate, refType, includeTags }
+function normalizeRepository(repository) {
+  const definition = typeof repository === 'string'
+    ? { owner: repository.split('/')[0], repo: repository.split('/')[1] }
+    : { ...repository };
+
+  if (!definition.owner || !definition.repo) {
+    throw new Error(`Invalid repository definition: ${JSON.stringify(repository)} (owner and repo are required)`);
+  }
+
+  return {
+    ...definition,
+    name: definition.name || definition.repo,
+  };
+}
+
+// --- Get the repositories that make up a release ---
+// RELEASE_REPOS (a JSON array) defines multi-repository releases; otherwise the single
+// GITHUB_OWNER/GITHUB_REPO repository is used.
+function getRepositories(overrides = null) {
+  if (Array.isArray(overrides) && overrides.length > 0) {
+    return overrides.map(normalizeRepository);
+  }
+
+  const configured = parseJsonEnv('RELEASE_REPOS', null);
+  if (configured) {
+    if (!Array.isArray(configured) || configured.length === 0) {
+      throw new Error('Invalid RELEASE_REPOS: expected a non-empty JSON array');
+    }
+    return configured.map(normalizeRepository);
+  }
+
+  if (!process.env.GITHUB_OWNER || !process.env.GITHUB_REPO) {
+    throw new Error('GITHUB_OWNER and GITHUB_REPO must be set (or RELEASE_REPOS for multi-repository releases)');
+  }
+
+  return [normalizeRepository({
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO,
+  })];
+}
+
+// --- Helper function to escape a string for use in a regex ---
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// --- Helper function to normalize a Jira project definition ---
+// Accepts "WSU" or { key, pattern, server }. A custom pattern replaces the KEY-123 format.
+function normalizeJiraProject(project) {
+  const definition = typeof project === 'string' ? { key: project.trim() } : { ...project };
+
+  if (!definition.key && !definition.pattern) {
+    throw new Error(`Invalid Jira project definition: ${JSON.stringify(project)} (key or pattern is required)`);
+  }
+
+  const pattern = definition.pattern || `${escapeRegex(definition.key)}-\\d+`;
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid Jira ticket pattern for ${definition.key || pattern}: ${error.message}`);
+  }
+
+  return {
+    key: definition.key || null,
+    pattern,
+    server: definition.server || process.env.JIRA_SERVER,
+  };
+}
+
+// --- Get the Jira projects whose ticket references are linked ---
+// JIRA_PROJECTS is a comma-separated list of keys or a JSON array of { key, pattern, server };
+// otherwise the single JIRA_PROJECT is used.
+function getJiraProjects(overrides = null) {
+  if (Array.isArray(overrides) && overrides.length > 0) {
+    return overrides.map(normalizeJiraProject);
+  }
+
+  const configured = process.env.JIRA_PROJECTS;
+  if (configured) {
+    const projects = configured.trim().startsWith('[')
+      ? parseJsonEnv('JIRA_PROJECTS', [])
+      : configured.split(',').filter(key => key.trim());
+    return projects.map(normalizeJiraProject);
+  }
+
+  return process.env.JIRA_PROJECT ? [normalizeJiraProject(process.env.JIRA_PROJECT)] : [];
+}
+
+module.exports = {
+  parseJsonEnv,
+  normalizeRepository,
+  getRepositories,
+  normalizeJiraProject,
+  getJiraProjects,
+};
@@ -0,0 +1,267 @@
+// Server-side store for announcement drafts. The /release preview saves everything the send
+// needs (the exact changes that were previewed, refs, sections, hotfix thread, ...) as a
+// draft, and its buttons only carry the draft ID. Drafts expire after DRAFT_TTL_SECONDS.
+//
+// Stores share one small interface: get(key), set(key, value, ttlSeconds) and delete(key),
+// with values as strings. DRAFT_STORE picks one:
+//   memory  a Map in this process (tests and single-process servers)
+//   file    JSON files in DRAFT_STORE_DIR (one server, or local development)
+//   redis   any Redis speaking the REST protocol (Upstash, Vercel KV) via REDIS_REST_URL and
+//           REDIS_REST_TOKEN, or a node-redis/ioredis client passed in
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+const DRAFT_STORES = ['memory', 'file', 'redis'];
+const DEFAULT_DRAFT_TTL_SECONDS = 24 * 60 * 60;
+const KEY_PREFIX = 'release-announcer:draft:';
+
+// --- Create an in-memory store ---
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// --- Create a store that keeps each draft in a JSON file ---
+function createFileStore({ directory = path.join(os.tmpdir(), 'release-announcer-drafts') } = {}) {
+  // Keys become file names, so keep them to safe characters
+  const fileFor = key => path.join(directory, `${key.replace(/[^\w.-]/g, '_')}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.rm(fileFor(key), { force: true });
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify({ value, expiresAt: Date.now() + ttlSeconds * 1000 }));
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// --- Create a Redis-backed store ---
+// client is a connected node-redis (sendCommand) or ioredis (call) client. Without one, the
+// Redis REST protocol is used, which Upstash and Vercel KV speak.
+function createRedisStore({ client = null, url = process.env.REDIS_REST_URL || process.env.KV_REST_API_URL, token = process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN } = {}) {
+  let command;
+  if (client && typeof client.sendCommand === 'function') {
+    command = args => client.sendCommand(args.map(String));
+  } else if (client && typeof client.call === 'function') {
+    command = args => client.call(...args.map(String));
+  } else if (url) {
+    command = async args => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify(args.map(String)),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok || payload.error) {
+        throw new Error(`Redis ${args[0]} failed: ${payload.error || `HTTP ${response.status}`}`);
+      }
+      return payload.result;
+    };
+  } else {
+    throw new Error('The redis draft store needs REDIS_REST_URL (or KV_REST_API_URL) or a Redis client');
+  }
+
+  return {
+    async get(key) {
+      const value = await command(['GET', key]);
+      return value === undefined ? null : value;
+    },
+    async set(key, value, ttlSeconds) {
+      await command(['SET', key, value, 'EX', ttlSeconds]);
+    },
+    async delete(key) {
+      await command(['DEL', key]);
+    },
+  };
+}
+
+// --- Helper function to read the draft settings ---
+function getDraftOptions(options = {}) {
+  const {
+    draftStore = process.env.DRAFT_STORE || (process.env.REDIS_REST_URL || process.env.KV_REST_API_URL ? 'redis' : 'file'),
+    draftTtlSeconds = process.env.DRAFT_TTL_SECONDS || DEFAULT_DRAFT_TTL_SECONDS,
+  } = options;
+
+  if (!DRAFT_STORES.includes(draftStore)) {
+    throw new Error(`Invalid draft store: ${draftStore} (must be one of ${DRAFT_STORES.join(', ')})`);
+  }
+  const ttlSeconds = Number(draftTtlSeconds);
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error(`Invalid draft TTL: ${draftTtlSeconds} (must be a number of seconds)`);
+  }
+  return { draftStore, ttlSeconds };
+}
+
+// The store is created once per process, so the memory store survives between requests
+let configuredStore = null;
+
+// --- Get the configured draft store ---
+// On Vercel, /api/slack and /api/slack-interactions run as separate functions that share
+// neither memory nor /tmp, so only the redis store works there and anything else is an error.
+function getDraftStore({ serverless = Boolean(process.env.VERCEL) } = {}) {
+  if (!configuredStore) {
+    const { draftStore } = getDraftOptions();
+    if (serverless && draftStore !== 'redis') {
+      throw new Error(`Invalid draft store: ${draftStore} doesn't work on Vercel, where functions don't share memory or /tmp. Set REDIS_REST_URL and REDIS_REST_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN from Vercel KV)`);
+    }
+    if (draftStore === 'memory') {
+      configuredStore = createMemoryStore();
+    } else if (draftStore === 'redis') {
+      configuredStore = createRedisStore();
+    } else {
+      configuredStore = createFileStore(process.env.DRAFT_STORE_DIR ? { directory: process.env.DRAFT_STORE_DIR } : {});
+    }
+  }
+  return configuredStore;
+}
+
+// --- Use a specific draft store (e.g. a Redis client created by the caller) ---
+function setDraftStore(store) {
+  configuredStore = store;
+}
+
+// --- Save a new draft ---
+// Returns the draft ID to carry in button values.
+async function saveDraft(draft, store = getDraftStore()) {
+  const { ttlSeconds } = getDraftOptions();
+  const id = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+  await store.set(`${KEY_PREFIX}${id}`, JSON.stringify({ ...draft, id, expiresAt }), ttlSeconds);
+  return id;
+}
+
+// --- Load a draft ---
+// Returns null when the draft doesn't exist (any more).
+async function loadDraft(id, store = getDraftStore()) {
+  if (!id) return null;
+  const value = await store.get(`${KEY_PREFIX}${id}`);
+  return value ? JSON.parse(value) : null;
+}
+
+// --- Update fields of a draft, keeping its expiry ---
+// Returns the updated draft, or null when it has already expired.
+async function updateDraft(id, fields, store = getDraftStore()) {
+  const draft = await loadDraft(id, store);
+  if (!draft) return null;
+
+  const ttlSeconds = Math.ceil((new Date(draft.expiresAt).getTime() - Date.now()) / 1000);
+  if (ttlSeconds <= 0) return null;
+
+  const updated = { ...draft, ...fields, id, expiresAt: draft.expiresAt };
+  await store.set(`${KEY_PREFIX}${id}`, JSON.stringify(updated), ttlSeconds);
+  return updated;
+}
+
+// --- Delete a draft (after it was sent or cancelled) ---
+async function deleteDraft(id, store = getDraftStore()) {
+  if (!id) return;
+  await store.delete(`${KEY_PREFIX}${id}`);
+}
+
+// --- Render the reply for a button whose draft is gone ---
+function renderDraftExpiredMessage(releaseNumber) {
+  const command = releaseNumber ? `/release ${releaseNumber}` : '/release';
+  return `⌛ This announcement draft has expired. Please rerun \`${command}\` to get a fresh preview.`;
+}
+
+// --- Render a modal saying the draft is gone, for modals opened from a preview ---
+function renderDraftExpiredView(releaseNumber, title) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: title },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: renderDraftExpiredMessage(releaseNumber) } }],
+  };
+}
+
+// --- Render a modal saying the draft couldn't be loaded or saved ---
+// Modal submissions have to be answered with a view, e.g. when the draft store isn't
+// configured for Vercel or Redis is unreachable.
+function renderDraftErrorView(error, title) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: title },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `❌ ${error.message}` } }],
+  };
+}
+
+// --- Helper function to keep only the change fields rendering and templates need ---
+// Drops commit messages and other bulk, so large releases stay well within store limits.
+function toDraftChange(change) {
+  return {
+    type: change.type,
+    key: change.key,
+    summary: change.summary,
+    url: change.url,
+    githubKey: change.githubKey,
+    githubUrl: change.githubUrl,
+    category: change.category,
+    repository: change.repository ? { name: change.repository.name } : undefined,
+    breaking: change.breaking,
+    revert: change.revert ? true : undefined,
+    alreadyShipped: change.alreadyShipped ? { release: change.alreadyShipped.release } : undefined,
+    authors: change.authors,
+    commitAuthor: change.commitAuthor,
+    pullRequest: change.pullRequest
+      ? { number: change.pullRequest.number, title: change.pullRequest.title, url: change.pullRequest.url, author: change.pullRequest.author }
+      : undefined,
+    commits: change.commits ? change.commits.map(commit => ({ sha: commit.sha })) : undefined,
+  };
+}
+
+module.exports = {
+  DRAFT_STORES,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  getDraftOptions,
+  getDraftStore,
+  setDraftStore,
+  saveDraft,
+  loadDraft,
+  updateDraft,
+  deleteDraft,
+  renderDraftExpiredMessage,
+  renderDraftExpiredView,
+  renderDraftErrorView,
+  toDraftChange,
+};
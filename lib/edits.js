@@ -0,0 +1,222 @@
+// The "Edit" modal: an intro shown between the announcement's header and its changes, and
+// per-change title overrides. Edits are saved to the draft (lib/drafts.js) as pendingEdits
+// while the modal is open, and become the draft's edits once the rendered result is approved
+// in the review step, so what is sent is exactly what was approved. Changing the selection
+// afterwards withdraws the approval until the edits are reviewed again.
+const { renderChangeLabel } = require('./render');
+const { chunkTextForSlack } = require('./blocks');
+const { getSelectedIndices } = require('./selection');
+
+const TITLES_PER_PAGE = 40;
+// The current announcement shown above the fields; the review step shows all of it
+const MAX_PREVIEW_SECTIONS = 5;
+// Slack allows at most 100 blocks in a modal
+const MAX_REVIEW_BLOCKS = 100;
+const MAX_INTRO_LENGTH = 3000;
+const MAX_TITLE_LENGTH = 250;
+const EDIT_CALLBACK_ID = 'edit_announcement';
+const REVIEW_CALLBACK_ID = 'approve_announcement';
+
+// --- Get a draft's edits, or empty ones ---
+function getDraftEdits(draft, edits = draft.edits) {
+  return { intro: edits?.intro || null, titles: { ...edits?.titles } };
+}
+
+// --- Get the selected changes with their titles overridden ---
+function applyDraftEdits(draft, edits = draft.edits) {
+  const { titles } = getDraftEdits(draft, edits);
+  return getSelectedIndices(draft).map(index => (titles[index]
+    ? { ...draft.changes[index], summary: titles[index] }
+    : draft.changes[index]));
+}
+
+// --- Read the modal's fields into the edits ---
+// Title fields name their change in the block ID, so titles on other pages keep their edits.
+// A title left empty or unchanged drops its override.
+function applyEditState(draft, edits, stateValues = {}) {
+  const next = getDraftEdits(draft, edits);
+
+  for (const [blockId, actions] of Object.entries(stateValues)) {
+    const value = Object.values(actions)[0]?.value;
+    if (blockId === 'edit_intro') {
+      next.intro = value?.trim() || null;
+      continue;
+    }
+
+    const match = blockId.match(/^edit_title:(\d+)$/);
+    if (!match) continue;
+    const index = Number(match[1]);
+    const title = value?.replace(/\s+/g, ' ').trim();
+    if (title && title !== draft.changes[index]?.summary) {
+      next.titles[index] = title;
+    } else {
+      delete next.titles[index];
+    }
+  }
+
+  return next;
+}
+
+// --- Render one page of the edit modal ---
+// currentText is the announcement as it would be sent right now. metadata is carried in
+// private_metadata: { draftId, page, ... }.
+function renderEditView(draft, edits, currentText, metadata = {}) {
+  const { page = 0 } = metadata;
+  const { intro, titles } = getDraftEdits(draft, edits);
+  const selected = getSelectedIndices(draft);
+  const pageCount = Math.max(1, Math.ceil(selected.length / TITLES_PER_PAGE));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageIndices = selected.slice(currentPage * TITLES_PER_PAGE, (currentPage + 1) * TITLES_PER_PAGE);
+
+  const blocks = [];
+  if (currentPage === 0) {
+    const chunks = chunkTextForSlack(currentText);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*Current announcement:*' } });
+    chunks.slice(0, MAX_PREVIEW_SECTIONS).forEach(chunk => {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: chunk } });
+    });
+    if (chunks.length > MAX_PREVIEW_SECTIONS) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_…the rest is shown when you review your edits._' }] });
+    }
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'input',
+      block_id: 'edit_intro',
+      optional: true,
+      label: { type: 'plain_text', text: 'Intro / notes' },
+      hint: { type: 'plain_text', text: 'Shown between the header and the changes. Slack formatting works here.' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'intro',
+        multiline: true,
+        max_length: MAX_INTRO_LENGTH,
+        initial_value: intro || undefined,
+      },
+    });
+  }
+
+  if (pageIndices.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `*Titles* · clear a field to restore the original${pageCount > 1 ? ` · page ${currentPage + 1} of ${pageCount}` : ''}`,
+      }],
+    });
+  }
+  for (const index of pageIndices) {
+    const change = draft.changes[index];
+    blocks.push({
+      type: 'input',
+      block_id: `edit_title:${index}`,
+      optional: true,
+      label: { type: 'plain_text', text: renderChangeLabel(change, index) },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'title',
+        max_length: MAX_TITLE_LENGTH,
+        initial_value: titles[index] || change.summary || undefined,
+      },
+    });
+  }
+
+  if (pageCount > 1) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        currentPage > 0 && { type: 'button', text: { type: 'plain_text', text: '◀ Previous' }, action_id: 'edit_page_previous' },
+        currentPage < pageCount - 1 && { type: 'button', text: { type: 'plain_text', text: 'Next ▶' }, action_id: 'edit_page_next' },
+      ].filter(Boolean),
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: EDIT_CALLBACK_ID,
+    private_metadata: JSON.stringify({ ...metadata, page: currentPage }),
+    title: { type: 'plain_text', text: 'Edit announcement' },
+    submit: { type: 'plain_text', text: 'Review' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks,
+  };
+}
+
+// --- Helper function to get the blocks a message shows (plain-text messages as sections) ---
+function toReviewBlocks(message) {
+  return message.blocks || chunkTextForSlack(message.text || '').map(chunk => ({ type: 'section', text: { type: 'mrkdwn', text: chunk } }));
+}
+
+// --- Render the review step: the edited announcement exactly as it will be sent ---
+// variants are what each channel gets: { label, note, skipped, error, announcement }, with
+// announcement the { messages, replies } from renderAnnouncementMessages. label names the
+// channel when the announcement fans out; note says e.g. that it goes in a hotfix thread.
+function renderReviewView(variants, metadata = {}) {
+  const context = text => ({ type: 'context', elements: [{ type: 'mrkdwn', text }] });
+  const all = [];
+  variants.forEach((variant, index) => {
+    if (index > 0) all.push({ type: 'divider' });
+    if (variant.label) {
+      all.push({ type: 'section', text: { type: 'mrkdwn', text: `📣 *${variant.label}*` } });
+    }
+    if (variant.error) {
+      all.push(context(`❌ ${variant.error}`));
+      return;
+    }
+    if (variant.skipped) {
+      all.push(context('_None of the selected changes match its filter, so nothing is posted here._'));
+      return;
+    }
+    if (variant.note) all.push(context(`_${variant.note}_`));
+    variant.announcement.messages.forEach(message => all.push(...toReviewBlocks(message)));
+    if (variant.announcement.replies.length > 0) {
+      all.push(context('_In its thread (posted in the message instead when scheduled):_'));
+      variant.announcement.replies.forEach(reply => all.push(...toReviewBlocks(reply)));
+    }
+  });
+
+  const blocks = all.length > MAX_REVIEW_BLOCKS
+    ? [...all.slice(0, MAX_REVIEW_BLOCKS - 1), context(`_…and ${all.length - MAX_REVIEW_BLOCKS + 1} more blocks, not shown here._`)]
+    : all;
+
+  return {
+    type: 'modal',
+    callback_id: REVIEW_CALLBACK_ID,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Review announcement' },
+    submit: { type: 'plain_text', text: 'Approve' },
+    close: { type: 'plain_text', text: 'Back' },
+    blocks,
+  };
+}
+
+// --- Check whether a draft's edits have to be reviewed again before it's sent ---
+// Approval covers the selection it was given for; changing the selection withdraws it.
+function needsReview(draft) {
+  const { intro, titles } = getDraftEdits(draft);
+  return draft.approved === false && (Boolean(intro) || Object.keys(titles).length > 0);
+}
+
+// --- Render the confirmation after edits were approved ---
+function renderEditsApproved(draft) {
+  const { intro, titles } = getDraftEdits(draft);
+  const count = Object.keys(titles).length;
+  const details = [
+    intro && 'an intro',
+    count > 0 && `${count} ${count === 1 ? 'title' : 'titles'} changed`,
+  ].filter(Boolean);
+  return details.length > 0
+    ? `✏️ Edits approved for \`${draft.releaseNumber}\` (${details.join(', ')}). "Send" posts the announcement exactly as reviewed.`
+    : `✏️ No edits for \`${draft.releaseNumber}\`; the announcement will be sent as generated.`;
+}
+
+module.exports = {
+  EDIT_CALLBACK_ID,
+  REVIEW_CALLBACK_ID,
+  getDraftEdits,
+  applyDraftEdits,
+  applyEditState,
+  renderEditView,
+  renderReviewView,
+  needsReview,
+  renderEditsApproved,
+};
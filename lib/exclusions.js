@@ -0,0 +1,132 @@
+// Declarative exclusion rules that drop commits before they become changes: PR labels,
+// title patterns, authors and merge commits. Every rule keeps a count, so the preview and
+// the API can say exactly what was left out and why.
+require('dotenv').config();
+const { parseJsonEnv } = require('./config');
+
+const DEFAULT_EXCLUSION_RULES = {
+  labels: ['skip-release-notes'],
+  titlePatterns: [],
+  authors: [],
+  mergeCommits: false,
+};
+
+// --- Helper function to check the shape of the exclusion rules ---
+// They come from EXCLUDE_RULES or straight from an /api/announce body, so every field is
+// checked before use; the error names the field that's wrong.
+function validateExclusionRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Invalid exclusion rules: must be an object with labels, titlePatterns, authors or mergeCommits');
+  }
+
+  const unknown = Object.keys(rules).filter(field => !(field in DEFAULT_EXCLUSION_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid exclusion rules: unknown field "${unknown[0]}" (must be one of ${Object.keys(DEFAULT_EXCLUSION_RULES).join(', ')})`);
+  }
+  for (const field of ['labels', 'titlePatterns', 'authors']) {
+    if (rules[field] !== undefined && (!Array.isArray(rules[field]) || !rules[field].every(value => typeof value === 'string'))) {
+      throw new Error(`Invalid exclusion rules: ${field} must be a list of strings`);
+    }
+  }
+  if (rules.mergeCommits !== undefined && typeof rules.mergeCommits !== 'boolean') {
+    throw new Error('Invalid exclusion rules: mergeCommits must be true or false');
+  }
+}
+
+// --- Get the exclusion rules ---
+// EXCLUDE_RULES is a JSON object with any of labels, titlePatterns (case-insensitive regexes),
+// authors and mergeCommits; each given key replaces its default. Throws for malformed rules.
+function getExclusionRules(overrides = null) {
+  const given = overrides || parseJsonEnv('EXCLUDE_RULES', {});
+  validateExclusionRules(given);
+  const configured = { ...DEFAULT_EXCLUSION_RULES, ...given };
+  const lower = value => String(value).toLowerCase();
+
+  const rules = [
+    ...configured.labels.map(label => ({
+      type: 'label',
+      value: label,
+      matches: (commit, pullRequest) => (pullRequest?.labels || []).some(name => lower(name) === lower(label)),
+    })),
+    ...configured.titlePatterns.map(pattern => {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`Invalid exclusion rules: titlePatterns entry ${pattern} is not a valid regex: ${error.message}`);
+      }
+      return {
+        type: 'title',
+        value: pattern,
+        matches: (commit, pullRequest) => regex.test(commit.commit.message.split('\n')[0])
+          || Boolean(pullRequest && regex.test(pullRequest.title)),
+      };
+    }),
+    ...configured.authors.map(author => ({
+      type: 'author',
+      value: author,
+      matches: (commit, pullRequest) => [commit.author?.login, commit.commit.author?.name, pullRequest?.author]
+        .some(name => name && lower(name) === lower(author)),
+    })),
+  ];
+
+  if (configured.mergeCommits) {
+    rules.push({
+      type: 'merge-commit',
+      value: true,
+      matches: commit => (commit.parents || []).length > 1,
+    });
+  }
+
+  return rules;
+}
+
+// --- Drop the commits matched by an exclusion rule ---
+// The first matching rule gets the count. pullRequests is the commit SHA -> PR map from
+// lib/pull-requests.js (label rules need it). Returns the kept commits and a summary.
+function applyExclusionRules(commits, pullRequests, rules) {
+  const counts = rules.map(() => 0);
+  const kept = commits.filter(commit => {
+    const pullRequest = pullRequests.get(commit.sha) || null;
+    const index = rules.findIndex(rule => rule.matches(commit, pullRequest));
+    if (index === -1) return true;
+
+    counts[index]++;
+    return false;
+  });
+
+  return {
+    commits: kept,
+    summary: {
+      excluded: commits.length - kept.length,
+      rules: rules.map(({ type, value }, index) => ({ type, value, count: counts[index] })),
+    },
+  };
+}
+
+// --- Combine the exclusion summaries of several repositories ---
+function mergeExclusionSummaries(summaries) {
+  const rules = [];
+  for (const summary of summaries) {
+    for (const rule of summary.rules) {
+      const existing = rules.find(other => other.type === rule.type && other.value === rule.value);
+      if (existing) {
+        existing.count += rule.count;
+      } else {
+        rules.push({ ...rule });
+      }
+    }
+  }
+
+  return {
+    excluded: summaries.reduce((sum, summary) => sum + summary.excluded, 0),
+    rules,
+  };
+}
+
+module.exports = {
+  DEFAULT_EXCLUSION_RULES,
+  getExclusionRules,
+  applyExclusionRules,
+  mergeExclusionSummaries,
+};
@@ -0,0 +1,100 @@
+// Collapses the per-commit changes from lib/release-diff.js into one change per ticket
+// (or per PR when a commit has no ticket), and picks the title each line is shown with.
+require('dotenv').config();
+
+const TITLE_STRATEGIES = ['ticket', 'first-commit', 'pr-title'];
+
+// --- Helper function to read the grouping settings ---
+function getGroupingOptions(options = {}) {
+  const {
+    groupChanges = process.env.GROUP_CHANGES !== 'false',
+    titleStrategy = process.env.CHANGE_TITLE_STRATEGY || 'ticket',
+  } = options;
+
+  if (!TITLE_STRATEGIES.includes(titleStrategy)) {
+    throw new Error(`Invalid title strategy: ${titleStrategy} (must be one of ${TITLE_STRATEGIES.join(', ')})`);
+  }
+
+  return { groupChanges: Boolean(groupChanges), titleStrategy };
+}
+
+// --- Helper function to get the key a change is grouped under ---
+// Returns null for changes that are never merged with others (plain commits and reverts).
+function getGroupKey(change) {
+  if (change.revert) return null;
+  const repository = change.repository?.name || '';
+  if (change.type === 'jira') return `${repository}|jira|${change.key}`;
+  if (change.githubKey) return `${repository}|pr|${change.githubKey}`;
+  return null;
+}
+
+// --- Helper function to pick the title for a (grouped) change ---
+// "ticket" uses the Jira summary when enrichment fetched one (or the PR title for changes
+// without a ticket), "pr-title" uses the merged pull request's title (or the squash-merge
+// commit, whose title is the PR title), and both fall back to the first commit's title.
+function pickTitle(change, members, titleStrategy) {
+  const firstCommitTitle = members[0].commitSummary;
+
+  if (titleStrategy === 'ticket') {
+    if (change.type === 'jira') return change.jira?.summary || firstCommitTitle;
+    return change.pullRequest?.title || firstCommitTitle;
+  }
+  if (titleStrategy === 'pr-title') {
+    const mergeCommit = members.find(member => /\(#\d+\)\s*$/.test(member.commit.title));
+    return change.pullRequest?.title || mergeCommit?.commitSummary || firstCommitTitle;
+  }
+  return firstCommitTitle;
+}
+
+// --- Helper function to merge a list of changes into one ---
+function mergeChanges(members) {
+  const [first] = members;
+  const unique = values => [...new Set(values)];
+  const withPullRequest = members.find(member => member.pullRequest) || members.find(member => member.githubKey);
+
+  return {
+    ...first,
+    githubKey: withPullRequest?.githubKey,
+    githubUrl: withPullRequest?.githubUrl,
+    pullRequest: withPullRequest?.pullRequest,
+    allJiraRefs: unique(members.flatMap(member => member.allJiraRefs)),
+    allGithubRefs: unique(members.flatMap(member => member.allGithubRefs)),
+    commits: members.map(member => member.commit),
+    authors: unique(members.map(member => member.commitAuthor)),
+    // Only a ticket whose every commit already shipped counts as shipped
+    alreadyShipped: members.every(member => member.alreadyShipped) ? first.alreadyShipped : undefined,
+  };
+}
+
+// --- Group changes by ticket or PR and apply the title strategy ---
+// Keeps the order in which each ticket first appears in the release.
+function groupChanges(changes, options = {}) {
+  const { groupChanges: enabled, titleStrategy } = getGroupingOptions(options);
+
+  const groups = [];
+  const groupsByKey = new Map();
+  for (const change of changes) {
+    const key = enabled ? getGroupKey(change) : null;
+    if (key && groupsByKey.has(key)) {
+      groupsByKey.get(key).push(change);
+      continue;
+    }
+
+    const members = [change];
+    groups.push(members);
+    if (key) groupsByKey.set(key, members);
+  }
+
+  return groups.map(members => {
+    const change = mergeChanges(members);
+    change.summary = pickTitle(change, members, titleStrategy);
+    return change;
+  });
+}
+
+module.exports = {
+  TITLE_STRATEGIES,
+  getGroupingOptions,
+  getGroupKey,
+  groupChanges,
+};
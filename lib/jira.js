@@ -0,0 +1,233 @@
+// Optional Jira REST enrichment. When enabled, every referenced ticket is looked up so
+// announcements can use the real ticket summary, type, status, priority and fix versions.
+// Any failure falls back to the commit titles the release-diff engine already has.
+require('dotenv').config();
+
+const JIRA_BATCH_SIZE = 50;
+const JIRA_TIMEOUT_MS = 5000;
+const JIRA_FIELDS = ['summary', 'issuetype', 'status', 'priority', 'fixVersions'];
+const JIRA_SEARCH_APIS = ['auto', 'jql', 'legacy'];
+// What Jira accepts as an issue key; anything else would fail the whole JQL query
+const JIRA_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+// Rounds of dropping keys Jira says don't exist before giving up on a batch
+const MAX_SEARCH_RETRIES = 3;
+
+// --- Helper function to check whether enrichment is turned on ---
+function isJiraEnrichmentEnabled(options = {}) {
+  const { jiraEnrich = process.env.JIRA_ENRICH === 'true' } = options;
+  return Boolean(jiraEnrich);
+}
+
+// --- Helper function to pick the search endpoint for a server ---
+// Jira Cloud only has /rest/api/3/search/jql (paginated with nextPageToken); Jira Data Center
+// and Server only have /rest/api/2/search (paginated with startAt). "auto" picks Cloud for
+// *.atlassian.net servers.
+function getJiraSearchApi(server, options = {}) {
+  const { jiraSearchApi = process.env.JIRA_SEARCH_API || 'auto' } = options;
+  if (!JIRA_SEARCH_APIS.includes(jiraSearchApi)) {
+    throw new Error(`Invalid Jira search API: ${jiraSearchApi} (must be one of ${JIRA_SEARCH_APIS.join(', ')})`);
+  }
+  if (jiraSearchApi !== 'auto') return jiraSearchApi;
+
+  try {
+    return new URL(server).hostname.endsWith('.atlassian.net') ? 'jql' : 'legacy';
+  } catch (error) {
+    return 'legacy';
+  }
+}
+
+// --- Helper function to find the keys a failed search says don't exist ---
+// Jira answers 400 with e.g. "An issue with key 'WSU-99999' does not exist for field 'key'."
+function findMissingKeys(errorMessages = [], keys = []) {
+  const missing = errorMessages.flatMap(message => [...String(message).matchAll(/'([A-Z][A-Z0-9_]*-\d+)'/g)].map(match => match[1]));
+  return missing.filter(key => keys.includes(key));
+}
+
+// --- Helper function to build the Authorization header ---
+// Jira Cloud uses email + API token (basic auth); Jira Data Center accepts a bare personal access token.
+function buildAuthHeader(username, token) {
+  if (!token) return null;
+  if (!username) return `Bearer ${token}`;
+  return `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}`;
+}
+
+// --- Helper function to turn a Jira issue into the fields we keep ---
+function toIssueDetails(issue) {
+  const fields = issue.fields || {};
+  return {
+    key: issue.key,
+    summary: fields.summary || null,
+    issueType: fields.issuetype?.name || null,
+    status: fields.status?.name || null,
+    priority: fields.priority?.name || null,
+    fixVersions: (fields.fixVersions || []).map(version => version.name),
+  };
+}
+
+// --- Create a Jira client with a per-invocation issue cache ---
+function createJiraClient(options = {}) {
+  const {
+    username = process.env.JIRA_USERNAME,
+    token = process.env.JIRA_API_TOKEN,
+    timeoutMs = JIRA_TIMEOUT_MS,
+    jiraSearchApi,
+  } = options;
+
+  const authorization = buildAuthHeader(username, token);
+  const cache = new Map();
+
+  // --- Helper function to request one page of search results ---
+  async function requestSearch(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'application/json',
+          ...(authorization && { Authorization: authorization }),
+        },
+        signal: controller.signal,
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`Jira search failed with status ${response.status}`);
+        error.status = response.status;
+        error.errorMessages = data.errorMessages || [];
+        throw error;
+      }
+      return data;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // --- Fetch one batch of issues through JQL "key in (...)", following every page ---
+  async function searchKeys(server, keys) {
+    const api = getJiraSearchApi(server, { jiraSearchApi });
+    const issues = [];
+    let nextPageToken = null;
+    let startAt = 0;
+
+    for (;;) {
+      const params = new URLSearchParams({
+        jql: `key in (${keys.join(',')})`,
+        fields: JIRA_FIELDS.join(','),
+        maxResults: String(keys.length),
+      });
+      if (api === 'jql') {
+        if (nextPageToken) params.set('nextPageToken', nextPageToken);
+      } else {
+        params.set('startAt', String(startAt));
+        // Missing or inaccessible keys become warnings instead of failing the whole batch
+        params.set('validateQuery', 'warn');
+      }
+
+      const path = api === 'jql' ? '/rest/api/3/search/jql' : '/rest/api/2/search';
+      const data = await requestSearch(`${server}${path}?${params}`);
+      const page = data.issues || [];
+      issues.push(...page.map(toIssueDetails));
+
+      if (api === 'jql') {
+        if (data.isLast !== false || !data.nextPageToken) break;
+        nextPageToken = data.nextPageToken;
+      } else {
+        startAt += page.length;
+        if (page.length === 0 || startAt >= (data.total ?? startAt)) break;
+      }
+    }
+
+    return issues;
+  }
+
+  // --- Fetch one batch of issues ---
+  // Malformed keys are never sent, and keys Jira reports as missing are dropped and the
+  // search retried, so one bad key doesn't lose the whole batch.
+  async function searchBatch(server, keys) {
+    let remaining = keys.filter(key => JIRA_KEY_PATTERN.test(key));
+    for (let attempt = 0; remaining.length > 0; attempt++) {
+      try {
+        return await searchKeys(server, remaining);
+      } catch (error) {
+        const missing = error.status === 400 ? findMissingKeys(error.errorMessages, remaining) : [];
+        if (missing.length === 0 || attempt >= MAX_SEARCH_RETRIES) throw error;
+        remaining = remaining.filter(key => !missing.includes(key));
+      }
+    }
+    return [];
+  }
+
+  // --- Fetch issue details for the given keys on one server ---
+  // Returns a Map of key -> details; keys Jira doesn't know are simply absent.
+  async function fetchIssues(server, keys) {
+    const uncached = [...new Set(keys)].filter(key => !cache.has(`${server}|${key}`));
+
+    for (let i = 0; i < uncached.length; i += JIRA_BATCH_SIZE) {
+      const batch = uncached.slice(i, i + JIRA_BATCH_SIZE);
+      const issues = await searchBatch(server, batch);
+
+      // Cache misses too, so unknown keys aren't requested again
+      batch.forEach(key => cache.set(`${server}|${key}`, null));
+      issues.forEach(issue => cache.set(`${server}|${issue.key}`, issue));
+    }
+
+    const issues = new Map();
+    for (const key of keys) {
+      const issue = cache.get(`${server}|${key}`);
+      if (issue) issues.set(key, issue);
+    }
+    return issues;
+  }
+
+  return { fetchIssues, cache };
+}
+
+// --- Enrich JIRA changes with ticket details from the Jira REST API ---
+// Sets change.jira in place (lib/grouping.js decides whether its summary becomes the title)
+// and returns a summary of what happened.
+async function enrichChangesWithJira(changes, options = {}) {
+  const client = options.jiraClient || createJiraClient(options);
+
+  // Group ticket keys by the server they link to (projects can live on different servers)
+  const keysByServer = new Map();
+  for (const change of changes) {
+    if (change.type !== 'jira' || !change.url) continue;
+
+    const server = change.url.replace(/\/browse\/[^/]+$/, '');
+    if (!keysByServer.has(server)) keysByServer.set(server, []);
+    keysByServer.get(server).push(change.key);
+  }
+
+  const summary = { enabled: true, requested: 0, fetched: 0, failed: false, errors: [] };
+
+  for (const [server, keys] of keysByServer) {
+    summary.requested += new Set(keys).size;
+
+    let issues;
+    try {
+      issues = await client.fetchIssues(server, keys);
+    } catch (error) {
+      // Jira is unreachable - keep the commit titles for this server's tickets
+      console.warn(`Jira enrichment failed for ${server}, falling back to commit titles:`, error.message);
+      summary.failed = true;
+      summary.errors.push(`${server}: ${error.message}`);
+      continue;
+    }
+
+    summary.fetched += issues.size;
+    for (const change of changes) {
+      const issue = change.type === 'jira' && issues.get(change.key);
+      if (!issue || !change.url.startsWith(`${server}/browse/`)) continue;
+
+      change.jira = issue;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  isJiraEnrichmentEnabled,
+  getJiraSearchApi,
+  createJiraClient,
+  enrichChangesWithJira,
+};
@@ -0,0 +1,129 @@
+// Scopes a release to path globs, so one release branch of a monorepo can be announced per
+// service: only commits that touch a matching file are kept. Each commit's changed files are
+// fetched from GitHub, since the compare API only lists the files of the whole range.
+require('dotenv').config();
+
+const PATH_LOOKUP_CONCURRENCY = 8;
+const FILES_PER_PAGE = 100;
+// GitHub lists at most 3000 files for a single commit
+const MAX_FILE_PAGES = 30;
+
+// --- Helper function to read the path globs a release is scoped to ---
+// Returns [] when the release isn't scoped. Globs starting with "!" exclude paths again.
+function getPathScope(options = {}) {
+  const { paths = process.env.RELEASE_PATHS } = options;
+  if (!paths) return [];
+
+  const globs = Array.isArray(paths) ? paths : String(paths).split(',');
+  return globs.map(glob => String(glob).trim()).filter(Boolean);
+}
+
+// --- Helper function to turn a path glob into a regex ---
+// "**" matches across directories, "*" and "?" within one path segment. A glob without
+// wildcards matches that file or everything below that directory.
+function globToRegExp(glob) {
+  const pattern = glob.replace(/^\.?\//, '').replace(/\/$/, '');
+  if (!/[*?]/.test(pattern)) {
+    const literal = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${literal}(?:/.*)?$`);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// --- Build a matcher for a list of path globs ---
+// A path is in scope when it matches an include glob and no "!" glob.
+function buildPathMatcher(globs) {
+  const includes = globs.filter(glob => !glob.startsWith('!')).map(globToRegExp);
+  const excludes = globs.filter(glob => glob.startsWith('!')).map(glob => globToRegExp(glob.slice(1)));
+
+  return path => (includes.length === 0 || includes.some(regex => regex.test(path)))
+    && !excludes.some(regex => regex.test(path));
+}
+
+// --- Helper function to fetch the files a commit changed ---
+// Renamed files count under both their old and new path.
+async function fetchCommitFiles(octokit, { owner, repo, sha }) {
+  const files = [];
+  for (let page = 1; page <= MAX_FILE_PAGES; page++) {
+    const { data } = await octokit.repos.getCommit({ owner, repo, ref: sha, per_page: FILES_PER_PAGE, page });
+    const pageFiles = data.files || [];
+    for (const file of pageFiles) {
+      files.push(file.filename);
+      if (file.previous_filename) files.push(file.previous_filename);
+    }
+    if (pageFiles.length < FILES_PER_PAGE) break;
+  }
+  return files;
+}
+
+// --- Keep only the commits that touch the scoped paths ---
+// Returns the kept commits and a summary. A commit whose files can't be fetched is kept, so a
+// GitHub hiccup never silently drops a change from the announcement.
+async function scopeCommitsToPaths(octokit, { owner, repo, commits, paths }) {
+  if (paths.length === 0) {
+    return { commits, summary: { enabled: false } };
+  }
+
+  const matches = buildPathMatcher(paths);
+  const inScope = new Set();
+  const summary = { enabled: true, paths, checked: commits.length, matched: 0, outOfScope: 0, failed: 0, errors: [] };
+
+  let next = 0;
+  async function worker() {
+    while (next < commits.length) {
+      const commit = commits[next++];
+      try {
+        const files = await fetchCommitFiles(octokit, { owner, repo, sha: commit.sha });
+        if (files.some(matches)) {
+          inScope.add(commit.sha);
+          summary.matched++;
+        }
+      } catch (error) {
+        inScope.add(commit.sha);
+        summary.failed++;
+        if (summary.errors.length < 5) {
+          summary.errors.push(`${commit.sha.substring(0, 7)}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(PATH_LOOKUP_CONCURRENCY, commits.length) }, worker);
+  await Promise.all(workers);
+
+  if (summary.failed > 0) {
+    console.warn(`Could not fetch changed files for ${summary.failed} of ${commits.length} commits in ${owner}/${repo}, keeping them in scope`);
+  }
+
+  const scoped = commits.filter(commit => inScope.has(commit.sha));
+  summary.outOfScope = commits.length - scoped.length;
+  return { commits: scoped, summary };
+}
+
+module.exports = {
+  getPathScope,
+  globToRegExp,
+  buildPathMatcher,
+  scopeCommitsToPaths,
+};
@@ -0,0 +1,130 @@
+// Resolves the merged pull request behind each commit through GitHub's associatedPullRequests
+// (GraphQL, one query per batch of commits), so changes link to real PRs with their title,
+// labels, author and merge time. Parsing "#123" out of the commit text is only the fallback
+// for commits GitHub knows no PR for.
+require('dotenv').config();
+
+// Commits per GraphQL query; each one is an aliased field, well within GitHub's query limits
+const COMMITS_PER_QUERY = 50;
+const PULL_REQUESTS_PER_COMMIT = 5;
+const LABELS_PER_PULL_REQUEST = 20;
+
+// --- Helper function to check whether PR lookup is turned on ---
+function isPullRequestLookupEnabled(options = {}) {
+  const { resolvePullRequests = process.env.RESOLVE_PULL_REQUESTS !== 'false' } = options;
+  return Boolean(resolvePullRequests);
+}
+
+// --- Helper function to turn a GitHub pull request into the fields we keep ---
+function toPullRequestDetails(pull) {
+  return {
+    number: pull.number,
+    title: pull.title,
+    url: pull.html_url,
+    labels: (pull.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    author: pull.user?.login || null,
+    mergedAt: pull.merged_at,
+    baseRef: pull.base?.ref || null,
+  };
+}
+
+// --- Helper function to build the query for a batch of commits ---
+// Each commit is an aliased object(oid:) lookup, so one request covers the whole batch.
+function buildPullRequestQuery(count) {
+  const variables = Array.from({ length: count }, (_, index) => `$sha${index}: GitObjectID!`).join(', ');
+  const fields = Array.from({ length: count }, (_, index) => `
+    commit${index}: object(oid: $sha${index}) {
+      ... on Commit {
+        associatedPullRequests(first: ${PULL_REQUESTS_PER_COMMIT}) {
+          nodes {
+            number
+            title
+            url
+            mergedAt
+            mergeCommit { oid }
+            author { login }
+            baseRefName
+            labels(first: ${LABELS_PER_PULL_REQUEST}) { nodes { name } }
+          }
+        }
+      }
+    }`).join('');
+  return `query($owner: String!, $repo: String!, ${variables}) {
+  repository(owner: $owner, name: $repo) {${fields}
+  }
+}`;
+}
+
+// --- Helper function to turn a GraphQL pull request into the REST shape used below ---
+function fromGraphQLPullRequest(node) {
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    merged_at: node.mergedAt,
+    merge_commit_sha: node.mergeCommit?.oid || null,
+    user: node.author ? { login: node.author.login } : null,
+    labels: (node.labels?.nodes || []).map(label => label.name),
+    base: { ref: node.baseRefName },
+  };
+}
+
+// --- Helper function to pick the PR a commit shipped with ---
+// A commit can belong to several PRs (e.g. a feature PR and a release back-merge). Prefer the
+// PR whose merge commit is this commit, otherwise the earliest merged one. Open or closed but
+// unmerged PRs never count.
+function pickMergedPullRequest(pulls, commitSha) {
+  const merged = pulls.filter(pull => pull.merged_at);
+  if (merged.length === 0) return null;
+
+  const mergedAsThisCommit = merged.find(pull => pull.merge_commit_sha === commitSha);
+  if (mergedAsThisCommit) return mergedAsThisCommit;
+
+  return [...merged].sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at))[0];
+}
+
+// --- Fetch the merged PR for each commit ---
+// Returns a Map of commit SHA -> PR details (commits without a merged PR are absent) and a
+// summary of the lookups. A failed batch only loses those commits' PRs; they fall back to text.
+async function fetchPullRequestsForCommits(octokit, { owner, repo, commits }) {
+  const pullRequests = new Map();
+  const summary = { enabled: true, requested: commits.length, resolved: 0, failed: 0, errors: [] };
+
+  for (let start = 0; start < commits.length; start += COMMITS_PER_QUERY) {
+    const batch = commits.slice(start, start + COMMITS_PER_QUERY);
+    const variables = { owner, repo };
+    batch.forEach((commit, index) => {
+      variables[`sha${index}`] = commit.sha;
+    });
+
+    try {
+      const { repository } = await octokit.graphql(buildPullRequestQuery(batch.length), variables);
+      batch.forEach((commit, index) => {
+        const nodes = repository?.[`commit${index}`]?.associatedPullRequests?.nodes || [];
+        const pull = pickMergedPullRequest(nodes.map(fromGraphQLPullRequest), commit.sha);
+        if (pull) {
+          pullRequests.set(commit.sha, toPullRequestDetails(pull));
+          summary.resolved++;
+        }
+      });
+    } catch (error) {
+      summary.failed += batch.length;
+      if (summary.errors.length < 5) {
+        summary.errors.push(`${batch[0].sha.substring(0, 7)}..${batch[batch.length - 1].sha.substring(0, 7)}: ${error.message}`);
+      }
+    }
+  }
+
+  if (summary.failed > 0) {
+    console.warn(`Could not look up pull requests for ${summary.failed} of ${commits.length} commits in ${owner}/${repo}, falling back to commit text`);
+  }
+
+  return { pullRequests, summary };
+}
+
+module.exports = {
+  isPullRequestLookupEnabled,
+  buildPullRequestQuery,
+  pickMergedPullRequest,
+  fetchPullRequestsForCommits,
+};
@@ -0,0 +1,742 @@
+// Shared release-diff engine used by every entry point (/release, /api/announce, /api/test).
+// It compares two refs on GitHub and turns each commit into a structured change;
+// turning those changes into Slack text is left to lib/render.js.
+const { Octokit } = require('@octokit/rest');
+require('dotenv').config();
+const { getRepositories, getJiraProjects } = require('./config');
+const { isJiraEnrichmentEnabled, enrichChangesWithJira } = require('./jira');
+const { groupChanges } = require('./grouping');
+const { isCategorizationEnabled, getCategoryConfig, categorizeChanges } = require('./categories');
+const { getBreakingLabels, detectBreakingChange, markBreakingChanges } = require('./breaking');
+const { isPullRequestLookupEnabled, fetchPullRequestsForCommits } = require('./pull-requests');
+const { getExclusionRules, applyExclusionRules, mergeExclusionSummaries } = require('./exclusions');
+const { applyReverts } = require('./reverts');
+const { getShippedMode, findShippedCommits } = require('./cherry-picks');
+const { getPathScope, scopeCommitsToPaths } = require('./paths');
+
+// --- Initialize clients ---
+const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+
+// --- Helper function to ensure JIRA URL has proper protocol ---
+function formatJiraServerUrl(jiraServer) {
+  if (!jiraServer) return '';
+
+  // If it already has a protocol, use as-is
+  if (jiraServer.startsWith('http://') || jiraServer.startsWith('https://')) {
+    return jiraServer;
+  }
+
+  // Otherwise, add https://
+  return `https://${jiraServer}`;
+}
+
+// --- Helper function to parse a release number into comparable parts ---
+// "67" -> [67], "2.1.0" -> [2, 1, 0], "v2.1.0" -> [2, 1, 0]; anything else -> null
+function parseReleaseVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+(?:\.\d+)*)$/i);
+  if (!match) return null;
+  return match[1].split('.').map(part => parseInt(part, 10));
+}
+
+// --- Helper function to compare two parsed release versions ---
+function compareReleaseVersions(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// --- Helper function to read the release source configuration ---
+// The ref template names release refs, e.g. "releases/{version}", "release-{version}" or "v{version}".
+// The type says whether those refs are branches or tags.
+function getReleaseSource(options = {}) {
+  const {
+    refTemplate = process.env.RELEASE_REF_TEMPLATE || 'releases/{version}',
+    refType = process.env.RELEASE_REF_TYPE || 'branch',
+    includeTags = process.env.RELEASE_INCLUDE_TAGS === 'true',
+  } = options;
+
+  if (!refTemplate.includes('{version}')) {
+    throw new Error(`Invalid release ref template: ${refTemplate} (must contain {version})`);
+  }
+  if (refType !== 'branch' && refType !== 'tag') {
+    throw new Error(`Invalid release ref type: ${refType} (must be "branch" or "tag")`);
+  }
+
+  const [prefix, suffix] = refTemplate.split('{version}');
+  return { template: refTemplate, type: refType, prefix, suffix, includeTags };
+}
+
+// --- Helper function to strip a "v" prefix from a release number ---
+function normalizeReleaseNumber(releaseNumber) {
+  return String(releaseNumber).trim().replace(/^v(?=\d)/i, '');
+}
+
+// --- Helper function to build a release ref name from a release number ---
+// "2.1.0" and "v2.1.0" both become "v2.1.0" with the "v{version}" template
+function formatReleaseRef(releaseNumber, source = getReleaseSource()) {
+  return source.template.replace('{version}', normalizeReleaseNumber(releaseNumber));
+}
+
+// --- Helper function to list release branches or tags on GitHub ---
+async function listReleaseRefs(options = {}) {
+  const {
+    owner = process.env.GITHUB_OWNER,
+    repo = process.env.GITHUB_REPO,
+  } = options;
+  const source = getReleaseSource(options);
+
+  const namespaces = source.type === 'tag' ? ['tags'] : ['heads'];
+  if (source.type === 'branch' && source.includeTags) {
+    namespaces.push('tags');
+  }
+
+  // A trailing "v" is matched optionally, so "v{version}" also finds "1.2.3" and vice versa
+  const listPrefix = source.prefix.replace(/v$/i, '');
+  const releaseRefs = [];
+
+  for (const namespace of namespaces) {
+    const refs = await octokit.paginate(octokit.git.listMatchingRefs, {
+      owner,
+      repo,
+      ref: `${namespace}/${listPrefix}`,
+      per_page: 100,
+    });
+
+    for (const ref of refs) {
+      const name = ref.ref.replace(`refs/${namespace}/`, '');
+      if (source.suffix && !name.endsWith(source.suffix)) continue;
+
+      const version = normalizeReleaseNumber(
+        name.substring(listPrefix.length, name.length - source.suffix.length)
+      );
+      const parts = parseReleaseVersion(version);
+      if (!parts) continue;
+
+      releaseRefs.push({
+        name,
+        version,
+        parts,
+        type: namespace === 'heads' ? 'branch' : 'tag',
+        sha: ref.object?.sha || null,
+      });
+    }
+  }
+
+  return releaseRefs.sort((a, b) => compareReleaseVersions(a.parts, b.parts));
+}
+
+// --- Helper function to find the listed ref for a release number ---
+// Prefers the configured ref type when a version exists as both a branch and a tag.
+function findReleaseRef(releaseRefs, releaseNumber, source = getReleaseSource()) {
+  const parts = parseReleaseVersion(releaseNumber);
+  if (!parts) return null;
+
+  const matches = releaseRefs.filter(ref => compareReleaseVersions(ref.parts, parts) === 0);
+  return matches.find(ref => ref.type === source.type) || matches[0] || null;
+}
+
+// --- Helper function to determine previous release ---
+// Picks the closest lower release that actually exists on GitHub. In hotfix mode only the
+// patch's own release line counts, so 67.1 is compared with 67 and 2.1.3 with 2.1.2.
+async function resolvePreviousRelease(releaseNumber, options = {}) {
+  const current = parseReleaseVersion(releaseNumber);
+  if (!current) {
+    throw new Error(`Invalid release number format: ${releaseNumber}`);
+  }
+  if (options.hotfix && current.length < 2) {
+    throw new Error(`Invalid release number format: ${releaseNumber} (hotfix releases need a patch number, e.g. 67.1 or 2.1.3)`);
+  }
+
+  const line = options.hotfix ? current.slice(0, -1) : [];
+  const inLine = parts => line.every((part, index) => (parts[index] || 0) === part);
+
+  const source = getReleaseSource(options);
+  const releaseRefs = options.releaseRefs || await listReleaseRefs(options);
+  const lower = releaseRefs.filter(ref => compareReleaseVersions(ref.parts, current) < 0 && inLine(ref.parts));
+  const currentRef = findReleaseRef(releaseRefs, releaseNumber, source);
+
+  if (lower.length === 0) {
+    const found = releaseRefs.map(ref => ref.name);
+    const scope = options.hotfix ? ` in the ${line.join('.')} release line` : '';
+    const error = new Error(
+      `Cannot determine previous release for release number: ${releaseNumber}${scope}` +
+      ` (candidates found: ${found.length > 0 ? found.join(', ') : 'none'})`
+    );
+    error.candidates = found;
+    throw error;
+  }
+
+  const closest = lower[lower.length - 1];
+  const previous = findReleaseRef(lower, closest.version, source);
+
+  return {
+    previousRelease: previous.version,
+    base: previous.name,
+    currentRef: currentRef ? currentRef.name : null,
+    candidates: releaseRefs.map(ref => ref.name),
+  };
+}
+
+// --- Helper function to turn a release number or ref into a git ref ---
+// "64" -> "releases/64" (the listed ref if it exists, else per the ref template);
+// branches, tags and SHAs are passed through unchanged
+function resolveReleaseRef(value, source = getReleaseSource(), releaseRefs = []) {
+  const ref = String(value).trim();
+  if (!parseReleaseVersion(ref)) return ref;
+
+  const listed = findReleaseRef(releaseRefs, ref, source);
+  return listed ? listed.name : formatReleaseRef(ref, source);
+}
+
+// --- Helper function to build the JIRA ticket matchers ---
+// One matcher per configured project key or custom pattern, each with its own server.
+function buildJiraMatchers(jiraProjects = getJiraProjects()) {
+  return jiraProjects.map(project => ({
+    key: project.key,
+    regex: new RegExp(`\\b(?:${project.pattern})\\b`, 'gi'),
+    server: project.server,
+  }));
+}
+
+// --- Helper function to find JIRA references in text, in the order they appear ---
+function findJiraReferences(text, jiraMatchers) {
+  const references = [];
+  for (const matcher of jiraMatchers) {
+    for (const match of text.matchAll(matcher.regex)) {
+      const key = match[0].toUpperCase();
+      references.push({
+        key,
+        index: match.index,
+        url: `${formatJiraServerUrl(matcher.server)}/browse/${key}`,
+      });
+    }
+  }
+  return references.sort((a, b) => a.index - b.index);
+}
+
+// --- Helper function to strip a trailing GitHub reference from a commit title ---
+function cleanCommitTitle(commitTitle) {
+  return commitTitle.replace(/\s*\(#\d+\)\s*$/, '').replace(/\s*#\d+\s*$/, '');
+}
+
+// --- Turn a single GitHub commit into a structured change ---
+// pullRequest is the merged PR GitHub associates with the commit (see lib/pull-requests.js);
+// without one, the first "#123" in the commit text is assumed to be the PR.
+// Returns null for commits without references when filterEmptyCommits is on.
+function parseCommit(commit, options = {}) {
+  const {
+    owner = process.env.GITHUB_OWNER,
+    repo = process.env.GITHUB_REPO,
+    jiraMatchers = buildJiraMatchers(),
+    filterEmptyCommits = true,
+    pullRequest = null,
+  } = options;
+
+  const commitSha = commit.sha.substring(0, 7);
+  const commitMessage = commit.commit.message;
+  const commitTitle = commitMessage.split('\n')[0];
+
+  // Check both title and full message for references
+  const allText = `${commitTitle} ${commitMessage}`;
+  const jiraReferences = findJiraReferences(allText, jiraMatchers);
+  const githubMatches = allText.match(/#(\d+)/g) || [];
+
+  const change = {
+    type: 'plain',
+    key: commitSha,
+    summary: commitTitle,
+    commitSummary: commitTitle,
+    url: null,
+    commitSha,
+    commitAuthor: commit.commit.author?.name || commit.author?.login || 'unknown',
+    commit: {
+      sha: commit.sha,
+      title: commitTitle,
+      message: commitMessage,
+      date: commit.commit.author?.date || null,
+      url: commit.html_url || `https://github.com/${owner}/${repo}/commit/${commit.sha}`,
+    },
+    allJiraRefs: jiraReferences.map(reference => reference.key),
+    allGithubRefs: githubMatches,
+  };
+
+  // Add GitHub info from the associated PR, or from a GitHub reference in the text
+  if (pullRequest) {
+    change.pullRequest = pullRequest;
+    change.githubKey = String(pullRequest.number);
+    change.githubUrl = pullRequest.url;
+  } else if (githubMatches.length > 0) {
+    change.githubKey = githubMatches[0].replace('#', '');
+    change.githubUrl = `https://github.com/${owner}/${repo}/pull/${change.githubKey}`;
+  }
+
+  if (jiraReferences.length > 0) {
+    // Found JIRA references - link to first one found, on that project's server
+    change.type = 'jira';
+    change.key = jiraReferences[0].key;
+    change.summary = change.commitSummary = cleanCommitTitle(commitTitle);
+    change.url = jiraReferences[0].url;
+  } else if (change.githubKey) {
+    // No JIRA but found GitHub reference
+    change.type = 'github';
+    change.key = change.githubKey;
+    change.summary = change.commitSummary = cleanCommitTitle(commitTitle);
+    change.url = change.githubUrl;
+  } else if (filterEmptyCommits) {
+    // Skip commits with no references
+    return null;
+  }
+
+  return change;
+}
+
+// --- Helper function to fetch every commit between two refs ---
+// The compare API only returns the first 250 commits unless paginated, and large ranges
+// can still come back short. In that case we walk the commit list back from head to the
+// merge base instead, and report how the commits were collected.
+const COMPARE_PAGE_SIZE = 100;
+const MAX_WALKED_COMMITS = 5000;
+
+async function fetchComparisonCommits({ owner, repo, base, head }) {
+  const { data: comparison } = await octokit.repos.compareCommits({
+    owner,
+    repo,
+    base,
+    head,
+    per_page: COMPARE_PAGE_SIZE,
+    page: 1,
+  });
+
+  const totalCommits = comparison.total_commits ?? comparison.commits.length;
+  const commits = [...comparison.commits];
+
+  // --- 1. Paginate the comparison ---
+  let page = 1;
+  while (commits.length < totalCommits) {
+    page++;
+    const { data: nextPage } = await octokit.repos.compareCommits({
+      owner,
+      repo,
+      base,
+      head,
+      per_page: COMPARE_PAGE_SIZE,
+      page,
+    });
+    if (!nextPage.commits || nextPage.commits.length === 0) {
+      break;
+    }
+    commits.push(...nextPage.commits);
+  }
+
+  if (commits.length >= totalCommits) {
+    return {
+      comparison,
+      commits,
+      coverage: { complete: true, method: 'compare', fallback: false, totalCommits, fetchedCommits: commits.length },
+    };
+  }
+
+  // --- 2. Fall back to walking the commit list from head to the merge base ---
+  console.warn(`Compare API returned ${commits.length} of ${totalCommits} commits for ${base}...${head}, walking commit list instead`);
+
+  const mergeBaseSha = comparison.merge_base_commit?.sha;
+  const walked = [];
+  let reachedMergeBase = false;
+
+  for await (const { data: pageCommits } of octokit.paginate.iterator(octokit.repos.listCommits, {
+    owner,
+    repo,
+    sha: head,
+    per_page: COMPARE_PAGE_SIZE,
+  })) {
+    for (const commit of pageCommits) {
+      if (commit.sha === mergeBaseSha) {
+        reachedMergeBase = true;
+        break;
+      }
+      walked.push(commit);
+    }
+    if (reachedMergeBase || walked.length >= MAX_WALKED_COMMITS) {
+      break;
+    }
+  }
+
+  // The commit list is newest first; the compare API is oldest first
+  walked.reverse();
+
+  return {
+    comparison,
+    commits: walked,
+    coverage: {
+      complete: reachedMergeBase && walked.length >= totalCommits,
+      method: 'commit-walk',
+      fallback: true,
+      totalCommits,
+      fetchedCommits: walked.length,
+    },
+  };
+}
+
+// --- Helper function to count changes by reference type ---
+function summarizeChanges(totalCommits, changes) {
+  const withJira = changes.filter(c => c.type === 'jira');
+  return {
+    total: totalCommits,
+    processed: changes.length,
+    skipped: totalCommits - changes.length,
+    withJira: withJira.length,
+    withGithub: changes.filter(c => c.type === 'github').length,
+    totalJiraReferences: withJira.reduce((sum, c) => sum + c.allJiraRefs.length, 0),
+  };
+}
+
+// --- Helper function to find commits that already shipped on the previous release line ---
+// What shipped in the previous release is its own range: from the release before it to base.
+// That includes hotfixes cherry-picked into it, even once base was merged forward into head.
+// It's skipped when base isn't a release (e.g. a SHA), since nothing shipped from it.
+// Failures only disable the check, they never fail the release.
+async function findShippedChanges({ owner, repo, base, previousRelease, releaseRefs, commits, jiraMatchers, shippedMode, options = {} }) {
+  const result = { mode: shippedMode, checked: 0, failed: false, commits: new Map(), changes: [] };
+  if (shippedMode === 'off' || !parseReleaseVersion(previousRelease)) return result;
+
+  const describeCommit = commit => ({
+    title: cleanCommitTitle(commit.commit.message.split('\n')[0]).trim().toLowerCase(),
+    tickets: findJiraReferences(commit.commit.message, jiraMatchers).map(reference => reference.key),
+  });
+
+  try {
+    let previousBase;
+    try {
+      ({ base: previousBase } = await resolvePreviousRelease(previousRelease, { ...options, owner, repo, releaseRefs, hotfix: false }));
+    } catch (error) {
+      // The previous release is the first one; nothing shipped before it to compare with
+      if (error.candidates) return result;
+      throw error;
+    }
+
+    const { commits: previousCommits } = await fetchComparisonCommits({ owner, repo, base: previousBase, head: base });
+    result.checked = previousCommits.length;
+    result.commits = await findShippedCommits(octokit, { owner, repo, commits, previousCommits, describeCommit });
+  } catch (error) {
+    console.warn(`Could not check ${base} for already shipped changes:`, error.message);
+    result.failed = true;
+    return result;
+  }
+
+  result.changes = commits
+    .filter(commit => result.commits.has(commit.sha))
+    .map(commit => ({
+      sha: commit.sha,
+      title: commit.commit.message.split('\n')[0],
+      shippedSha: result.commits.get(commit.sha).sha,
+      reason: result.commits.get(commit.sha).reason,
+    }));
+  return result;
+}
+
+// --- Compare two releases in a single repository and extract changes ---
+async function extractRepositoryChanges(releaseNumber, options = {}) {
+  const {
+    owner = process.env.GITHUB_OWNER,
+    repo = process.env.GITHUB_REPO,
+    name = repo,
+    filterEmptyCommits = true,
+  } = options;
+
+  const source = getReleaseSource(options);
+  const exclusionRules = getExclusionRules(options.excludeRules);
+  const shippedMode = getShippedMode(options);
+  const paths = getPathScope(options);
+
+  // Release refs are only listed when a release number has to be resolved
+  const needsRefs = [options.base, options.head || releaseNumber]
+    .some(value => !value || parseReleaseVersion(value));
+  const releaseRefs = needsRefs ? await listReleaseRefs({ ...options, owner, repo }) : [];
+
+  // Explicit base/head overrides win over the previous-release lookup
+  let previousRelease;
+  let base;
+  if (options.base) {
+    base = resolveReleaseRef(options.base, source, releaseRefs);
+    previousRelease = normalizeReleaseNumber(options.base);
+  } else {
+    ({ previousRelease, base } = await resolvePreviousRelease(releaseNumber, { ...options, owner, repo, releaseRefs }));
+  }
+  const head = resolveReleaseRef(options.head || releaseNumber, source, releaseRefs);
+
+  let comparison;
+  let commits;
+  let coverage;
+  try {
+    ({ comparison, commits, coverage } = await fetchComparisonCommits({ owner, repo, base, head }));
+  } catch (error) {
+    // Let callers report exactly which refs were compared, and in which repository
+    error.base = base;
+    error.head = head;
+    error.owner = owner;
+    error.repo = repo;
+    throw error;
+  }
+
+  const jiraMatchers = buildJiraMatchers(getJiraProjects(options.jiraProjects));
+  const breakingLabels = getBreakingLabels(options);
+
+  // Find commits that already shipped on the previous release line (cherry-picked hotfixes)
+  const shipped = await findShippedChanges({
+    owner,
+    repo,
+    base,
+    previousRelease,
+    releaseRefs,
+    commits,
+    jiraMatchers,
+    shippedMode,
+    options,
+  });
+  shipped.release = previousRelease || base;
+  const unshippedCommits = shippedMode === 'omit'
+    ? commits.filter(commit => !shipped.commits.has(commit.sha))
+    : commits;
+
+  // Changes reverted within the range cancel out with their revert
+  const { commits: unrevertedCommits, reverts, summary: revertSummary } = applyReverts(unshippedCommits);
+
+  // Drop commits an exclusion rule matches on the commit alone (bot authors, title patterns,
+  // merge commits) first, so the GitHub lookups below only run for commits that can still ship
+  const { commits: candidateCommits, summary: commitExclusions } = applyExclusionRules(unrevertedCommits, new Map(), exclusionRules);
+
+  // In a monorepo, keep only the commits touching the scoped paths (e.g. services/economy/**)
+  const { commits: scopedCommits, summary: pathScope } = await scopeCommitsToPaths(octokit, {
+    owner,
+    repo,
+    commits: candidateCommits,
+    paths,
+  });
+
+  // Look up the merged PR behind each commit; commits without one fall back to "#123" in the text
+  const { pullRequests, summary: pullRequestLookup } = isPullRequestLookupEnabled(options)
+    ? await fetchPullRequestsForCommits(octokit, { owner, repo, commits: scopedCommits })
+    : { pullRequests: new Map(), summary: { enabled: false } };
+
+  // Then drop the commits matched through their PR (skip-release-notes label, PR author, ...)
+  const { commits: includedCommits, summary: pullRequestExclusions } = applyExclusionRules(scopedCommits, pullRequests, exclusionRules);
+  const exclusions = mergeExclusionSummaries([commitExclusions, pullRequestExclusions]);
+
+  const changes = [];
+  const processedCommits = new Set();
+
+  for (const commit of includedCommits) {
+    // Skip if we've already processed this commit
+    if (processedCommits.has(commit.sha)) {
+      continue;
+    }
+    processedCommits.add(commit.sha);
+
+    // Reverts of earlier releases and breaking changes are always announced, even without references
+    const revert = reverts.get(commit.sha);
+    const pullRequest = pullRequests.get(commit.sha) || null;
+    const breaking = detectBreakingChange({
+      commit: { title: commit.commit.message.split('\n')[0], message: commit.commit.message },
+      pullRequest,
+    }, breakingLabels);
+    const change = parseCommit(commit, {
+      ...options,
+      owner,
+      repo,
+      jiraMatchers,
+      filterEmptyCommits: filterEmptyCommits && !revert && !breaking,
+      pullRequest,
+    });
+    if (change) {
+      change.repository = { name, owner, repo };
+      if (revert) {
+        change.revert = revert;
+        if (revert.title) {
+          change.summary = change.commitSummary = cleanCommitTitle(revert.title);
+        }
+      }
+      const shippedAs = shipped.commits.get(commit.sha);
+      if (shippedAs) {
+        change.alreadyShipped = { release: shipped.release, sha: shippedAs.sha, reason: shippedAs.reason };
+      }
+      changes.push(change);
+    }
+  }
+
+  return {
+    releaseNumber,
+    previousRelease,
+    base,
+    head,
+    name,
+    owner,
+    repo,
+    source,
+    compareUrl: comparison.html_url || `https://github.com/${owner}/${repo}/compare/${base}...${head}`,
+    commits,
+    coverage,
+    changes,
+    stats: {
+      ...summarizeChanges(commits.length, changes),
+      excluded: exclusions.excluded,
+      outOfScope: pathScope.outOfScope || 0,
+    },
+    exclusions,
+    pathScope,
+    reverts: revertSummary,
+    shipped: {
+      mode: shipped.mode,
+      release: shipped.release,
+      checked: shipped.checked,
+      failed: shipped.failed,
+      changes: shipped.changes,
+    },
+    pullRequestLookup,
+    jiraPatterns: jiraMatchers.map(matcher => matcher.regex.toString()),
+  };
+}
+
+// --- Main function to compare two releases and extract changes ---
+// A release can span several repositories (see getRepositories in lib/config.js); each one
+// is compared with its own ref template and the changes are merged. The top-level
+// base/head/compareUrl fields describe the first repository, for single-repo callers.
+async function extractReleaseChanges(releaseNumber, options = {}) {
+  const repositories = getRepositories(options.repositories);
+
+  // Repository settings (e.g. each repo's ref template) win over call-wide options
+  const withoutUndefined = object => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+  const results = await Promise.all(repositories.map(async repository => {
+    try {
+      return await extractRepositoryChanges(releaseNumber, { ...withoutUndefined(options), ...repository });
+    } catch (error) {
+      // Let callers name the repository whose comparison failed
+      error.owner = error.owner || repository.owner;
+      error.repo = error.repo || repository.repo;
+      if (repositories.length === 1) throw error;
+      console.error(`Error extracting changes from ${repository.owner}/${repository.repo}:`, error);
+      return { ...repository, error };
+    }
+  }));
+
+  const succeeded = results.filter(result => !result.error);
+  if (succeeded.length === 0) {
+    // Every repository failed; surface the first error like a single-repo release would
+    throw results[0].error;
+  }
+
+  const primary = succeeded[0];
+  const commits = succeeded.flatMap(result => result.commits);
+  const commitChanges = succeeded.flatMap(result => result.changes);
+  const exclusions = mergeExclusionSummaries(succeeded.map(result => result.exclusions));
+  const shipped = {
+    mode: primary.shipped.mode,
+    release: primary.shipped.release,
+    checked: succeeded.reduce((sum, result) => sum + result.shipped.checked, 0),
+    failed: succeeded.some(result => result.shipped.failed),
+    changes: succeeded.flatMap(result => result.shipped.changes.map(change => ({ ...change, repository: result.name }))),
+  };
+  const scopedResults = succeeded.filter(result => result.pathScope.enabled);
+  const pathScope = scopedResults.length === 0 ? { enabled: false } : {
+    enabled: true,
+    paths: [...new Set(scopedResults.flatMap(result => result.pathScope.paths))],
+    checked: scopedResults.reduce((sum, result) => sum + result.pathScope.checked, 0),
+    matched: scopedResults.reduce((sum, result) => sum + result.pathScope.matched, 0),
+    outOfScope: scopedResults.reduce((sum, result) => sum + result.pathScope.outOfScope, 0),
+    failed: scopedResults.reduce((sum, result) => sum + result.pathScope.failed, 0),
+    errors: scopedResults.flatMap(result => result.pathScope.errors),
+  };
+  const reverts = {
+    dropped: succeeded.reduce((sum, result) => sum + result.reverts.dropped, 0),
+    pairs: succeeded.flatMap(result => result.reverts.pairs.map(pair => ({ ...pair, repository: result.name }))),
+    reverted: succeeded.reduce((sum, result) => sum + result.reverts.reverted, 0),
+  };
+
+  // Optionally fetch real ticket details from Jira
+  const jiraEnrichment = isJiraEnrichmentEnabled(options)
+    ? await enrichChangesWithJira(commitChanges, options)
+    : { enabled: false };
+
+  // One line per ticket (or PR), titled per the configured title strategy
+  const groupedChanges = groupChanges(commitChanges, options);
+
+  // Flag breaking changes, which are announced in a highlighted block at the top
+  const breakingChanges = markBreakingChanges(groupedChanges, options);
+
+  // Sort into sections (Features, Fixes, ...) unless categorised announcements are turned off
+  const categorized = isCategorizationEnabled(options);
+  const changes = categorized ? categorizeChanges(groupedChanges, options) : groupedChanges;
+
+  return {
+    ...primary,
+    commits,
+    changes,
+    coverage: {
+      method: succeeded.some(result => result.coverage.fallback) ? 'commit-walk' : 'compare',
+      complete: succeeded.every(result => result.coverage.complete),
+      fallback: succeeded.some(result => result.coverage.fallback),
+      totalCommits: succeeded.reduce((sum, result) => sum + result.coverage.totalCommits, 0),
+      fetchedCommits: succeeded.reduce((sum, result) => sum + result.coverage.fetchedCommits, 0),
+    },
+    stats: {
+      ...summarizeChanges(commits.length, commitChanges),
+      excluded: exclusions.excluded,
+      outOfScope: pathScope.outOfScope || 0,
+      changes: changes.length,
+    },
+    exclusions,
+    pathScope,
+    reverts,
+    shipped,
+    hotfix: options.hotfix ? { parentRelease: primary.previousRelease } : null,
+    pullRequestLookup: {
+      enabled: succeeded.some(result => result.pullRequestLookup.enabled),
+      requested: succeeded.reduce((sum, result) => sum + (result.pullRequestLookup.requested || 0), 0),
+      resolved: succeeded.reduce((sum, result) => sum + (result.pullRequestLookup.resolved || 0), 0),
+      failed: succeeded.reduce((sum, result) => sum + (result.pullRequestLookup.failed || 0), 0),
+      errors: succeeded.flatMap(result => result.pullRequestLookup.errors || []),
+    },
+    jiraEnrichment,
+    sections: categorized ? getCategoryConfig(options.categories).sections : null,
+    breakingChanges,
+    repositories: results.map(result => ({
+      name: result.name,
+      owner: result.owner,
+      repo: result.repo,
+      base: result.base || null,
+      head: result.head || null,
+      previousRelease: result.previousRelease || null,
+      refType: result.source?.type || null,
+      compareUrl: result.compareUrl || null,
+      coverage: result.coverage || null,
+      stats: result.stats || null,
+      error: result.error ? result.error.message : null,
+    })),
+  };
+}
+
+module.exports = {
+  octokit,
+  formatJiraServerUrl,
+  parseReleaseVersion,
+  compareReleaseVersions,
+  getReleaseSource,
+  normalizeReleaseNumber,
+  formatReleaseRef,
+  listReleaseRefs,
+  findReleaseRef,
+  fetchComparisonCommits,
+  resolvePreviousRelease,
+  resolveReleaseRef,
+  buildJiraMatchers,
+  findJiraReferences,
+  cleanCommitTitle,
+  parseCommit,
+  summarizeChanges,
+  extractRepositoryChanges,
+  extractReleaseChanges,
+};
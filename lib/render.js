@@ -0,0 +1,298 @@
+// Renderers that turn the structured change model from lib/release-diff.js into Slack text.
+
+const ANNOUNCEMENT_HEADER = '*Deploying to prod* 🚀';
+const HOTFIX_HEADER = '*Hotfix deploying to prod* 🚑';
+
+// --- Render a single change as a mrkdwn bullet ---
+function renderChangeLine(change) {
+  const summary = change.revert ? `Reverted: ${change.summary}` : change.summary;
+  const shippedNote = change.alreadyShipped ? ` _(already shipped in ${change.alreadyShipped.release})_` : '';
+  if (change.type === 'jira') {
+    let changeText = `• <${change.url}|${summary}>`;
+    // Append GitHub link if present
+    if (change.githubUrl) {
+      changeText += ` <${change.githubUrl}|(#${change.githubKey})>`;
+    }
+    return changeText + shippedNote;
+  } else if (change.type === 'github') {
+    return `• ${summary} <${change.url}|(#${change.key})>${shippedNote}`;
+  }
+  return `• ${summary}${shippedNote}`;
+}
+
+// --- Render a breaking change as a bullet followed by its migration note ---
+function renderBreakingChange(change) {
+  const line = renderChangeLine(change);
+  const migration = change.breaking?.migration;
+  if (!migration) return line;
+  return `${line}\n      ↳ _Migration:_ ${migration.replace(/\s*\n\s*/g, ' ')}`;
+}
+
+// --- Render a short plain-text label for checkboxes ---
+function renderChangeLabel(change, index) {
+  let label = `Change ${index + 1}`;
+  if (change.type === 'jira') {
+    label = change.key;
+  } else if (change.type === 'github') {
+    label = `PR #${change.key}`;
+  }
+
+  // Add first few words of commit for context
+  let description = change.summary;
+  const firstWords = description.split(' ').slice(0, 4).join(' ');
+  if (description.length > firstWords.length) {
+    description = firstWords + '...';
+  }
+
+  // Grouped changes cover several commits; say so, since deselecting drops all of them
+  const commitCount = change.commits ? change.commits.length : 1;
+  const suffix = commitCount > 1 ? ` (${commitCount} commits)` : '';
+
+  const prefix = change.breaking ? '💥 ' : '';
+
+  return `${`${prefix}${label}: ${description}`.substring(0, 75 - suffix.length)}${suffix}`;
+}
+
+// --- Render a warning when not every commit could be fetched the normal way ---
+// Returns null when the comparison was complete.
+function renderCoverageWarning(coverage) {
+  if (!coverage) return null;
+  if (!coverage.complete) {
+    return `⚠️ *Incomplete release:* only ${coverage.fetchedCommits} of ${coverage.totalCommits} commits could be fetched from GitHub. Some changes may be missing.`;
+  }
+  if (coverage.fallback) {
+    return `ℹ️ This release has ${coverage.totalCommits} commits, more than the GitHub compare API returns, so they were collected by walking the commit history.`;
+  }
+  return null;
+}
+
+// --- Render a notice when Jira enrichment was on but Jira couldn't be reached ---
+function renderJiraEnrichmentWarning(jiraEnrichment) {
+  if (!jiraEnrichment?.enabled || !jiraEnrichment.failed) return null;
+  return '⚠️ Jira could not be reached, so commit titles are shown instead of ticket summaries.';
+}
+
+// --- Render a notice when some commits' pull requests couldn't be looked up ---
+function renderPullRequestWarning(pullRequestLookup) {
+  if (!pullRequestLookup?.enabled || !pullRequestLookup.failed) return null;
+  return `⚠️ Pull requests could not be looked up for ${pullRequestLookup.failed} of ${pullRequestLookup.requested} commits, so their PR links come from the commit text.`;
+}
+
+// --- Render a note listing how many commits each exclusion rule dropped ---
+// Returns null when no commit was excluded.
+function renderExclusionSummary(exclusions) {
+  if (!exclusions?.excluded) return null;
+
+  const commits = count => `${count} ${count === 1 ? 'commit' : 'commits'}`;
+  const describe = rule => {
+    if (rule.type === 'label') return `${rule.count} by label \`${rule.value}\``;
+    if (rule.type === 'title') return `${rule.count} by title matching \`${rule.value}\``;
+    if (rule.type === 'author') return `${rule.count} by author \`${rule.value}\``;
+    return commits(rule.count).replace('commit', 'merge commit');
+  };
+  const details = exclusions.rules.filter(rule => rule.count > 0).map(describe);
+
+  return `🚫 Excluded ${commits(exclusions.excluded)}: ${details.join(', ')}`;
+}
+
+// --- Render a note about the paths a release was scoped to ---
+// Returns null when the release isn't scoped.
+function renderPathScopeSummary(pathScope) {
+  if (!pathScope?.enabled) return null;
+
+  const paths = pathScope.paths.map(path => `\`${path}\``).join(', ');
+  const failed = pathScope.failed > 0
+    ? ` ⚠️ Changed files could not be fetched for ${pathScope.failed} ${pathScope.failed === 1 ? 'commit, so it was' : 'commits, so they were'} kept.`
+    : '';
+  return `📁 Scoped to ${paths}: ${pathScope.matched} of ${pathScope.checked} commits touch these paths.${failed}`;
+}
+
+// --- Render a note about changes that were reverted within the release ---
+// Returns null when nothing cancelled out.
+function renderRevertSummary(reverts) {
+  if (!reverts?.pairs?.length) return null;
+
+  const titles = reverts.pairs.slice(0, 5).map(pair => `\`${pair.title}\``);
+  const more = reverts.pairs.length > 5 ? ` and ${reverts.pairs.length - 5} more` : '';
+  const changeWord = reverts.pairs.length === 1 ? 'change was' : 'changes were';
+  return `↩️ ${reverts.pairs.length} ${changeWord} reverted within this release and left out: ${titles.join(', ')}${more}`;
+}
+
+// --- Render a note about changes that already shipped in the previous release ---
+// Returns null when there were none and the check didn't fail.
+function renderShippedSummary(shipped) {
+  if (!shipped || shipped.mode === 'off') return null;
+  if (shipped.failed) {
+    return '⚠️ The previous release could not be checked for cherry-picked changes, so some may be announced twice.';
+  }
+  if (shipped.changes.length === 0) return null;
+
+  const count = shipped.changes.length;
+  const changeWord = count === 1 ? 'change' : 'changes';
+  if (shipped.mode === 'mark') {
+    return `🔁 ${count} ${changeWord} that already shipped in ${shipped.release} ${count === 1 ? 'is' : 'are'} marked below.`;
+  }
+
+  const titles = shipped.changes.slice(0, 5).map(change => `\`${change.title}\``);
+  const more = count > 5 ? ` and ${count - 5} more` : '';
+  return `🔁 ${count} ${changeWord} that already shipped in ${shipped.release} ${count === 1 ? 'was' : 'were'} left out: ${titles.join(', ')}${more}`;
+}
+
+// --- Helper function to render one entry of a change list ---
+// Entries are change models, already-rendered lines, or { text, repository, category, breaking }
+// objects (rendered lines that still know their repository, category and whether they are
+// breaking).
+function renderEntry(entry) {
+  if (typeof entry === 'string') return entry;
+  if (entry.text) return entry.text;
+  return entry.breaking ? renderBreakingChange(entry) : renderChangeLine(entry);
+}
+
+// --- Helper function to render the highlighted breaking-changes block ---
+// A blockquote, so it stands out above the regular change list.
+function renderBreakingBlock(entries, multiRepo) {
+  const lines = entries.map(entry => {
+    const text = renderEntry(entry);
+    const repository = typeof entry === 'string' ? null : entry.repository?.name;
+    if (!multiRepo || !repository) return text;
+
+    // Name the repository after the first line, ahead of any migration note
+    const [first, ...rest] = text.split('\n');
+    return [`${first} _(${repository})_`, ...rest].join('\n');
+  });
+
+  const quoted = lines.join('\n').split('\n').map(line => `> ${line}`).join('\n');
+  return `🚨 *Breaking changes - check before deploying*\n${quoted}`;
+}
+
+// --- Helper function to render a list of entries, split into category sections ---
+// Entries without a category (e.g. lines scraped back from a preview) and lists where every
+// entry is uncategorised stay a flat list. headingStyle is '*' (bold) or '_' (italic).
+function renderCategorizedEntries(entries, sections, headingStyle = '*') {
+  const categoryOf = entry => (typeof entry === 'string' ? null : entry.category);
+  const categorized = sections && entries.some(entry => categoryOf(entry) && categoryOf(entry) !== 'other');
+  if (!categorized) {
+    return entries.map(renderEntry).join('\n');
+  }
+
+  const blocks = [];
+  for (const section of sections) {
+    const sectionEntries = entries.filter(entry => categoryOf(entry) === section.key);
+    if (sectionEntries.length === 0) continue;
+    blocks.push(`${headingStyle}${section.title}${headingStyle}\n${sectionEntries.map(renderEntry).join('\n')}`);
+  }
+
+  // Entries whose category has no section go last
+  const known = new Set(sections.map(section => section.key));
+  const leftover = entries.filter(entry => !known.has(categoryOf(entry)));
+  if (leftover.length > 0) {
+    blocks.push(leftover.map(renderEntry).join('\n'));
+  }
+
+  return blocks.join('\n\n');
+}
+
+// --- Render the announcement header ---
+// The headline, the release ref and, for hotfixes, the release they patch.
+function renderAnnouncementHeader(releaseNumber, options = {}) {
+  const {
+    branch = `releases/${releaseNumber}`,
+    refType = 'branch',
+    repositories = [],
+    hotfix = null,
+  } = options;
+
+  const headline = hotfix ? HOTFIX_HEADER : ANNOUNCEMENT_HEADER;
+  const refLabel = refType === 'tag' ? 'Tag' : 'Branch';
+  let header = repositories.length > 1
+    ? `${headline}\n*Release:* \`${releaseNumber}\``
+    : `${headline}\n*${refLabel}:* \`${branch}\``;
+  if (hotfix?.parentRelease) {
+    // Hotfixes say which release they patch, linking its announcement when we found it
+    const original = hotfix.permalink ? ` · <${hotfix.permalink}|original announcement>` : '';
+    header += `\n*Hotfix for:* \`${hotfix.parentRelease}\`${original}`;
+  }
+  return header;
+}
+
+// --- Render everything below the announcement header ---
+// Breaking changes come first, in a highlighted block. With more than one repository the
+// other changes are split into a section per repository, and with category sections (see
+// lib/categories.js) into Features, Fixes, ... within those.
+function renderChangeList(allChanges, options = {}) {
+  const {
+    emptyText = 'No commits found in this release.',
+    repositories = [],
+    sections = null,
+  } = options;
+
+  if (allChanges.length === 0) {
+    return `*Changes:* ${emptyText}`;
+  }
+
+  const multiRepo = repositories.length > 1;
+  const isBreaking = entry => typeof entry !== 'string' && Boolean(entry.breaking);
+  const breakingEntries = allChanges.filter(isBreaking);
+  const changes = allChanges.filter(entry => !isBreaking(entry));
+  const breakingBlock = breakingEntries.length > 0 ? renderBreakingBlock(breakingEntries, multiRepo) : null;
+  if (changes.length === 0) {
+    return breakingBlock;
+  }
+
+  const top = breakingBlock ? `${breakingBlock}\n` : '';
+  if (!multiRepo) {
+    return `${top}*Changes:*\n${renderCategorizedEntries(changes, sections)}`;
+  }
+
+  const repositorySections = [];
+  const repositoryOf = entry => (typeof entry === 'string' ? null : entry.repository?.name);
+  for (const repository of repositories) {
+    const entries = changes.filter(entry => repositoryOf(entry) === repository.name);
+    if (entries.length === 0) continue;
+
+    const ref = repository.head ? ` · \`${repository.head}\`` : '';
+    repositorySections.push(`*${repository.name}*${ref}\n${renderCategorizedEntries(entries, sections, '_')}`);
+  }
+
+  // Anything we can't attribute to a repository goes last
+  const known = new Set(repositories.map(repository => repository.name));
+  const unattributed = changes.filter(entry => !known.has(repositoryOf(entry)));
+  if (unattributed.length > 0) {
+    repositorySections.push(renderCategorizedEntries(unattributed, sections, '_'));
+  }
+
+  return `${top}*Changes:*\n${repositorySections.join('\n\n')}`;
+}
+
+// --- Render the full announcement text ---
+// The default format; channels can use their own template instead (see lib/templates.js).
+// An intro (written when editing the announcement) goes between the header and the changes.
+function renderAnnouncement(releaseNumber, allChanges, options = {}) {
+  const { intro = null } = options;
+  return [
+    renderAnnouncementHeader(releaseNumber, options),
+    intro,
+    renderChangeList(allChanges, options),
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  ANNOUNCEMENT_HEADER,
+  HOTFIX_HEADER,
+  renderChangeLine,
+  renderBreakingChange,
+  renderEntry,
+  renderBreakingBlock,
+  renderCategorizedEntries,
+  renderChangeLabel,
+  renderCoverageWarning,
+  renderJiraEnrichmentWarning,
+  renderPullRequestWarning,
+  renderExclusionSummary,
+  renderRevertSummary,
+  renderShippedSummary,
+  renderPathScopeSummary,
+  renderAnnouncementHeader,
+  renderChangeList,
+  renderAnnouncement,
+};
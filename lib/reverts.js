@@ -0,0 +1,91 @@
+// Recognises revert commits ('Revert "..."' titles and "This reverts commit <sha>" bodies).
+// A change reverted inside the same release cancels out with its revert, so neither is
+// announced; a revert of something shipped in an earlier release becomes a "Reverted" entry.
+
+// --- Helper function to get a commit's title ---
+function commitTitle(commit) {
+  return commit.commit.message.split('\n')[0];
+}
+
+// --- Parse a revert commit ---
+// Returns { title, sha } (either may be null) or null when the commit isn't a revert.
+function parseRevert(commit) {
+  const message = commit.commit.message;
+  const titleMatch = commitTitle(commit).match(/^Revert "(.+)"(?:\s*\(#\d+\))?\s*$/);
+  const shaMatch = message.match(/This reverts commit ([0-9a-f]{7,40})/i);
+  if (!titleMatch && !shaMatch) return null;
+
+  return {
+    title: titleMatch ? titleMatch[1] : null,
+    sha: shaMatch ? shaMatch[1].toLowerCase() : null,
+  };
+}
+
+// --- Cancel out reverted changes within a range of commits ---
+// Commits are oldest first. Returns the commits that remain, a Map of commit SHA -> revert
+// details for reverts whose original is not in the range, and the pairs that were dropped.
+function applyReverts(commits) {
+  // SHA -> SHA of the commit it cancelled out with
+  const cancelled = new Map();
+  const reverts = new Map();
+
+  commits.forEach((commit, index) => {
+    const revert = parseRevert(commit);
+    if (!revert) return;
+
+    // Prefer the SHA from the body; a bare 'Revert "..."' title matches the latest commit with that title
+    const earlier = commits.slice(0, index);
+    const target = revert.sha
+      ? earlier.find(candidate => candidate.sha.toLowerCase().startsWith(revert.sha))
+      : [...earlier].reverse().find(candidate => !cancelled.has(candidate.sha) && commitTitle(candidate) === revert.title);
+
+    if (!target) {
+      // The original shipped in an earlier release
+      reverts.set(commit.sha, revert);
+      return;
+    }
+
+    if (cancelled.has(target.sha)) {
+      if (!parseRevert(target)) {
+        // Reverting an already reverted commit again changes nothing
+        cancelled.set(commit.sha, target.sha);
+        return;
+      }
+      // Reverting a revert brings the original back
+      const original = cancelled.get(target.sha);
+      cancelled.delete(original);
+      cancelled.delete(target.sha);
+    }
+
+    reverts.delete(target.sha);
+    cancelled.set(target.sha, commit.sha);
+    cancelled.set(commit.sha, target.sha);
+  });
+
+  const remaining = commits.filter(commit => !cancelled.has(commit.sha));
+
+  // Report each dropped pair once, by its earlier commit
+  const position = new Map(commits.map((commit, index) => [commit.sha, index]));
+  const pairs = commits
+    .filter(commit => cancelled.has(commit.sha) && position.get(cancelled.get(commit.sha)) > position.get(commit.sha))
+    .map(commit => ({
+      original: commit.sha,
+      revert: cancelled.get(commit.sha),
+      title: commitTitle(commit),
+    }));
+
+  return {
+    commits: remaining,
+    reverts,
+    summary: {
+      dropped: commits.length - remaining.length,
+      pairs,
+      reverted: reverts.size,
+    },
+  };
+}
+
+module.exports = {
+  parseRevert,
+  applyReverts,
+};
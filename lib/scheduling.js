@@ -0,0 +1,375 @@
+// Scheduled announcements: the rendered messages are handed to Slack's chat.scheduleMessage,
+// and a record of them (channel, time, message payloads) is kept in the draft store
+// (lib/drafts.js) under the first scheduled message's ID. Slack's list of pending messages
+// is the source of truth for what's still scheduled; the records add the release number and
+// let an announcement be cancelled or rescheduled as a whole.
+const { getDraftStore } = require('./drafts');
+
+const KEY_PREFIX = 'release-announcer:scheduled:';
+// Slack schedules messages at most 120 days ahead
+const MAX_SCHEDULE_DAYS = 120;
+// Records outlive their post time a little, so a late list still finds them
+const RECORD_GRACE_SECONDS = 24 * 60 * 60;
+// Keep the list message well within Slack's 50 blocks
+const MAX_LISTED = 20;
+const SCHEDULE_CALLBACK_ID = 'schedule_announcement';
+const RESCHEDULE_CALLBACK_ID = 'reschedule_announcement';
+const NOT_SCHEDULED_MESSAGE = 'This announcement was not scheduled by /release or has already been posted';
+
+// --- Helper function to check a timezone name ---
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// --- Helper function to get a time's wall-clock parts in a timezone ---
+function getZonedParts(epochSeconds, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(epochSeconds * 1000));
+  const get = type => parts.find(part => part.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`,
+    seconds: Number(get('second')),
+  };
+}
+
+// --- Helper function to check a YYYY-MM-DD date and HH:mm time ---
+// Date.UTC would roll 2026-13-45 over into 2027, so the parts are range-checked and the date
+// has to come back unchanged. Returns what's wrong with it, or null.
+function checkDateTime(date, time = '00:00') {
+  const dateParts = String(date).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const timeParts = String(time).match(/^(\d{2}):(\d{2})$/);
+  if (!dateParts || !timeParts) return 'use YYYY-MM-DD and HH:mm';
+
+  const [year, month, day] = dateParts.slice(1).map(Number);
+  const [hour, minute] = timeParts.slice(1).map(Number);
+  if (month < 1 || month > 12) return 'the month must be 01-12';
+  if (hour > 23) return 'the hour must be 00-23';
+  if (minute > 59) return 'the minute must be 00-59';
+  const roundTrip = new Date(Date.UTC(year, month - 1, day));
+  if (day < 1 || roundTrip.getUTCMonth() !== month - 1 || roundTrip.getUTCDate() !== day) {
+    return `${date} doesn't exist`;
+  }
+  return null;
+}
+
+// --- Convert a wall-clock date and time in a timezone to a Unix timestamp ---
+// date is YYYY-MM-DD and time HH:mm, as Slack's date and time pickers return them. Throws
+// for dates and times that don't exist.
+function zonedTimeToEpoch(date, time, timeZone) {
+  const problem = checkDateTime(date, time);
+  if (problem) {
+    throw new Error(`Invalid date/time: ${date} ${time} (${problem})`);
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute) / 1000;
+
+  // The timezone's offset at that moment; checked twice, since the first guess may be on
+  // the other side of a daylight saving change
+  const offsetAt = epoch => {
+    const parts = getZonedParts(epoch, timeZone);
+    const [zonedYear, zonedMonth, zonedDay] = parts.date.split('-').map(Number);
+    const [zonedHour, zonedMinute] = parts.time.split(':').map(Number);
+    return Date.UTC(zonedYear, zonedMonth - 1, zonedDay, zonedHour, zonedMinute, parts.seconds) / 1000 - epoch;
+  };
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+// --- Helper function to check that Slack can schedule a message at a time ---
+// Returns what's wrong with it, or null.
+function checkPostAt(epoch, now) {
+  if (epoch <= now) return 'in the past';
+  if (epoch > now + MAX_SCHEDULE_DAYS * 24 * 60 * 60) return `more than ${MAX_SCHEDULE_DAYS} days ahead`;
+  return null;
+}
+
+// --- Parse when an announcement should be posted ---
+// Accepts a Unix timestamp (seconds), an ISO 8601 time with an offset, or a local
+// "YYYY-MM-DD HH:mm" (seconds optional) in the given timezone. A date without a time is
+// rejected rather than guessing one. Returns the Unix timestamp; throws when it's not in the
+// future or too far ahead for Slack.
+function parsePostAt(postAt, options = {}) {
+  const { timeZone = 'UTC', now = Date.now() / 1000 } = options;
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+
+  const value = String(postAt).trim();
+  let epoch;
+  // Without an offset, a time is read in the timezone, never in the server's own
+  const local = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::(\d{2})(?:\.\d+)?)?$/);
+  const withOffset = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/i.test(value);
+
+  // Check the date and time parts of local and ISO 8601 times before converting them
+  const dated = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::(\d{2}))?)?/);
+  const dateTimeProblem = dated && (checkDateTime(dated[1], dated[2])
+    || (Number(dated[3]) > 59 ? 'the second must be 00-59' : null));
+  if (dateTimeProblem) {
+    throw new Error(`Invalid postAt: ${postAt} is not a valid date/time (${dateTimeProblem})`);
+  }
+  if (dated && !dated[2]) {
+    throw new Error(`Invalid postAt: ${postAt} has no time (use "YYYY-MM-DD HH:mm" in the timezone, or an ISO 8601 time with an offset)`);
+  }
+
+  if (/^\d+$/.test(value)) {
+    epoch = Number(value);
+  } else if (local) {
+    epoch = zonedTimeToEpoch(local[1], local[2], timeZone) + Number(local[3] || 0);
+  } else if (withOffset) {
+    epoch = Date.parse(value) / 1000;
+  }
+
+  if (!Number.isFinite(epoch)) {
+    throw new Error(`Invalid postAt: ${postAt} (use a Unix timestamp, an ISO 8601 time with an offset or "YYYY-MM-DD HH:mm")`);
+  }
+  epoch = Math.floor(epoch);
+  const problem = checkPostAt(epoch, now);
+  if (problem) {
+    throw new Error(`Invalid postAt: ${postAt} is ${problem}`);
+  }
+  return epoch;
+}
+
+// --- Render a post time as a Slack date, shown in each reader's own timezone ---
+function renderPostAt(postAt) {
+  const fallback = new Date(postAt * 1000).toISOString().replace(/:\d{2}\.\d{3}Z$/, ' UTC').replace('T', ' ');
+  return `<!date^${postAt}^{date_short_pretty} at {time}|${fallback}>`;
+}
+
+// --- Helper function to build the store key of a schedule record ---
+function recordKey(id) {
+  return `${KEY_PREFIX}${id}`;
+}
+
+// --- Load the record of a scheduled announcement ---
+// Returns null when there is none (any more).
+async function loadScheduledAnnouncement(id, store = getDraftStore()) {
+  const value = await store.get(recordKey(id));
+  return value ? JSON.parse(value) : null;
+}
+
+// --- Schedule an announcement's messages ---
+// announcement is { messages } from renderAnnouncementMessages, rendered without a thread:
+// Slack can't reply to a message that hasn't been posted yet. Continuation messages are
+// scheduled a second apart to keep their order. extra (thread_ts and reply_broadcast for
+// hotfixes) works as in postAnnouncementMessages. Returns the saved record.
+async function scheduleAnnouncementMessages(client, channel, announcement, postAt, details = {}, extra = {}, store = getDraftStore()) {
+  if ((announcement.replies || []).length > 0) {
+    throw new Error('Threaded announcements cannot be scheduled');
+  }
+  const { reply_broadcast: replyBroadcast, ...threading } = extra;
+
+  const messages = announcement.messages.map((message, index) => ({
+    ...message,
+    ...threading,
+    ...(index === 0 && replyBroadcast ? { reply_broadcast: true } : {}),
+  }));
+  const scheduledMessageIds = [];
+  try {
+    for (const [index, message] of messages.entries()) {
+      const result = await client.chat.scheduleMessage({ channel, post_at: postAt + index, mrkdwn: true, ...message });
+      scheduledMessageIds.push(result.scheduled_message_id);
+    }
+  } catch (error) {
+    // Don't leave half an announcement scheduled
+    for (const id of scheduledMessageIds) {
+      await client.chat.deleteScheduledMessage({ channel, scheduled_message_id: id }).catch(() => {});
+    }
+    throw error;
+  }
+
+  const record = {
+    ...details,
+    id: scheduledMessageIds[0],
+    channel,
+    postAt,
+    messages,
+    scheduledMessageIds,
+  };
+  const ttlSeconds = Math.max(1, Math.ceil(postAt - Date.now() / 1000) + RECORD_GRACE_SECONDS);
+  await store.set(recordKey(record.id), JSON.stringify(record), ttlSeconds);
+  return record;
+}
+
+// --- List the announcements waiting to be posted ---
+// Only announcements with a schedule record are listed: the bot's token also sees messages
+// other apps and scripts scheduled with it, and those aren't ours to move or cancel.
+async function listScheduledAnnouncements(client, options = {}, store = getDraftStore()) {
+  const { channel } = options;
+  const pending = [];
+  let cursor;
+  do {
+    const result = await client.chat.scheduledMessages.list({ ...(channel ? { channel } : {}), cursor, limit: 100 });
+    pending.push(...(result.scheduled_messages || []));
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+
+  const pendingIds = new Set(pending.map(message => message.id));
+  const announcements = [];
+  for (const message of pending) {
+    // Records are saved under their first message; continuation messages have none
+    const record = await loadScheduledAnnouncement(message.id, store);
+    if (!record) continue;
+    announcements.push({ ...record, complete: record.scheduledMessageIds.every(id => pendingIds.has(id)) });
+  }
+
+  return announcements.sort((a, b) => a.postAt - b.postAt);
+}
+
+// --- Cancel a scheduled announcement ---
+// Only announcements with a schedule record can be cancelled. Returns the record.
+async function cancelScheduledAnnouncement(client, { id }, store = getDraftStore()) {
+  const record = await loadScheduledAnnouncement(id, store);
+  if (!record) {
+    throw new Error(NOT_SCHEDULED_MESSAGE);
+  }
+
+  for (const scheduledMessageId of record.scheduledMessageIds) {
+    try {
+      await client.chat.deleteScheduledMessage({ channel: record.channel, scheduled_message_id: scheduledMessageId });
+    } catch (error) {
+      // Already posted or deleted; the rest can still be cancelled
+      if (error.data?.error !== 'invalid_scheduled_message_id') throw error;
+    }
+  }
+  await store.delete(recordKey(id));
+  return record;
+}
+
+// --- Move a scheduled announcement to another time ---
+// Slack can't change a scheduled message, so the messages are scheduled again and the old
+// ones deleted. Returns the new record.
+async function rescheduleAnnouncement(client, { id, postAt }, store = getDraftStore()) {
+  const record = await loadScheduledAnnouncement(id, store);
+  if (!record) {
+    throw new Error(NOT_SCHEDULED_MESSAGE);
+  }
+
+  const { id: oldId, channel, messages, scheduledMessageIds, postAt: oldPostAt, ...details } = record;
+  const rescheduled = await scheduleAnnouncementMessages(client, channel, { messages }, postAt, { ...details, rescheduledFrom: oldPostAt }, {}, store);
+  await cancelScheduledAnnouncement(client, { id: oldId }, store);
+  return rescheduled;
+}
+
+// --- Render the list for /release scheduled ---
+function renderScheduledList(announcements) {
+  if (announcements.length === 0) {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: '🕒 No announcements are scheduled.' } }];
+  }
+
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*🕒 Scheduled announcements (${announcements.length})*` } }];
+  for (const announcement of announcements.slice(0, MAX_LISTED)) {
+    const title = announcement.releaseNumber
+      ? `*\`${announcement.releaseNumber}\`*${announcement.hotfix ? ' (hotfix)' : ''}`
+      : '_Scheduled announcement_';
+    const by = announcement.scheduledBy ? ` · scheduled by <@${announcement.scheduledBy}>` : '';
+    const partial = announcement.complete === false ? ' · ⚠️ partly posted' : '';
+    const value = JSON.stringify({ id: announcement.id, channel: announcement.channel });
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${title} in <#${announcement.channel}> · ${renderPostAt(announcement.postAt)}${by}${partial}` },
+    });
+    blocks.push({
+      type: 'actions',
+      elements: [
+        ...(announcement.messages ? [{ type: 'button', text: { type: 'plain_text', text: '🕒 Reschedule' }, action_id: 'reschedule_announcement', value }] : []),
+        { type: 'button', text: { type: 'plain_text', text: '🗑️ Cancel' }, style: 'danger', action_id: 'cancel_scheduled_announcement', value },
+      ],
+    });
+  }
+  if (announcements.length > MAX_LISTED) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `_…and ${announcements.length - MAX_LISTED} more._` }] });
+  }
+  return blocks;
+}
+
+// --- Render the modal to pick a post time ---
+// timeZone defaults to the user's Slack timezone; postAt pre-fills the current time when
+// rescheduling, otherwise the next full hour is suggested.
+function renderScheduleView({ callbackId = SCHEDULE_CALLBACK_ID, title = 'Schedule announcement', timeZone = 'UTC', postAt = null, metadata = {}, now = Date.now() / 1000 }) {
+  const initial = getZonedParts(postAt || Math.ceil(now / 3600) * 3600 + 3600, timeZone);
+  return {
+    type: 'modal',
+    callback_id: callbackId,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: title },
+    submit: { type: 'plain_text', text: 'Schedule' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'schedule_date',
+        label: { type: 'plain_text', text: 'Date' },
+        element: { type: 'datepicker', action_id: 'date', initial_date: initial.date },
+      },
+      {
+        type: 'input',
+        block_id: 'schedule_time',
+        label: { type: 'plain_text', text: 'Time' },
+        element: { type: 'timepicker', action_id: 'time', initial_time: initial.time },
+      },
+      {
+        type: 'input',
+        block_id: 'schedule_timezone',
+        label: { type: 'plain_text', text: 'Timezone' },
+        hint: { type: 'plain_text', text: 'Defaults to your Slack timezone, e.g. Europe/Amsterdam or America/New_York' },
+        element: { type: 'plain_text_input', action_id: 'timezone', initial_value: timeZone },
+      },
+    ],
+  };
+}
+
+// --- Read the schedule modal's fields ---
+// Returns { postAt, timeZone } or { errors } keyed by block ID, for response_action "errors".
+function readScheduleState(stateValues = {}, now = Date.now() / 1000) {
+  const date = stateValues.schedule_date?.date?.selected_date;
+  const time = stateValues.schedule_time?.time?.selected_time;
+  const timeZone = (stateValues.schedule_timezone?.timezone?.value || '').trim();
+
+  if (!isValidTimeZone(timeZone)) {
+    return { errors: { schedule_timezone: `Unknown timezone "${timeZone}"` } };
+  }
+  const dateTimeProblem = checkDateTime(date, time);
+  if (dateTimeProblem) {
+    return { errors: { schedule_date: `Not a valid date/time (${dateTimeProblem})` } };
+  }
+  const postAt = zonedTimeToEpoch(date, time, timeZone);
+  const problem = checkPostAt(postAt, now);
+  if (problem) {
+    return { errors: { schedule_time: `That time is ${problem}` } };
+  }
+  return { postAt, timeZone };
+}
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  SCHEDULE_CALLBACK_ID,
+  RESCHEDULE_CALLBACK_ID,
+  zonedTimeToEpoch,
+  parsePostAt,
+  renderPostAt,
+  loadScheduledAnnouncement,
+  scheduleAnnouncementMessages,
+  listScheduledAnnouncements,
+  cancelScheduledAnnouncement,
+  rescheduleAnnouncement,
+  renderScheduledList,
+  renderScheduleView,
+  readScheduleState,
+};
@@ -0,0 +1,217 @@
+// The "Choose changes" modal: a paginated, searchable checklist over every change of a release,
+// grouped by category with select-all/none buttons. The selection is saved to the draft
+// (lib/drafts.js) as the indices of the chosen changes; a draft without one sends everything.
+const { renderChangeLabel } = require('./render');
+
+const CHANGES_PER_PAGE = 50;
+// Slack allows at most 10 options per checkbox group
+const OPTIONS_PER_GROUP = 10;
+const SELECTION_CALLBACK_ID = 'choose_changes';
+
+// --- Get the indices of the changes a draft will announce ---
+function getSelectedIndices(draft) {
+  return Array.isArray(draft.selected) ? draft.selected : draft.changes.map((change, index) => index);
+}
+
+// --- Helper function to find the changes matching a search ---
+// Every word of the query has to appear in the change's label, summary, key, category or repository.
+function filterChangeIndices(draft, query = '') {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const titles = new Map((draft.sections || []).map(section => [section.key, section.title]));
+
+  return draft.changes
+    .map((change, index) => index)
+    .filter(index => {
+      if (words.length === 0) return true;
+      const change = draft.changes[index];
+      const haystack = [
+        renderChangeLabel(change, index),
+        change.summary,
+        change.key,
+        change.category && titles.get(change.category),
+        change.repository?.name,
+      ].filter(Boolean).join(' ').toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+}
+
+// --- Helper function to group change indices by category, in section order ---
+// Releases without sections get one "Changes" group, so select all/none still works.
+function groupChangeIndices(draft, indices) {
+  if (!draft.sections) {
+    return indices.length > 0 ? [{ key: 'all', title: 'Changes', indices }] : [];
+  }
+
+  const known = new Set(draft.sections.map(section => section.key));
+  const groups = draft.sections.map(section => ({
+    key: section.key,
+    title: section.title,
+    indices: indices.filter(index => draft.changes[index].category === section.key),
+  }));
+  groups.push({
+    key: 'uncategorized',
+    title: 'Other',
+    indices: indices.filter(index => !known.has(draft.changes[index].category)),
+  });
+  return groups.filter(group => group.indices.length > 0);
+}
+
+// --- Read the checkboxes of the modal back into the draft's selection ---
+// Each checkbox group's block ID lists the changes it shows, so changes on other pages (or
+// hidden by the search) keep their state.
+function applySelectionState(draft, stateValues = {}) {
+  const selected = new Set(getSelectedIndices(draft));
+
+  for (const [blockId, actions] of Object.entries(stateValues)) {
+    const match = blockId.match(/^changes:\d+:([\d,]+)$/);
+    if (!match) continue;
+
+    const shown = match[1].split(',').map(Number);
+    const checked = new Set(Object.values(actions)
+      .flatMap(action => action.selected_options || [])
+      .map(option => Number(option.value)));
+    for (const index of shown) {
+      if (checked.has(index)) {
+        selected.add(index);
+      } else {
+        selected.delete(index);
+      }
+    }
+  }
+
+  return [...selected].filter(index => index < draft.changes.length).sort((a, b) => a - b);
+}
+
+// --- Select or deselect every change of a category that matches the search ---
+function setCategorySelection(draft, selectedIndices, { category, query = '', checked }) {
+  const group = groupChangeIndices(draft, filterChangeIndices(draft, query)).find(({ key }) => key === category);
+  const selected = new Set(selectedIndices);
+  for (const index of group ? group.indices : []) {
+    if (checked) {
+      selected.add(index);
+    } else {
+      selected.delete(index);
+    }
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+// --- Render the modal for one page of changes ---
+// metadata is carried in the view's private_metadata: { draftId, page, query, revision, ... }.
+// The revision is part of every checkbox block ID, since Slack keeps a block's old state
+// across views.update unless its ID changes.
+function renderChangeSelectionView(draft, metadata = {}) {
+  const { page = 0, query = '', revision = 0 } = metadata;
+  const selected = new Set(getSelectedIndices(draft));
+  const matching = filterChangeIndices(draft, query);
+  const pageCount = Math.max(1, Math.ceil(matching.length / CHANGES_PER_PAGE));
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageIndices = matching.slice(currentPage * CHANGES_PER_PAGE, (currentPage + 1) * CHANGES_PER_PAGE);
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'change_search',
+      dispatch_action: true,
+      optional: true,
+      label: { type: 'plain_text', text: 'Search' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'search_changes',
+        initial_value: query || undefined,
+        placeholder: { type: 'plain_text', text: 'Ticket, PR, words in the title, category… (press Enter)' },
+        dispatch_action_config: { trigger_actions_on: ['on_enter_pressed'] },
+      },
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `*${selected.size} of ${draft.changes.length}* changes selected`
+          + (query ? ` · ${matching.length} matching \`${query}\`` : '')
+          + (pageCount > 1 ? ` · page ${currentPage + 1} of ${pageCount}` : ''),
+      }],
+    },
+  ];
+
+  if (matching.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No changes match this search._' } });
+  }
+
+  // Select all/none covers the whole category (within the search), not just this page
+  const categoryTotals = new Map(groupChangeIndices(draft, matching).map(group => [group.key, group.indices]));
+  for (const group of groupChangeIndices(draft, pageIndices)) {
+    const categoryIndices = categoryTotals.get(group.key);
+    const categorySelected = categoryIndices.filter(index => selected.has(index)).length;
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${group.title}* · ${categorySelected} of ${categoryIndices.length} selected` },
+    });
+    blocks.push({
+      type: 'actions',
+      elements: [
+        { type: 'button', text: { type: 'plain_text', text: 'Select all' }, action_id: 'select_category_all', value: group.key },
+        { type: 'button', text: { type: 'plain_text', text: 'Select none' }, action_id: 'select_category_none', value: group.key },
+      ],
+    });
+
+    for (let i = 0; i < group.indices.length; i += OPTIONS_PER_GROUP) {
+      const indices = group.indices.slice(i, i + OPTIONS_PER_GROUP);
+      const options = indices.map(index => ({
+        text: { type: 'plain_text', text: renderChangeLabel(draft.changes[index], index) },
+        value: String(index),
+      }));
+      const initialOptions = options.filter(option => selected.has(Number(option.value)));
+      blocks.push({
+        type: 'actions',
+        block_id: `changes:${revision}:${indices.join(',')}`,
+        elements: [{
+          type: 'checkboxes',
+          action_id: 'toggle_changes',
+          options,
+          // Slack rejects an empty initial_options list
+          ...(initialOptions.length > 0 ? { initial_options: initialOptions } : {}),
+        }],
+      });
+    }
+  }
+
+  if (pageCount > 1) {
+    blocks.push({
+      type: 'actions',
+      elements: [
+        currentPage > 0 && { type: 'button', text: { type: 'plain_text', text: '◀ Previous' }, action_id: 'change_page_previous' },
+        currentPage < pageCount - 1 && { type: 'button', text: { type: 'plain_text', text: 'Next ▶' }, action_id: 'change_page_next' },
+      ].filter(Boolean),
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: SELECTION_CALLBACK_ID,
+    private_metadata: JSON.stringify({ ...metadata, page: currentPage, query, revision }),
+    title: { type: 'plain_text', text: 'Choose changes' },
+    submit: { type: 'plain_text', text: 'Save selection' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks,
+  };
+}
+
+// --- Render the confirmation after a selection was saved ---
+function renderSelectionSummary(draft) {
+  const count = getSelectedIndices(draft).length;
+  return count === draft.changes.length
+    ? `✅ All ${count} changes of \`${draft.releaseNumber}\` will be announced.`
+    : `✅ Selection saved: ${count} of ${draft.changes.length} changes of \`${draft.releaseNumber}\` will be announced.`;
+}
+
+module.exports = {
+  CHANGES_PER_PAGE,
+  SELECTION_CALLBACK_ID,
+  getSelectedIndices,
+  filterChangeIndices,
+  applySelectionState,
+  setCategorySelection,
+  renderChangeSelectionView,
+  renderSelectionSummary,
+};
@@ -0,0 +1,61 @@
+// Finds an earlier release announcement in a channel, so a hotfix can be posted in its thread.
+// Announcements carry Slack message metadata naming their release, so they're found whatever
+// their text looks like (custom templates, threaded summaries). Older announcements without
+// metadata are still matched by their default header and ref.
+// Needs the channels:history (and groups:history for private channels) bot scope.
+const { ANNOUNCEMENT_HEADER, HOTFIX_HEADER } = require('./render');
+
+const HISTORY_LIMIT = 200;
+const RELEASE_EVENT_TYPE = 'release_announced';
+
+// --- Helper function to compare release numbers and refs, ignoring a "v" prefix ---
+function normalizeRef(ref) {
+  return String(ref).trim().replace(/^v(?=\d)/i, '');
+}
+
+// --- Render the metadata the first message of an announcement carries ---
+// release is the release number and ref the announced branch or tag.
+function renderAnnouncementMetadata(releaseNumber, ref = null) {
+  return {
+    event_type: RELEASE_EVENT_TYPE,
+    event_payload: {
+      release: String(releaseNumber),
+      ...(ref ? { ref } : {}),
+    },
+  };
+}
+
+// --- Find the latest announcement of one of the given refs ---
+// refs are release numbers or refs (`releases/67` or `67`). Returns { channel, ts, permalink }
+// or null when no announcement is found.
+async function findReleaseAnnouncement(client, channel, refs) {
+  const { messages = [] } = await client.conversations.history({ channel, limit: HISTORY_LIMIT, include_all_metadata: true });
+  const wanted = refs.filter(Boolean).map(normalizeRef);
+
+  const announcement = messages.find(message => {
+    const payload = message.metadata?.event_type === RELEASE_EVENT_TYPE && message.metadata.event_payload;
+    if (payload) {
+      return [payload.release, payload.ref].some(value => value && wanted.includes(normalizeRef(value)));
+    }
+    // Announcements sent before they carried metadata
+    return message.text
+      && [ANNOUNCEMENT_HEADER, HOTFIX_HEADER].some(header => message.text.includes(header))
+      && refs.some(ref => ref && message.text.includes(`\`${ref}\``));
+  });
+  if (!announcement) return null;
+
+  return getAnnouncementThread(client, channel, announcement.ts);
+}
+
+// --- Get the thread details for a known announcement ---
+async function getAnnouncementThread(client, channel, ts) {
+  const { permalink } = await client.chat.getPermalink({ channel, message_ts: ts });
+  return { channel, ts, permalink };
+}
+
+module.exports = {
+  RELEASE_EVENT_TYPE,
+  renderAnnouncementMetadata,
+  findReleaseAnnouncement,
+  getAnnouncementThread,
+};
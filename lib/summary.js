@@ -0,0 +1,135 @@
+// Threaded announcements: long releases post a compact summary to the channel (counts per
+// category, breaking changes and the top few changes) and the full change list as replies
+// in its thread, so the channel isn't flooded.
+require('dotenv').config();
+const {
+  renderEntry,
+  renderBreakingBlock,
+  renderAnnouncementHeader,
+} = require('./render');
+
+const DEFAULT_HIGHLIGHTS = 5;
+
+// --- Get the threading settings ---
+// THREADED_ANNOUNCEMENTS is "true" (always thread), "false" (never, the default) or a number:
+// thread only releases with more changes than that. SUMMARY_HIGHLIGHTS is how many changes
+// the summary lists.
+function getThreadingOptions(options = {}) {
+  const {
+    threaded = process.env.THREADED_ANNOUNCEMENTS,
+    highlights = process.env.SUMMARY_HIGHLIGHTS,
+  } = options;
+
+  let threshold = null;
+  if (threaded === true || threaded === 'true') {
+    threshold = 0;
+  } else if (threaded !== undefined && threaded !== null && threaded !== false && threaded !== 'false' && threaded !== '') {
+    threshold = Number(threaded);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      throw new Error(`Invalid threaded setting: ${threaded} (must be true, false or a number of changes)`);
+    }
+  }
+
+  const highlightCount = highlights === undefined || highlights === null || highlights === ''
+    ? DEFAULT_HIGHLIGHTS
+    : Number(highlights);
+  if (!Number.isInteger(highlightCount) || highlightCount < 0) {
+    throw new Error(`Invalid summary highlights: ${highlights} (must be a number of changes)`);
+  }
+
+  return { threshold, highlights: highlightCount };
+}
+
+// --- Decide whether an announcement goes out as a summary with a thread ---
+function shouldThreadAnnouncement(changeCount, options = {}) {
+  const { threshold } = getThreadingOptions(options);
+  return threshold !== null && changeCount > threshold;
+}
+
+// --- Count, per category and per repository, the changes a summary describes ---
+// Returns the counts as mrkdwn fragments, the breaking entries, the highlights and how many
+// changes are only in the thread.
+function summarizeEntries(entries, options = {}) {
+  const { sections = null, repositories = [] } = options;
+  const { highlights } = getThreadingOptions(options);
+  const field = (entry, name) => (typeof entry === 'string' ? null : entry[name]);
+
+  const categoryCounts = [];
+  if (sections) {
+    for (const section of sections) {
+      const count = entries.filter(entry => field(entry, 'category') === section.key).length;
+      if (count > 0) categoryCounts.push(`${section.title} ${count}`);
+    }
+    const known = new Set(sections.map(section => section.key));
+    const leftover = entries.filter(entry => !known.has(field(entry, 'category'))).length;
+    if (leftover > 0 && categoryCounts.length > 0) categoryCounts.push(`Other ${leftover}`);
+  }
+
+  const repositoryCounts = repositories.length > 1
+    ? repositories
+      .map(repository => ({
+        name: repository.name,
+        count: entries.filter(entry => field(entry, 'repository')?.name === repository.name).length,
+      }))
+      .filter(({ count }) => count > 0)
+      .map(({ name, count }) => `${name} ${count}`)
+    : [];
+
+  const breakingEntries = entries.filter(entry => Boolean(field(entry, 'breaking')));
+  const highlighted = entries.filter(entry => !field(entry, 'breaking')).slice(0, highlights);
+
+  return {
+    total: entries.length,
+    categoryCounts,
+    repositoryCounts,
+    breakingEntries,
+    highlights: highlighted,
+    remaining: entries.length - breakingEntries.length - highlighted.length,
+  };
+}
+
+// --- Helper function to render the counts line of a summary ---
+function renderSummaryCounts(summary) {
+  const changeWord = summary.total === 1 ? 'change' : 'changes';
+  const details = [...summary.categoryCounts, ...summary.repositoryCounts];
+  return `*${summary.total} ${changeWord}*${details.length > 0 ? ` · ${details.join(' · ')}` : ''}`;
+}
+
+// --- Helper function to render the highlights of a summary ---
+// Returns null when there is nothing to highlight.
+function renderSummaryHighlights(summary) {
+  if (summary.highlights.length === 0) return null;
+  return `*Highlights:*\n${summary.highlights.map(renderEntry).join('\n')}`;
+}
+
+// --- Helper function to render the pointer to the thread ---
+function renderThreadPointer(summary) {
+  return summary.remaining > 0
+    ? `🧵 _…and ${summary.remaining} more. The full list is in the thread._`
+    : '🧵 _The full list is in the thread._';
+}
+
+// --- Render the channel summary of a threaded announcement as mrkdwn ---
+function renderAnnouncementSummary(releaseNumber, entries, options = {}) {
+  const summary = summarizeEntries(entries, options);
+  const multiRepo = (options.repositories || []).length > 1;
+
+  return [
+    renderAnnouncementHeader(releaseNumber, options),
+    options.intro,
+    renderSummaryCounts(summary),
+    summary.breakingEntries.length > 0 ? renderBreakingBlock(summary.breakingEntries, multiRepo) : null,
+    renderSummaryHighlights(summary),
+    renderThreadPointer(summary),
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  getThreadingOptions,
+  shouldThreadAnnouncement,
+  summarizeEntries,
+  renderSummaryCounts,
+  renderSummaryHighlights,
+  renderThreadPointer,
+  renderAnnouncementSummary,
+};
@@ -0,0 +1,197 @@
+// Fan-out: one announcement posted to several channels, each with its own variant. A target
+// is a channel plus an optional template, filter rules and threading/format settings, e.g.
+// engineering gets the full list, #cs only features and fixes, and #leads a summary.
+require('dotenv').config();
+const { parseJsonEnv } = require('./config');
+const { getChannelTemplate } = require('./templates');
+const { getAnnouncementFormat } = require('./blocks');
+
+const FILTER_RULES = ['categories', 'excludeCategories', 'repositories', 'types', 'breakingOnly', 'includePatterns', 'excludePatterns', 'maxChanges'];
+const LIST_RULES = ['categories', 'excludeCategories', 'repositories', 'types', 'includePatterns', 'excludePatterns'];
+const TARGET_FIELDS = ['channel', 'channelId', 'channelName', 'template', 'filter', 'threaded', 'format'];
+
+// --- Helper function to compile a target's title patterns ---
+function compilePatterns(patterns, label) {
+  return (patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid filter for ${label}: pattern ${pattern}: ${error.message}`);
+    }
+  });
+}
+
+// --- Build the filter for a target's rules ---
+// categories/excludeCategories are category keys, repositories repository names, types
+// jira/github/plain, and includePatterns/excludePatterns case-insensitive regexes matched
+// against the change title. breakingOnly keeps breaking changes, and maxChanges caps the list.
+// Returns a function from entries to the entries the target gets.
+function buildTargetFilter(filter = {}, label = 'target') {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error(`Invalid filter for ${label}: must be an object with ${FILTER_RULES.join(', ')}`);
+  }
+  const unknown = Object.keys(filter).filter(rule => !FILTER_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid filter for ${label}: unknown rule "${unknown[0]}" (must be one of ${FILTER_RULES.join(', ')})`);
+  }
+  // A string would match substrings ("bugfix".includes("fix")), so lists must be lists
+  for (const rule of LIST_RULES) {
+    if (filter[rule] !== undefined && (!Array.isArray(filter[rule]) || !filter[rule].every(value => typeof value === 'string'))) {
+      throw new Error(`Invalid filter for ${label}: ${rule} must be a list of strings`);
+    }
+  }
+  if (filter.breakingOnly !== undefined && typeof filter.breakingOnly !== 'boolean') {
+    throw new Error(`Invalid filter for ${label}: breakingOnly must be true or false`);
+  }
+  if (filter.maxChanges !== undefined && (!Number.isInteger(filter.maxChanges) || filter.maxChanges < 0)) {
+    throw new Error(`Invalid filter for ${label}: maxChanges must be a number of changes`);
+  }
+
+  const includePatterns = compilePatterns(filter.includePatterns, label);
+  const excludePatterns = compilePatterns(filter.excludePatterns, label);
+  const matches = entry => {
+    const title = entry.summary || '';
+    return (!filter.categories || filter.categories.includes(entry.category))
+      && (!filter.excludeCategories || !filter.excludeCategories.includes(entry.category))
+      && (!filter.repositories || filter.repositories.includes(entry.repository?.name))
+      && (!filter.types || filter.types.includes(entry.type))
+      && (!filter.breakingOnly || Boolean(entry.breaking))
+      && (includePatterns.length === 0 || includePatterns.some(regex => regex.test(title)))
+      && !excludePatterns.some(regex => regex.test(title));
+  };
+
+  return entries => {
+    const kept = entries.filter(matches);
+    return filter.maxChanges !== undefined ? kept.slice(0, filter.maxChanges) : kept;
+  };
+}
+
+// --- Helper function to describe a target's channel for messages ---
+function renderTargetChannel(target) {
+  return target.channel ? `<#${target.channel}>` : `#${target.channelName}`;
+}
+
+// --- Normalize a target definition ---
+// Accepts "C0123456789", "#name" or { channel | channelId | channelName, template, filter,
+// threaded, format }. channel is the channel ID once known; names are resolved later.
+// configured is false for targets from a request, which can't use template files.
+function normalizeTarget(definition, { configured = true } = {}) {
+  const target = typeof definition === 'string' ? { channel: definition } : { ...definition };
+  const label = typeof definition === 'string' ? definition : (target.channel || target.channelId || target.channelName);
+  if (!label) {
+    throw new Error(`Invalid target ${JSON.stringify(definition)}: a channel is required`);
+  }
+  const unknown = Object.keys(target).filter(field => !TARGET_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid target ${label}: unknown field "${unknown[0]}"`);
+  }
+  if (!configured && target.template && typeof target.template === 'object') {
+    throw new Error(`Invalid target ${label}: template files can only be configured in ANNOUNCEMENT_TARGETS; send the template text instead`);
+  }
+
+  // A channel given by name (with or without #) is looked up when resolving
+  const given = target.channelId || target.channel;
+  const isId = given && /^[CDG][A-Z0-9]+$/.test(given);
+  const channelName = target.channelName || (!isId && given ? given : null);
+
+  return {
+    channel: isId ? given : null,
+    channelName: channelName ? channelName.replace(/^#/, '') : null,
+    template: target.template || null,
+    filter: target.filter || {},
+    applyFilter: buildTargetFilter(target.filter || {}, label),
+    threaded: target.threaded,
+    format: target.format !== undefined ? getAnnouncementFormat({ format: target.format }) : undefined,
+    label,
+    configured,
+  };
+}
+
+// --- Get the channels an announcement fans out to ---
+// targets overrides ANNOUNCEMENT_TARGETS, a JSON object keyed by the channel /release runs in
+// (ID, name or "default"), each an array of targets. Returns [] when there is no fan-out.
+function getAnnouncementTargets({ channelId = null, channelName = null, targets = null } = {}) {
+  let definitions = targets;
+  if (!definitions) {
+    const configured = parseJsonEnv('ANNOUNCEMENT_TARGETS', {});
+    const bareName = channelName ? channelName.replace(/^#/, '') : null;
+    const key = [channelId, bareName, bareName && `#${bareName}`, 'default'].filter(Boolean).find(candidate => configured[candidate]);
+    definitions = key ? configured[key] : [];
+  }
+  if (!Array.isArray(definitions)) {
+    throw new Error('Invalid targets: must be a list of channels');
+  }
+  return definitions.map(definition => normalizeTarget(definition, { configured: !targets }));
+}
+
+// --- Get a target's template ---
+// Its own template, then fallbackTemplate (e.g. one from the request), then the template
+// configured for its channel. Throws when the template is invalid.
+function getTargetTemplate(target, fallbackTemplate = null) {
+  if (target.template) {
+    return getChannelTemplate({ template: target.template, name: `for target ${target.label}`, allowFiles: target.configured });
+  }
+  return fallbackTemplate || getChannelTemplate({ channelId: target.channel, channelName: target.channelName });
+}
+
+// --- Look up the IDs of targets given by channel name ---
+// Targets whose channel can't be found get an error instead, so the others still go out.
+async function resolveTargetChannels(client, targets) {
+  if (targets.every(target => target.channel)) return targets;
+
+  const ids = new Map();
+  let cursor;
+  do {
+    const result = await client.conversations.list({
+      types: 'public_channel,private_channel',
+      exclude_archived: true,
+      limit: 1000,
+      cursor,
+    });
+    for (const channel of result.channels || []) ids.set(channel.name, channel.id);
+    cursor = result.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return targets.map(target => (target.channel
+    ? target
+    : ids.has(target.channelName)
+      ? { ...target, channel: ids.get(target.channelName) }
+      : { ...target, error: `Channel not found: #${target.channelName}` }));
+}
+
+// --- Render the preview line listing where an announcement will go ---
+function renderTargetsSummary(targets, entries) {
+  const lines = targets.map(target => {
+    const count = target.applyFilter(entries).length;
+    const changes = count === entries.length ? `all ${count} changes` : `${count} of ${entries.length} changes`;
+    const variant = [
+      target.template && 'own template',
+      target.threaded === true && 'threaded',
+      target.format === 'text' && 'plain text',
+    ].filter(Boolean);
+    return `• ${renderTargetChannel(target)}: ${count === 0 ? '_nothing matches its filter, skipped_' : changes}${variant.length > 0 ? ` · ${variant.join(', ')}` : ''}`;
+  });
+  return `📣 *Will be posted to ${targets.length} ${targets.length === 1 ? 'channel' : 'channels'}:*\n${lines.join('\n')}`;
+}
+
+// --- Render the per-channel outcome of a fan-out ---
+// results are { target, success, skipped, changeCount, error }.
+function renderTargetResults(results) {
+  return results.map(({ target, success, skipped, changeCount, error }) => {
+    if (skipped) return `⏭️ ${renderTargetChannel(target)}: skipped, no selected changes match its filter`;
+    if (!success) return `❌ ${renderTargetChannel(target)}: ${error}`;
+    return `✅ ${renderTargetChannel(target)}: ${changeCount} ${changeCount === 1 ? 'change' : 'changes'}`;
+  }).join('\n');
+}
+
+module.exports = {
+  FILTER_RULES,
+  buildTargetFilter,
+  normalizeTarget,
+  getAnnouncementTargets,
+  getTargetTemplate,
+  resolveTargetChannels,
+  renderTargetChannel,
+  renderTargetsSummary,
+  renderTargetResults,
+};
@@ -0,0 +1,469 @@
+// Announcement templates: a small Mustache/Handlebars-style language over the release model.
+//
+//   {{releaseNumber}}  {{stats.changes}}  {{join authors ", "}}   variables and helpers
+//   {{#each changes}}...{{else}}...{{/each}}                      loops (@index, @number, @first, @last)
+//   {{#if hotfix}}...{{else}}...{{/if}}  {{#unless ...}}           conditionals
+//   {{#with hotfix}}...{{/with}}                                  change the context
+//   {{> footer}}  {{> change this}}                               partials
+//   {{! a comment }}
+//
+// Names are looked up in the current context first, then in the enclosing ones, so
+// {{releaseNumber}} still works inside {{#each changes}}. Output is Slack mrkdwn and is not
+// escaped. Templates are checked when they are compiled: syntax errors, unknown blocks,
+// helpers, partials and fields all fail with the template name and line.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { parseJsonEnv } = require('./config');
+const {
+  ANNOUNCEMENT_HEADER,
+  HOTFIX_HEADER,
+  renderEntry,
+  renderAnnouncementHeader,
+  renderChangeList,
+  renderAnnouncement,
+} = require('./render');
+
+const BLOCKS = ['each', 'if', 'unless', 'with'];
+const HELPERS = {
+  join: (list, separator = ', ') => (Array.isArray(list) ? list.join(separator) : ''),
+  lowercase: value => String(value ?? '').toLowerCase(),
+  uppercase: value => String(value ?? '').toUpperCase(),
+  plural: (count, singular, plural = `${singular}s`) => (count === 1 ? singular : plural),
+};
+const BUILT_IN_PARTIALS = {
+  // One change, rendered like the default announcement does
+  change: '{{text}}',
+};
+
+// Fields of the template model, used to catch typos like {{releaseNumbr}}
+const CHANGE_FIELDS = ['text', 'summary', 'key', 'url', 'type', 'category', 'repository', 'breaking',
+  'migration', 'authors', 'pullRequest', 'commitCount', 'alreadyShipped', 'revert'];
+const SCHEMAS = {
+  root: ['releaseNumber', 'previousRelease', 'base', 'head', 'branch', 'refType', 'refLabel', 'compareUrl',
+    'title', 'header', 'changeList', 'hotfix', 'changes', 'changeCount', 'breakingChanges', 'sections',
+    'repositories', 'multiRepo', 'authors', 'stats', 'emptyText', 'intro'],
+  changes: CHANGE_FIELDS,
+  breakingChanges: CHANGE_FIELDS,
+  sections: ['key', 'title', 'changes'],
+  repositories: ['name', 'owner', 'repo', 'base', 'head', 'compareUrl', 'changes'],
+};
+const DATA_VARIABLES = ['@index', '@number', '@first', '@last', '@key', '@root'];
+
+// --- Helper function to create a template error that points at the template and line ---
+function templateError(name, message, line) {
+  return new Error(`Invalid template ${name}: ${message}${line ? ` (line ${line})` : ''}`);
+}
+
+// --- Helper function to split a template into text and {{tag}} tokens ---
+// Block, else and comment tags alone on their line take the whole line with them, so
+// templates can put them on their own lines without leaving blank lines in the output.
+function tokenize(source, name) {
+  const tokens = [];
+  const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+  while ((match = tagPattern.exec(source))) {
+    if (match.index > last) tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    const line = source.slice(0, match.index).split('\n').length;
+    tokens.push({ type: 'tag', value: match[1].trim(), line });
+    last = tagPattern.lastIndex;
+  }
+  const rest = source.slice(last);
+  if (rest.includes('{{')) {
+    throw templateError(name, 'unclosed {{', source.slice(0, source.lastIndexOf('{{')).split('\n').length);
+  }
+  if (rest) tokens.push({ type: 'text', value: rest });
+
+  // Decide on the original text first, since a text token can sit between two standalone tags
+  const standalone = token => token.type === 'tag' && /^[#/!]|^else$/.test(token.value);
+  const cuts = tokens.map(token => (token.type === 'text' ? { start: 0, end: token.value.length } : null));
+  tokens.forEach((token, index) => {
+    if (!standalone(token)) return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if ((before && before.type !== 'text') || (after && after.type !== 'text')) return;
+
+    const beforeLineStart = before ? before.value.lastIndexOf('\n') + 1 : 0;
+    const afterNewline = after ? after.value.indexOf('\n') : -1;
+    const startsLine = !before || beforeLineStart > 0 || index === 1;
+    const endsLine = !after || afterNewline !== -1 || index === tokens.length - 2;
+    const lineBefore = before ? before.value.slice(beforeLineStart) : '';
+    const lineAfter = after ? after.value.slice(0, afterNewline === -1 ? undefined : afterNewline) : '';
+    if (!startsLine || !endsLine || lineBefore.trim() || lineAfter.trim()) return;
+
+    if (before) cuts[index - 1].end = beforeLineStart;
+    if (after) cuts[index + 1].start = afterNewline === -1 ? after.value.length : afterNewline + 1;
+  });
+  tokens.forEach((token, index) => {
+    if (cuts[index]) token.value = token.value.slice(cuts[index].start, Math.max(cuts[index].start, cuts[index].end));
+  });
+
+  return tokens;
+}
+
+// --- Helper function to split a tag's arguments, keeping quoted strings together ---
+function splitArguments(text, name, line) {
+  const args = [];
+  const argumentPattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  let match;
+  while ((match = argumentPattern.exec(text))) {
+    if (match[3] !== undefined) {
+      if (/["']/.test(match[3])) throw templateError(name, `unterminated string in {{${text}}}`, line);
+      args.push(/^-?\d+(?:\.\d+)?$/.test(match[3]) ? { literal: Number(match[3]) } : { path: match[3] });
+    } else {
+      args.push({ literal: (match[1] ?? match[2]).replace(/\\(.)/g, '$1') });
+    }
+  }
+  return args;
+}
+
+// --- Helper function to build the syntax tree of a template ---
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  for (const token of tokenize(source, name)) {
+    const current = stack[stack.length - 1];
+    if (token.type === 'text') {
+      if (token.value) current.target.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { value, line } = token;
+    if (!value) throw templateError(name, 'empty {{}}', line);
+
+    if (value.startsWith('!')) continue;
+
+    if (value.startsWith('#')) {
+      const [blockName, ...args] = splitArguments(value.slice(1), name, line);
+      if (!blockName?.path || !BLOCKS.includes(blockName.path)) {
+        throw templateError(name, `unknown block {{${value}}} (blocks are ${BLOCKS.map(block => `#${block}`).join(', ')})`, line);
+      }
+      if (args.length !== 1 || !args[0].path) {
+        throw templateError(name, `{{#${blockName.path}}} takes exactly one field, e.g. {{#${blockName.path} changes}}`, line);
+      }
+      const node = { type: 'block', name: blockName.path, arg: args[0].path, children: [], inverse: null, line };
+      current.target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (value.startsWith('/')) {
+      const closing = value.slice(1).trim();
+      if (stack.length === 1) throw templateError(name, `{{/${closing}}} without an open block`, line);
+      if (current.node.name !== closing) {
+        throw templateError(name, `{{/${closing}}} closes {{#${current.node.name}}} from line ${current.node.line}`, line);
+      }
+      stack.pop();
+    } else if (value === 'else') {
+      if (stack.length === 1) throw templateError(name, '{{else}} outside a block', line);
+      if (current.node.inverse) throw templateError(name, `second {{else}} in {{#${current.node.name}}}`, line);
+      current.node.inverse = [];
+      current.target = current.node.inverse;
+    } else if (value.startsWith('>')) {
+      const [partial, ...args] = splitArguments(value.slice(1), name, line);
+      if (!partial?.path || args.length > 1 || (args[0] && !args[0].path)) {
+        throw templateError(name, `invalid partial {{${value}}} (use {{> name}} or {{> name field}})`, line);
+      }
+      current.target.push({ type: 'partial', name: partial.path, arg: args[0]?.path || null, line });
+    } else {
+      const [first, ...args] = splitArguments(value, name, line);
+      if (!first.path) throw templateError(name, `{{${value}}} must start with a field or helper name`, line);
+      if (args.length > 0 || HELPERS[first.path]) {
+        if (!HELPERS[first.path]) {
+          throw templateError(name, `unknown helper "${first.path}" (helpers are ${Object.keys(HELPERS).join(', ')})`, line);
+        }
+        current.target.push({ type: 'helper', name: first.path, args, line });
+      } else {
+        current.target.push({ type: 'variable', path: first.path, line });
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw templateError(name, `{{#${open.name}}} is never closed`, open.line);
+  }
+  return root.children;
+}
+
+// --- Helper function to check that a field exists in the model ---
+// scopes is the list of field names available at this point (innermost last); null means
+// the fields there aren't known, e.g. inside a {{#with}} of a nested object.
+function checkField(fieldPath, scopes, name, line) {
+  if (fieldPath === 'this' || fieldPath === '.' || fieldPath.startsWith('this.')) return;
+  const [first] = fieldPath.split('.');
+  if (first.startsWith('@')) {
+    if (!DATA_VARIABLES.includes(first)) throw templateError(name, `unknown variable ${first}`, line);
+    return;
+  }
+  if (scopes.some(scope => scope === null || scope.includes(first))) return;
+  throw templateError(name, `unknown field "${first}"`, line);
+}
+
+// --- Helper function to check every field, helper and partial a template uses ---
+function validate(nodes, { name, scopes, partials, including = [] }) {
+  for (const node of nodes) {
+    if (node.type === 'variable') {
+      checkField(node.path, scopes, name, node.line);
+    } else if (node.type === 'helper') {
+      node.args.filter(arg => arg.path).forEach(arg => checkField(arg.path, scopes, name, node.line));
+    } else if (node.type === 'partial') {
+      if (!partials[node.name]) {
+        const known = Object.keys(partials).join(', ');
+        throw templateError(name, `unknown partial "${node.name}" (known partials: ${known})`, node.line);
+      }
+      if (including.includes(node.name)) {
+        throw templateError(name, `partial "${node.name}" includes itself`, node.line);
+      }
+      if (node.arg) checkField(node.arg, scopes, name, node.line);
+      const partialScopes = node.arg ? [...scopes, SCHEMAS[node.arg.split('.').pop()] || null] : scopes;
+      validate(partials[node.name], { name: `partial "${node.name}"`, scopes: partialScopes, partials, including: [...including, node.name] });
+    } else if (node.type === 'block') {
+      checkField(node.arg, scopes, name, node.line);
+      // Loops and {{#with}} move into the items' fields
+      const innerScopes = ['each', 'with'].includes(node.name)
+        ? [...scopes, SCHEMAS[node.arg.split('.').pop()] || null]
+        : scopes;
+      validate(node.children, { name, scopes: innerScopes, partials, including });
+      if (node.inverse) validate(node.inverse, { name, scopes, partials, including });
+    }
+  }
+}
+
+// --- Helper function to look a field up in the context stack ---
+function lookup(fieldPath, contexts, data) {
+  if (fieldPath === 'this' || fieldPath === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = fieldPath.split('.');
+  let value;
+  if (first === 'this') {
+    value = contexts[contexts.length - 1];
+  } else if (first.startsWith('@')) {
+    value = first === '@root' ? contexts[0] : data[first.slice(1)];
+  } else {
+    const owner = [...contexts].reverse().find(context => context !== null && typeof context === 'object' && first in context);
+    value = owner ? owner[first] : undefined;
+  }
+  return rest.reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), value);
+}
+
+// --- Helper function to decide whether a value counts as true in {{#if}} ---
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// --- Helper function to turn a value into output text ---
+function stringify(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (typeof value === 'object') return '';
+  return String(value);
+}
+
+// --- Helper function to render a syntax tree ---
+function renderNodes(nodes, contexts, data, partials) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      output += stringify(lookup(node.path, contexts, data));
+    } else if (node.type === 'helper') {
+      const args = node.args.map(arg => ('literal' in arg ? arg.literal : lookup(arg.path, contexts, data)));
+      output += stringify(HELPERS[node.name](...args));
+    } else if (node.type === 'partial') {
+      const partialContexts = node.arg ? [...contexts, lookup(node.arg, contexts, data)] : contexts;
+      output += renderNodes(partials[node.name], partialContexts, data, partials);
+    } else if (node.type === 'block') {
+      const value = lookup(node.arg, contexts, data);
+      if (node.name === 'each') {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) {
+          output += node.inverse ? renderNodes(node.inverse, contexts, data, partials) : '';
+        }
+        items.forEach((item, index) => {
+          const itemData = { ...data, index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+          output += renderNodes(node.children, [...contexts, item], itemData, partials);
+        });
+      } else if (node.name === 'with') {
+        output += isTruthy(value)
+          ? renderNodes(node.children, [...contexts, value], data, partials)
+          : renderNodes(node.inverse || [], contexts, data, partials);
+      } else {
+        const show = node.name === 'if' ? isTruthy(value) : !isTruthy(value);
+        output += renderNodes(show ? node.children : node.inverse || [], contexts, data, partials);
+      }
+    }
+  }
+  return output;
+}
+
+// --- Compile and validate a template ---
+// partials maps partial names to template sources; the built-in partials are always there.
+// Throws an "Invalid template ..." error for anything that wouldn't render.
+function compileTemplate(source, options = {}) {
+  const { name = 'template', partials = {} } = options;
+  if (typeof source !== 'string' || !source.trim()) {
+    throw templateError(name, 'the template is empty');
+  }
+
+  const partialSources = { ...BUILT_IN_PARTIALS, ...partials };
+  const parsedPartials = {};
+  for (const [partialName, partialSource] of Object.entries(partialSources)) {
+    // A partial file's final newline would otherwise end up in the middle of a line
+    parsedPartials[partialName] = parse(String(partialSource).replace(/\r?\n$/, ''), `partial "${partialName}"`);
+  }
+
+  const nodes = parse(source, name);
+  validate(nodes, { name, scopes: [SCHEMAS.root], partials: parsedPartials });
+
+  return {
+    name,
+    render: context => renderNodes(nodes, [context], {}, parsedPartials).trimEnd(),
+  };
+}
+
+// --- Helper function to read a template definition ---
+// Definitions are inline template text or { "file": "templates/economy.md" }, relative to
+// the project root. Files are only read for configured templates (allowFiles): a request
+// naming a file could otherwise post any file on the server, e.g. .env, to Slack.
+function loadTemplateSource(definition, name, { allowFiles = true } = {}) {
+  if (typeof definition === 'string') return definition;
+  if (definition && typeof definition.file === 'string') {
+    if (!allowFiles) {
+      throw templateError(name, 'template files can only be configured in ANNOUNCEMENT_TEMPLATES, ANNOUNCEMENT_PARTIALS or ANNOUNCEMENT_TARGETS; send the template text instead');
+    }
+    const file = path.resolve(process.cwd(), definition.file);
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw templateError(name, `could not read ${definition.file}: ${error.message}`);
+    }
+  }
+  throw templateError(name, 'expected template text or { "file": "path/to/template" }');
+}
+
+// --- Get the compiled template for a channel ---
+// ANNOUNCEMENT_TEMPLATES maps channel IDs or names (or "default") to a template, and
+// ANNOUNCEMENT_PARTIALS maps partial names to templates. An explicit template (e.g. from an
+// /api/announce request) wins over the configured ones; name labels it in errors, and
+// allowFiles says whether it may be a { file } (only when it comes from the configuration).
+// Returns null when the default announcement format should be used.
+function getChannelTemplate({ channelId, channelName, template = null, name: templateName = 'from the request', allowFiles = false } = {}) {
+  const templates = parseJsonEnv('ANNOUNCEMENT_TEMPLATES', {});
+  const partialDefinitions = parseJsonEnv('ANNOUNCEMENT_PARTIALS', {});
+
+  const bareName = channelName ? channelName.replace(/^#/, '') : null;
+  const channelKeys = [channelId, bareName, bareName && `#${bareName}`, 'default'].filter(Boolean);
+  const key = template ? null : channelKeys.find(candidate => templates[candidate]);
+  if (!template && !key) return null;
+
+  const name = template ? templateName : `for ${key === 'default' ? 'the default channel' : key}`;
+  const partials = Object.fromEntries(Object.entries(partialDefinitions)
+    .map(([partialName, definition]) => [partialName, loadTemplateSource(definition, `partial "${partialName}"`)]));
+
+  const source = template
+    ? loadTemplateSource(template, name, { allowFiles })
+    : loadTemplateSource(templates[key], name);
+  return compileTemplate(source, { name, partials });
+}
+
+// --- Helper function to turn an entry into the fields templates see ---
+// Entries are change models or { text, repository, category, breaking } objects, which only
+// know their rendered line.
+function toTemplateChange(entry) {
+  if (typeof entry === 'string') {
+    return { text: entry, summary: entry.replace(/^•\s*/, ''), authors: [], breaking: false, commitCount: 1 };
+  }
+  return {
+    text: renderEntry(entry),
+    summary: entry.summary || (entry.text || '').replace(/^•\s*/, ''),
+    key: entry.key || null,
+    url: entry.url || null,
+    type: entry.type || null,
+    category: entry.category || null,
+    repository: entry.repository?.name || null,
+    breaking: Boolean(entry.breaking),
+    migration: entry.breaking?.migration || null,
+    authors: entry.authors || (entry.commitAuthor ? [entry.commitAuthor] : []),
+    pullRequest: entry.pullRequest
+      ? { number: entry.pullRequest.number, title: entry.pullRequest.title, url: entry.pullRequest.url, author: entry.pullRequest.author }
+      : null,
+    commitCount: entry.commits ? entry.commits.length : 1,
+    alreadyShipped: entry.alreadyShipped ? entry.alreadyShipped.release : null,
+    revert: Boolean(entry.revert),
+  };
+}
+
+// --- Build the model a template renders ---
+// Takes the same options as renderAnnouncement, plus the release fields only templates use
+// (previousRelease, base, compareUrl, stats).
+function buildTemplateContext(releaseNumber, entries, options = {}) {
+  const {
+    branch = `releases/${releaseNumber}`,
+    refType = 'branch',
+    repositories = [],
+    sections = null,
+    hotfix = null,
+    emptyText = 'No commits found in this release.',
+    previousRelease = null,
+    base = null,
+    compareUrl = null,
+    stats = null,
+    intro = null,
+  } = options;
+
+  const changes = entries.map(toTemplateChange);
+  const unique = values => [...new Set(values.filter(Boolean))];
+
+  return {
+    releaseNumber,
+    previousRelease,
+    base,
+    head: branch,
+    branch,
+    refType,
+    refLabel: refType === 'tag' ? 'Tag' : 'Branch',
+    compareUrl,
+    title: hotfix ? HOTFIX_HEADER : ANNOUNCEMENT_HEADER,
+    header: renderAnnouncementHeader(releaseNumber, options),
+    intro,
+    changeList: renderChangeList(entries, options),
+    hotfix: hotfix ? { parentRelease: hotfix.parentRelease, permalink: hotfix.permalink || null } : null,
+    changes,
+    changeCount: changes.length,
+    breakingChanges: changes.filter(change => change.breaking),
+    sections: (sections || [])
+      .map(section => ({ key: section.key, title: section.title, changes: changes.filter(change => change.category === section.key) }))
+      .filter(section => section.changes.length > 0),
+    repositories: repositories.map(repository => ({
+      name: repository.name,
+      owner: repository.owner || null,
+      repo: repository.repo || null,
+      base: repository.base || null,
+      head: repository.head || null,
+      compareUrl: repository.compareUrl || null,
+      changes: changes.filter(change => change.repository === repository.name),
+    })),
+    multiRepo: repositories.length > 1,
+    authors: unique(changes.flatMap(change => change.authors)),
+    stats: { ...stats, changes: changes.length },
+    emptyText,
+  };
+}
+
+// --- Render an announcement, with a template when one is given ---
+// The drop-in replacement for renderAnnouncement wherever a channel may have a template.
+function renderReleaseMessage(releaseNumber, entries, options = {}) {
+  const { template = null } = options;
+  if (!template) {
+    return renderAnnouncement(releaseNumber, entries, options);
+  }
+  return template.render(buildTemplateContext(releaseNumber, entries, options));
+}
+
+module.exports = {
+  compileTemplate,
+  getChannelTemplate,
+  buildTemplateContext,
+  renderReleaseMessage,
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Local Jira stub for testing Jira enrichment without a real Jira instance
+ * Run with: node scripts/jira-stub-server.js
+ * Then set JIRA_SERVER=http://localhost:3001 and JIRA_ENRICH=true
+ */
+
+const http = require('http');
+const url = require('url');
+
+const PORT = process.env.JIRA_STUB_PORT || 3001;
+
+// Any key not listed here gets a generated issue, so real commit history works out of the box
+const issues = {
+  'WSU-1': {
+    summary: 'Add daily login rewards',
+    issuetype: { name: 'Story' },
+    status: { name: 'Done' },
+    priority: { name: 'High' },
+    fixVersions: [{ name: '67' }],
+  },
+  'WSU-2': {
+    summary: 'Fix crash when opening the shop',
+    issuetype: { name: 'Bug' },
+    status: { name: 'Done' },
+    priority: { name: 'Highest' },
+    fixVersions: [{ name: '67' }],
+  },
+};
+
+function getIssue(key) {
+  return issues[key] || {
+    summary: `Stub summary for ${key}`,
+    issuetype: { name: 'Task' },
+    status: { name: 'In Review' },
+    priority: { name: 'Medium' },
+    fixVersions: [],
+  };
+}
+
+const server = http.createServer((req, res) => {
+  const parsedUrl = url.parse(req.url, true);
+  console.log(`${req.method} ${req.url}`);
+
+  // Jira Data Center's /rest/api/2/search and Jira Cloud's /rest/api/3/search/jql
+  if (parsedUrl.pathname === '/rest/api/2/search' || parsedUrl.pathname === '/rest/api/3/search/jql') {
+    const jql = parsedUrl.query.jql || '';
+    const keysMatch = jql.match(/key\s+in\s*\(([^)]*)\)/i);
+    const keys = keysMatch ? keysMatch[1].split(',').map(key => key.trim()).filter(Boolean) : [];
+
+    const page = parsedUrl.pathname === '/rest/api/2/search'
+      ? { startAt: 0, maxResults: keys.length, total: keys.length }
+      : { isLast: true };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      ...page,
+      issues: keys.map(key => ({ key, fields: getIssue(key) })),
+    }, null, 2));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ errorMessages: [`No stub for ${parsedUrl.pathname}`] }));
+});
+
+server.listen(PORT, () => {
+  console.log(`🎫 Jira stub server running at http://localhost:${PORT}`);
+  console.log('');
+  console.log('Use it with:');
+  console.log(`  JIRA_SERVER=http://localhost:${PORT}`);
+  console.log('  JIRA_ENRICH=true');
+});
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  server.close(() => process.exit(0));
+});
+
+process.on('SIGTERM', () => {
+  server.close(() => process.exit(0));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+process.env.SLACK_BOT_TOKEN = 'xoxb-test';
+process.env.ANNOUNCE_API_KEY = 'announce-key';
+const announce = require('../api/announce');
+
+// --- Helper function to call the handler and capture its response ---
+async function callAnnounce(body) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await announce({ method: 'POST', headers: { 'x-api-key': 'announce-key' }, body }, res);
+  return res;
+}
+
+test('malformed excludeRules are answered with 400 naming the field', async () => {
+  const res = await callAnnounce({ releaseNumber: '66', channelId: 'C123', excludeRules: { labels: 'skip' } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid excludeRules');
+  assert.match(res.body.message, /labels must be a list of strings/);
+});
+
+test('an out-of-range postAt is answered with 400 instead of being rolled over', async () => {
+  const res = await callAnnounce({ releaseNumber: '66', channelId: 'C123', postAt: '2026-13-45 10:00', timezone: 'Europe/Amsterdam' });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid postAt');
+  assert.match(res.body.message, /the month must be 01-12/);
+});
+
+test('a template file named in the request body is rejected, not read', async () => {
+  const res = await callAnnounce({ releaseNumber: '66', channelId: 'C123', template: { file: 'package.json' } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid template');
+  assert.match(res.body.message, /template files can only be configured/);
+  assert.doesNotMatch(JSON.stringify(res.body), /release-announcer/);
+
+  const missing = await callAnnounce({ releaseNumber: '66', channelId: 'C123', customMessage: { file: 'no-such-file.md' } });
+  assert.equal(missing.statusCode, 400);
+  assert.doesNotMatch(missing.body.message, /could not read/);
+});
+
+test('a template file in a request target is rejected', async () => {
+  const res = await callAnnounce({ releaseNumber: '66', targets: [{ channel: 'C123', template: { file: '.env' } }] });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid target');
+  assert.match(res.body.message, /Invalid target C123: template files can only be configured/);
+});
+
+test('a target filter with a string instead of a list is answered with 400 before comparing', async () => {
+  const res = await callAnnounce({ releaseNumber: '66', targets: [{ channel: 'C123', filter: { categories: 'fixes' } }] });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Invalid target');
+  assert.match(res.body.message, /categories must be a list of strings/);
+});
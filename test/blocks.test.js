@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const {
+  getAnnouncementFormat,
+  chunkTextForSlack,
+  textToSectionBlocks,
+  renderAnnouncementMessages,
+  postAnnouncementMessages,
+} = require('../lib/blocks');
+
+// --- Helper function to build many Jira entries spread over categories ---
+const manyEntries = count => Array.from({ length: count }, (_, index) => ({
+  type: 'jira',
+  key: `ABC-${index}`,
+  summary: `Change number ${index} with a reasonably long title to take up some room`,
+  url: `https://jira.example.com/browse/ABC-${index}`,
+  category: `category-${index % 80}`,
+}));
+
+test('getAnnouncementFormat accepts blocks and text only', () => {
+  assert.equal(getAnnouncementFormat({}), 'blocks');
+  assert.equal(getAnnouncementFormat({ format: 'text' }), 'text');
+  assert.throws(() => getAnnouncementFormat({ format: 'html' }), /Invalid announcement format: html/);
+});
+
+test('chunkTextForSlack splits on lines and truncates lines that are too long', () => {
+  assert.deepEqual(chunkTextForSlack('short'), ['short']);
+  assert.deepEqual(chunkTextForSlack('aaaa\nbbbb\ncccc', 9), ['aaaa\nbbbb', 'cccc']);
+  assert.deepEqual(chunkTextForSlack('aaaa\nbbbbbbbbbbbbbb', 9), ['aaaa', 'bbbbbb...']);
+});
+
+test('textToSectionBlocks starts a new section per paragraph', () => {
+  const blocks = textToSectionBlocks('*Features*\n• ABC-1\n\n\n*Fixes*\n• ABC-2\n\n');
+  assert.deepEqual(blocks.map(block => block.text.text), ['*Features*\n• ABC-1', '*Fixes*\n• ABC-2']);
+  assert.equal(blocks[0].type, 'section');
+});
+
+test('large announcements are split into messages of at most 50 blocks', () => {
+  const { messages, replies } = renderAnnouncementMessages('67', manyEntries(3000), 'Release 67', { threaded: false, branch: 'releases/67' });
+  const blocks = messages.flatMap(message => message.blocks);
+
+  assert.ok(messages.length > 1);
+  assert.ok(messages.every(message => message.blocks.length <= 50));
+  assert.ok(blocks.every(block => block.type !== 'section' || block.text.text.length <= 2900));
+  assert.equal(blocks[0].type, 'header');
+  assert.deepEqual(messages.map(message => message.text), [
+    'Release 67',
+    ...messages.slice(1).map((message, index) => `(continued ${index + 2}/${messages.length})`),
+  ]);
+  assert.ok(messages[0].metadata);
+  assert.ok(messages.slice(1).every(message => !message.metadata));
+  assert.deepEqual(replies, []);
+});
+
+test('text announcements are sent as one plain message', () => {
+  const { messages } = renderAnnouncementMessages('67', manyEntries(2), 'Release 67\n• ABC-0', { format: 'text', threaded: false });
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].text, 'Release 67\n• ABC-0');
+  assert.equal(messages[0].blocks, undefined);
+});
+
+test('postAnnouncementMessages broadcasts only the first message and threads the replies', async () => {
+  const posted = [];
+  const client = {
+    chat: {
+      postMessage: async message => {
+        posted.push(message);
+        return { ok: true, ts: `${posted.length}.0` };
+      },
+    },
+  };
+  const announcement = {
+    messages: [{ text: 'part 1' }, { text: 'part 2' }],
+    replies: [{ text: 'full list' }],
+  };
+
+  const { result, results } = await postAnnouncementMessages(client, 'C1', announcement, { thread_ts: '100.0', reply_broadcast: true });
+  assert.equal(result.ts, '1.0');
+  assert.equal(results.length, 2);
+  assert.deepEqual(posted.map(message => [message.text, message.thread_ts, message.reply_broadcast]), [
+    ['part 1', '100.0', true],
+    ['part 2', '100.0', undefined],
+    ['full list', '100.0', undefined],
+  ]);
+});
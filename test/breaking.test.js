@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { getBreakingLabels, findBreakingFooter, detectBreakingChange, markBreakingChanges } = require('../lib/breaking');
+
+// --- Helper function to build a change with a single commit ---
+const change = (message, pullRequest = null) => ({
+  commit: { title: message.split('\n')[0], message },
+  pullRequest,
+});
+
+test('findBreakingFooter reads a footer that continues over several lines', () => {
+  const message = 'refactor: move config\n\nBREAKING CHANGE: config.json moved\nto settings/config.json\n\nReviewed-by: Sam';
+  assert.equal(findBreakingFooter(message), 'config.json moved to settings/config.json');
+  assert.equal(findBreakingFooter('fix: typo'), null);
+});
+
+test('detectBreakingChange finds footers, "!" markers and breaking labels', () => {
+  assert.deepEqual(detectBreakingChange(change('refactor: x\n\nBREAKING CHANGE: drop v1')), {
+    reasons: ['footer'],
+    migration: 'drop v1',
+  });
+  assert.deepEqual(detectBreakingChange(change('feat!: drop v1 api\n\nUse /v2 instead.')), {
+    reasons: ['conventional-commit'],
+    migration: 'Use /v2 instead.',
+  });
+  assert.deepEqual(detectBreakingChange(change('ABC-1 New save format', { title: 'New save format', labels: ['Breaking'] })), {
+    reasons: ['label'],
+    migration: null,
+  });
+  assert.equal(detectBreakingChange(change('feat: new shop')), null);
+});
+
+test('getBreakingLabels takes a comma-separated list or an array', () => {
+  assert.deepEqual(getBreakingLabels({ breakingLabels: 'Major, api-break' }), ['major', 'api-break']);
+  assert.deepEqual(getBreakingLabels({ breakingLabels: ['Major'] }), ['major']);
+  assert.deepEqual(getBreakingLabels({}), ['breaking', 'breaking-change']);
+});
+
+test('markBreakingChanges flags grouped changes by any of their commits', () => {
+  const grouped = {
+    key: 'ABC-1',
+    commits: [
+      { title: 'ABC-1 Start save rewrite', message: 'ABC-1 Start save rewrite' },
+      { title: 'ABC-1 Finish', message: 'ABC-1 Finish\n\nBREAKING CHANGE: old saves are dropped' },
+    ],
+  };
+  const breakingChanges = markBreakingChanges([grouped, { key: 'ABC-2', commits: [{ title: 'fix: x', message: 'fix: x' }] }]);
+  assert.deepEqual(breakingChanges.map(item => item.key), ['ABC-1']);
+  assert.equal(grouped.breaking.migration, 'old saves are dropped');
+});
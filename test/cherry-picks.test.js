@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { getShippedMode, parseCherryPickTrailers, computePatchId, findShippedCommits } = require('../lib/cherry-picks');
+
+// --- Helper function to mock getCommit with a patch per commit ---
+function mockPatches(patches) {
+  return {
+    repos: {
+      getCommit: async ({ ref }) => ({ data: { files: [{ filename: 'src/shop.js', patch: patches[ref] }] } }),
+    },
+  };
+}
+
+const describeCommit = commit => ({
+  title: commit.commit.message.split('\n')[0].toLowerCase(),
+  tickets: commit.commit.message.match(/ABC-\d+/g) || [],
+});
+
+test('getShippedMode defaults to omit and rejects unknown modes', () => {
+  assert.equal(getShippedMode({ shippedChanges: 'mark' }), 'mark');
+  assert.throws(() => getShippedMode({ shippedChanges: 'hide' }), /Invalid shippedChanges mode: hide/);
+});
+
+test('parseCherryPickTrailers reads every trailer', () => {
+  const commit = makeCommit('b1', 'ABC-1 Fix\n\n(cherry picked from commit ABCDEF1)\n(cherry picked from commit 1234567890)');
+  assert.deepEqual(parseCherryPickTrailers(commit), ['abcdef1', '1234567890']);
+});
+
+test('computePatchId ignores whitespace and context lines', async () => {
+  const octokit = mockPatches({
+    a: '@@ -1,3 +1,3 @@\n context\n-const price = 1;\n+const price = 2;',
+    b: '@@ -10,3 +10,3 @@\n other context\n-const price =  1;\n+const  price = 2;',
+    c: '@@ -1 +1 @@\n-const price = 1;\n+const price = 3;',
+  });
+  const [a, b, c] = await Promise.all(['a', 'b', 'c'].map(sha => computePatchId(octokit, { owner: 'acme', repo: 'game', sha })));
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+});
+
+test('findShippedCommits links cherry-picks by trailer in either direction', async () => {
+  const previousCommits = [makeCommit('1111111aaa', 'ABC-9 Hotfix\n\n(cherry picked from commit 2222222bbb)')];
+  const commits = [
+    makeCommit('2222222bbb', 'ABC-9 Hotfix'),
+    makeCommit('3333333ccc', 'ABC-10 New thing\n\n(cherry picked from commit 1111111)'),
+    makeCommit('4444444ddd', 'ABC-11 Unrelated'),
+  ];
+
+  const shipped = await findShippedCommits(mockPatches({}), { owner: 'acme', repo: 'game', commits, previousCommits, describeCommit });
+  assert.deepEqual([...shipped.keys()], ['2222222bbb', '3333333ccc']);
+  assert.equal(shipped.get('2222222bbb').reason, 'cherry-pick-trailer');
+  assert.equal(shipped.get('2222222bbb').sha, '1111111aaa');
+});
+
+test('findShippedCommits matches same-ticket commits by patch-id', async () => {
+  const octokit = mockPatches({
+    old1: '+fix crash',
+    new1: '+fix crash',
+    old2: '+first attempt',
+    new2: '+second attempt',
+  });
+  const previousCommits = [makeCommit('old1', 'ABC-5 Fix crash'), makeCommit('old2', 'ABC-6 Tune prices')];
+  const commits = [makeCommit('new1', 'ABC-5 Fix crash (again)'), makeCommit('new2', 'ABC-6 Tune prices')];
+
+  const shipped = await findShippedCommits(octokit, { owner: 'acme', repo: 'game', commits, previousCommits, describeCommit });
+  assert.deepEqual([...shipped.entries()], [['new1', { sha: 'old1', title: 'abc-5 fix crash', reason: 'patch-id' }]]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const {
+  createMemoryStore,
+  createRedisStore,
+  getDraftOptions,
+  getDraftStore,
+  setDraftStore,
+  saveDraft,
+  loadDraft,
+  updateDraft,
+  deleteDraft,
+  renderDraftErrorView,
+} = require('../lib/drafts');
+
+test('drafts round-trip through a store and updates keep their expiry', async t => {
+  let now = Date.parse('2026-10-19T09:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const store = createMemoryStore();
+
+  const id = await saveDraft({ releaseNumber: '67', changes: [] }, store);
+  const draft = await loadDraft(id, store);
+  assert.equal(draft.releaseNumber, '67');
+  assert.equal(draft.expiresAt, '2026-10-20T09:00:00.000Z');
+
+  now += 60 * 60 * 1000;
+  const updated = await updateDraft(id, { intro: 'Big one', expiresAt: 'never' }, store);
+  assert.equal(updated.intro, 'Big one');
+  assert.equal(updated.expiresAt, '2026-10-20T09:00:00.000Z');
+
+  now = Date.parse('2026-10-20T09:00:01Z');
+  assert.equal(await loadDraft(id, store), null);
+  assert.equal(await updateDraft(id, { intro: 'Too late' }, store), null);
+});
+
+test('deleteDraft removes the draft', async () => {
+  const store = createMemoryStore();
+  const id = await saveDraft({ releaseNumber: '67' }, store);
+  await deleteDraft(id, store);
+  assert.equal(await loadDraft(id, store), null);
+  assert.equal(await loadDraft(null, store), null);
+});
+
+test('getDraftOptions rejects unknown stores and TTLs', () => {
+  assert.deepEqual(getDraftOptions({ draftStore: 'memory', draftTtlSeconds: '60' }), { draftStore: 'memory', ttlSeconds: 60 });
+  assert.throws(() => getDraftOptions({ draftStore: 'sqlite' }), /Invalid draft store: sqlite/);
+  assert.throws(() => getDraftOptions({ draftStore: 'memory', draftTtlSeconds: '1h' }), /Invalid draft TTL: 1h/);
+});
+
+test('getDraftStore requires the redis store on Vercel', t => {
+  t.after(() => {
+    delete process.env.DRAFT_STORE;
+    delete process.env.REDIS_REST_URL;
+    setDraftStore(null);
+  });
+
+  process.env.DRAFT_STORE = 'file';
+  assert.throws(() => getDraftStore({ serverless: true }), /Invalid draft store: file doesn't work on Vercel/);
+
+  delete process.env.DRAFT_STORE;
+  assert.throws(() => getDraftStore({ serverless: true }), /REDIS_REST_URL and REDIS_REST_TOKEN/);
+
+  process.env.REDIS_REST_URL = 'https://redis.example.com';
+  assert.ok(getDraftStore({ serverless: true }));
+});
+
+test('a draft store that doesn\'t work on Vercel fails when a draft is used, with a readable error', async t => {
+  t.after(() => {
+    delete process.env.DRAFT_STORE;
+    delete process.env.VERCEL;
+    setDraftStore(null);
+  });
+  process.env.DRAFT_STORE = 'file';
+  process.env.VERCEL = '1';
+
+  const error = await loadDraft('draft-1').catch(caught => caught);
+  assert.match(error.message, /^Invalid draft store: file doesn't work on Vercel/);
+  const view = renderDraftErrorView(error, 'Edit announcement');
+  assert.equal(view.title.text, 'Edit announcement');
+  assert.equal(view.blocks[0].text.text, `❌ ${error.message}`);
+});
+
+test('the redis store sends commands to the REST endpoint', async t => {
+  const commands = [];
+  t.mock.method(globalThis, 'fetch', async (url, request) => {
+    commands.push({ url, authorization: request.headers.Authorization, command: JSON.parse(request.body) });
+    return { ok: true, json: async () => ({ result: 'stored' }) };
+  });
+  const store = createRedisStore({ url: 'https://redis.example.com', token: 'secret' });
+
+  await store.set('draft:1', '{}', 60);
+  assert.equal(await store.get('draft:1'), 'stored');
+  assert.deepEqual(commands.map(command => command.command), [['SET', 'draft:1', '{}', 'EX', '60'], ['GET', 'draft:1']]);
+  assert.equal(commands[0].authorization, 'Bearer secret');
+});
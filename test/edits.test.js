@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { renderReviewView, needsReview } = require('../lib/edits');
+
+const section = text => ({ type: 'section', text: { type: 'mrkdwn', text } });
+const contextTexts = view => view.blocks
+  .filter(block => block.type === 'context')
+  .map(block => block.elements[0].text);
+
+test('renderReviewView shows each channel\'s Block Kit messages and thread replies', () => {
+  const view = renderReviewView([
+    {
+      label: '#engineering',
+      note: 'Posted in the thread of the release\'s announcement, and sent to the channel too.',
+      announcement: {
+        messages: [{ text: 'fallback', blocks: [section('*Deploying 2.1.0*'), section('• ABC-1')] }],
+        replies: [{ text: 'fallback', blocks: [section('• ABC-2')] }],
+      },
+    },
+    { label: '#cs', skipped: true },
+    { label: '#leads', error: 'Invalid template for #leads: unclosed section' },
+  ], { draftId: 'draft-1' });
+
+  assert.equal(view.callback_id, 'approve_announcement');
+  assert.deepEqual(JSON.parse(view.private_metadata), { draftId: 'draft-1' });
+  const texts = view.blocks.filter(block => block.type === 'section').map(block => block.text.text);
+  assert.deepEqual(texts, ['📣 *#engineering*', '*Deploying 2.1.0*', '• ABC-1', '• ABC-2', '📣 *#cs*', '📣 *#leads*']);
+  assert.equal(view.blocks.filter(block => block.type === 'divider').length, 2);
+
+  const notes = contextTexts(view);
+  assert.match(notes[0], /thread of the release's announcement/);
+  assert.match(notes[1], /In its thread/);
+  assert.match(notes[2], /None of the selected changes match its filter/);
+  assert.equal(notes[3], '❌ Invalid template for #leads: unclosed section');
+});
+
+test('renderReviewView shows plain-text messages as sections and caps the modal at 100 blocks', () => {
+  const single = renderReviewView([{ label: null, announcement: { messages: [{ text: 'line one\nline two' }], replies: [] } }]);
+  assert.deepEqual(single.blocks, [section('line one\nline two')]);
+
+  const blocks = Array.from({ length: 150 }, (_, index) => section(`• ABC-${index}`));
+  const capped = renderReviewView([{ label: null, announcement: { messages: [{ text: 'fallback', blocks }], replies: [] } }]);
+  assert.equal(capped.blocks.length, 100);
+  assert.deepEqual(capped.blocks[98], section('• ABC-98'));
+  assert.match(contextTexts(capped)[0], /…and 51 more blocks/);
+});
+
+test('needsReview asks for a new review only when approved edits lost their approval', () => {
+  const draft = { changes: [{ summary: 'Fix login' }], releaseNumber: '2.1.0' };
+  assert.equal(needsReview(draft), false);
+  assert.equal(needsReview({ ...draft, approved: false }), false);
+  assert.equal(needsReview({ ...draft, edits: { intro: 'Hello', titles: {} } }), false);
+  assert.equal(needsReview({ ...draft, edits: { intro: 'Hello', titles: {} }, approved: true }), false);
+  assert.equal(needsReview({ ...draft, edits: { intro: 'Hello', titles: {} }, approved: false }), true);
+  assert.equal(needsReview({ ...draft, edits: { intro: null, titles: { 0: 'Fix sign-in' } }, approved: false }), true);
+});
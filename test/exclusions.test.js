@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { getExclusionRules, applyExclusionRules, mergeExclusionSummaries } = require('../lib/exclusions');
+
+test('getExclusionRules names the field that is wrong', () => {
+  assert.throws(() => getExclusionRules(['skip']), /Invalid exclusion rules: must be an object/);
+  assert.throws(() => getExclusionRules({ label: ['skip'] }), /unknown field "label"/);
+  assert.throws(() => getExclusionRules({ labels: 'skip' }), /labels must be a list of strings/);
+  assert.throws(() => getExclusionRules({ authors: [42] }), /authors must be a list of strings/);
+  assert.throws(() => getExclusionRules({ mergeCommits: 'yes' }), /mergeCommits must be true or false/);
+  assert.throws(() => getExclusionRules({ titlePatterns: ['(wip'] }), /titlePatterns entry \(wip is not a valid regex/);
+});
+
+test('getExclusionRules reads EXCLUDE_RULES and keeps the default label rule', t => {
+  t.after(() => delete process.env.EXCLUDE_RULES);
+  process.env.EXCLUDE_RULES = JSON.stringify({ authors: ['renovate[bot]'] });
+
+  assert.deepEqual(getExclusionRules().map(rule => [rule.type, rule.value]), [
+    ['label', 'skip-release-notes'],
+    ['author', 'renovate[bot]'],
+  ]);
+});
+
+test('applyExclusionRules counts each dropped commit against the first matching rule', () => {
+  const rules = getExclusionRules({
+    titlePatterns: ['^chore\\(deps\\)'],
+    authors: ['Renovate[bot]'],
+    mergeCommits: true,
+  });
+  const commits = [
+    makeCommit('a1', 'ABC-1 Add shop'),
+    makeCommit('a2', 'ABC-2 Tweak shop'),
+    makeCommit('a3', 'chore(deps): bump lodash', { login: 'renovate[bot]' }),
+    makeCommit('a4', 'ABC-4 Bump engine', { login: 'renovate[bot]' }),
+    makeCommit('a5', "Merge branch 'main'", { parents: [{ sha: 'p1' }, { sha: 'p2' }] }),
+  ];
+  const pullRequests = new Map([['a2', { title: 'Tweak shop', labels: ['Skip-Release-Notes'] }]]);
+
+  const { commits: kept, summary } = applyExclusionRules(commits, pullRequests, rules);
+  assert.deepEqual(kept.map(commit => commit.sha), ['a1']);
+  assert.deepEqual(summary.rules.map(rule => [rule.type, rule.count]), [
+    ['label', 1],
+    ['title', 1],
+    ['author', 1],
+    ['merge-commit', 1],
+  ]);
+  assert.equal(summary.excluded, 4);
+});
+
+test('mergeExclusionSummaries adds up the counts of matching rules', () => {
+  const merged = mergeExclusionSummaries([
+    { excluded: 1, rules: [{ type: 'label', value: 'skip-release-notes', count: 1 }] },
+    { excluded: 2, rules: [{ type: 'label', value: 'skip-release-notes', count: 1 }, { type: 'author', value: 'bot', count: 1 }] },
+  ]);
+  assert.deepEqual(merged, {
+    excluded: 3,
+    rules: [{ type: 'label', value: 'skip-release-notes', count: 2 }, { type: 'author', value: 'bot', count: 1 }],
+  });
+});
@@ -0,0 +1,59 @@
+// Shared fixtures for the unit tests. Settings come from environment variables, so they
+// are pinned here before any lib/ module is loaded; GitHub calls are mocked per test.
+Object.assign(process.env, {
+  GITHUB_OWNER: 'acme',
+  GITHUB_REPO: 'game',
+  GITHUB_TOKEN: 'test-token',
+  JIRA_PROJECT: 'ABC',
+  JIRA_SERVER: 'jira.example.com',
+  RESOLVE_PULL_REQUESTS: 'false',
+  SHIPPED_CHANGES: 'off',
+  JIRA_ENRICH: 'false',
+});
+for (const name of [
+  'RELEASE_REPOS', 'RELEASE_REF_TEMPLATE', 'RELEASE_REF_TYPE', 'RELEASE_INCLUDE_TAGS', 'RELEASE_PATHS',
+  'JIRA_PROJECTS', 'EXCLUDE_RULES', 'CHANGE_CATEGORIES', 'ANNOUNCEMENT_TARGETS', 'ANNOUNCEMENT_TEMPLATES',
+  'ANNOUNCEMENT_PARTIALS', 'REDIS_REST_URL', 'KV_REST_API_URL', 'DRAFT_STORE', 'VERCEL',
+]) {
+  delete process.env[name];
+}
+
+// --- Helper function to build a GitHub commit as the REST API returns it ---
+function makeCommit(sha, message, extra = {}) {
+  return {
+    sha,
+    html_url: `https://github.com/acme/game/commit/${sha}`,
+    commit: { message, author: { name: extra.author || 'Dev', date: '2026-10-01T10:00:00Z' } },
+    author: { login: extra.login || 'dev' },
+    parents: extra.parents || [{ sha: `${sha}-parent` }],
+    ...extra.fields,
+  };
+}
+
+// --- Helper function to mock compareCommits with fixed ranges ---
+// ranges maps "base...head" to the commits GitHub would return for it.
+function mockComparisons(t, octokit, ranges) {
+  t.mock.method(octokit.repos, 'compareCommits', async ({ base, head }) => {
+    const commits = ranges[`${base}...${head}`];
+    if (!commits) {
+      const error = new Error('Not Found');
+      error.status = 404;
+      throw error;
+    }
+    return { data: { commits, total_commits: commits.length, html_url: `https://github.com/acme/game/compare/${base}...${head}` } };
+  });
+}
+
+// --- Helper function to mock the release branches GitHub lists ---
+function mockReleaseBranches(t, octokit, versions) {
+  t.mock.method(octokit, 'paginate', async () => versions.map(version => ({
+    ref: `refs/heads/releases/${version}`,
+    object: { sha: `sha-${version}` },
+  })));
+}
+
+module.exports = {
+  makeCommit,
+  mockComparisons,
+  mockReleaseBranches,
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { getJiraSearchApi, createJiraClient, enrichChangesWithJira } = require('../lib/jira');
+
+// --- Helper function to mock a Jira server that knows the given issues ---
+// Unknown keys are answered with 400 like Jira does; the Cloud endpoint returns one issue per page.
+function mockJira(t, known) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async url => {
+    const { pathname, searchParams } = new URL(url);
+    requests.push({ pathname, searchParams });
+    const keys = searchParams.get('jql').match(/key in \((.*)\)/)[1].split(',');
+    const missing = keys.filter(key => !known.includes(key));
+    if (missing.length > 0) {
+      return {
+        ok: false,
+        status: 400,
+        json: async () => ({ errorMessages: missing.map(key => `An issue with key '${key}' does not exist for field 'key'.`) }),
+      };
+    }
+
+    const issue = key => ({ key, fields: { summary: `Summary of ${key}`, status: { name: 'Done' } } });
+    if (pathname === '/rest/api/3/search/jql') {
+      const index = Number(searchParams.get('nextPageToken') || 0);
+      const isLast = index + 1 >= keys.length;
+      return { ok: true, json: async () => ({ issues: [issue(keys[index])], isLast, ...(!isLast && { nextPageToken: String(index + 1) }) }) };
+    }
+    return { ok: true, json: async () => ({ issues: keys.map(issue), total: keys.length }) };
+  });
+  return requests;
+}
+
+test('getJiraSearchApi picks the Cloud endpoint for atlassian.net servers', () => {
+  assert.equal(getJiraSearchApi('https://acme.atlassian.net'), 'jql');
+  assert.equal(getJiraSearchApi('https://jira.example.com'), 'legacy');
+  assert.equal(getJiraSearchApi('https://jira.example.com', { jiraSearchApi: 'jql' }), 'jql');
+  assert.throws(() => getJiraSearchApi('https://jira.example.com', { jiraSearchApi: 'v4' }), /Invalid Jira search API/);
+});
+
+test('Jira Cloud searches follow nextPageToken until the last page', async t => {
+  const requests = mockJira(t, ['ABC-1', 'ABC-2', 'ABC-3']);
+  const issues = await createJiraClient({ token: 'token' }).fetchIssues('https://acme.atlassian.net', ['ABC-1', 'ABC-2', 'ABC-3']);
+
+  assert.deepEqual([...issues.keys()], ['ABC-1', 'ABC-2', 'ABC-3']);
+  assert.equal(issues.get('ABC-2').summary, 'Summary of ABC-2');
+  assert.deepEqual(requests.map(request => request.pathname), Array(3).fill('/rest/api/3/search/jql'));
+  assert.deepEqual(requests.map(request => request.searchParams.get('nextPageToken')), [null, '1', '2']);
+});
+
+test('Jira Data Center searches use the legacy endpoint', async t => {
+  const requests = mockJira(t, ['ABC-1', 'ABC-2']);
+  const issues = await createJiraClient({ token: 'token' }).fetchIssues('https://jira.example.com', ['ABC-1', 'ABC-2']);
+
+  assert.equal(issues.size, 2);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].pathname, '/rest/api/2/search');
+  assert.equal(requests[0].searchParams.get('startAt'), '0');
+});
+
+test('malformed keys are never sent and missing keys are retried without', async t => {
+  const requests = mockJira(t, ['ABC-1', 'ABC-2']);
+  const client = createJiraClient({ token: 'token', jiraSearchApi: 'legacy' });
+  const issues = await client.fetchIssues('https://jira.example.com', ['ABC-1', 'abc-2)', 'ABC-404', 'ABC-2']);
+
+  assert.deepEqual([...issues.keys()], ['ABC-1', 'ABC-2']);
+  assert.deepEqual(requests.map(request => request.searchParams.get('jql')), [
+    'key in (ABC-1,ABC-404,ABC-2)',
+    'key in (ABC-1,ABC-2)',
+  ]);
+
+  // Misses are cached, so the next lookup doesn't ask Jira again
+  await client.fetchIssues('https://jira.example.com', ['ABC-404']);
+  assert.equal(requests.length, 2);
+});
+
+test('enrichChangesWithJira keeps commit titles when Jira fails', async t => {
+  t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 503, json: async () => ({}) }));
+  const changes = [{ type: 'jira', key: 'ABC-1', url: 'https://jira.example.com/browse/ABC-1' }];
+
+  const summary = await enrichChangesWithJira(changes, { token: 'token' });
+  assert.equal(summary.failed, true);
+  assert.match(summary.errors[0], /status 503/);
+  assert.equal(changes[0].jira, undefined);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { getPathScope, globToRegExp, buildPathMatcher, scopeCommitsToPaths } = require('../lib/paths');
+
+test('getPathScope reads comma-separated globs or a list', () => {
+  assert.deepEqual(getPathScope({ paths: 'services/economy/**, !**/*.md' }), ['services/economy/**', '!**/*.md']);
+  assert.deepEqual(getPathScope({ paths: ['libs/shared'] }), ['libs/shared']);
+  assert.deepEqual(getPathScope({}), []);
+});
+
+test('globToRegExp handles **, * and ? like git', () => {
+  const matches = (glob, path) => globToRegExp(glob).test(path);
+  assert.equal(matches('services/economy/**', 'services/economy/src/shop.js'), true);
+  assert.equal(matches('services/economy/**', 'services/economy-v2/shop.js'), false);
+  assert.equal(matches('**/*.proto', 'api.proto'), true);
+  assert.equal(matches('**/*.proto', 'proto/v1/api.proto'), true);
+  assert.equal(matches('src/*.js', 'src/lib/shop.js'), false);
+  assert.equal(matches('src/shop?.js', 'src/shop2.js'), true);
+  assert.equal(matches('./libs/shared/', 'libs/shared/index.js'), true);
+  assert.equal(matches('libs/shared', 'libs/shared-ui/index.js'), false);
+  assert.equal(matches('config.json', 'config.json'), true);
+});
+
+test('buildPathMatcher applies "!" globs after the includes', () => {
+  const matches = buildPathMatcher(['services/economy/**', '!**/*.md']);
+  assert.equal(matches('services/economy/shop.js'), true);
+  assert.equal(matches('services/economy/README.md'), false);
+  assert.equal(matches('services/chat/index.js'), false);
+  assert.equal(buildPathMatcher(['!docs/**'])('src/index.js'), true);
+});
+
+test('scopeCommitsToPaths keeps commits touching the paths, renames and lookup failures', async () => {
+  const files = {
+    a1: [{ filename: 'services/economy/shop.js' }],
+    a2: [{ filename: 'services/chat/index.js' }],
+    a3: [{ filename: 'services/chat/prices.js', previous_filename: 'services/economy/prices.js' }],
+  };
+  const octokit = {
+    repos: {
+      getCommit: async ({ ref }) => {
+        if (!files[ref]) throw new Error('Server Error');
+        return { data: { files: files[ref] } };
+      },
+    },
+  };
+  const commits = ['a1', 'a2', 'a3', 'a4'].map(sha => makeCommit(sha, `change ${sha}`));
+
+  const { commits: scoped, summary } = await scopeCommitsToPaths(octokit, {
+    owner: 'acme',
+    repo: 'game',
+    commits,
+    paths: ['services/economy/**'],
+  });
+  assert.deepEqual(scoped.map(commit => commit.sha), ['a1', 'a3', 'a4']);
+  assert.equal(summary.matched, 2);
+  assert.equal(summary.outOfScope, 1);
+  assert.equal(summary.failed, 1);
+  assert.deepEqual(summary.errors, ['a4: Server Error']);
+});
+
+test('scopeCommitsToPaths follows the pages of large commits', async () => {
+  const pages = {
+    1: Array.from({ length: 100 }, (_, index) => ({ filename: `docs/page${index}.md` })),
+    2: [{ filename: 'services/economy/shop.js' }],
+  };
+  const octokit = { repos: { getCommit: async ({ page }) => ({ data: { files: pages[page] || [] } }) } };
+
+  const { commits } = await scopeCommitsToPaths(octokit, {
+    owner: 'acme',
+    repo: 'game',
+    commits: [makeCommit('a1', 'big change')],
+    paths: ['services/economy'],
+  });
+  assert.equal(commits.length, 1);
+});
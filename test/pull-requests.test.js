@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { buildPullRequestQuery, pickMergedPullRequest, fetchPullRequestsForCommits } = require('../lib/pull-requests');
+
+// --- Helper function to build a GraphQL associatedPullRequests node ---
+const pullRequestNode = (number, fields = {}) => ({
+  number,
+  title: `PR ${number}`,
+  url: `https://github.com/acme/game/pull/${number}`,
+  mergedAt: '2026-10-01T10:00:00Z',
+  mergeCommit: { oid: `merge-${number}` },
+  author: { login: 'dev' },
+  baseRefName: 'main',
+  labels: { nodes: [{ name: 'feature' }] },
+  ...fields,
+});
+
+test('buildPullRequestQuery looks up every commit of a batch in one query', () => {
+  const query = buildPullRequestQuery(2);
+  assert.match(query, /\$sha0: GitObjectID!, \$sha1: GitObjectID!/);
+  assert.match(query, /commit0: object\(oid: \$sha0\)/);
+  assert.match(query, /commit1: object\(oid: \$sha1\)/);
+});
+
+test('pickMergedPullRequest prefers the PR merged as the commit, then the earliest merged', () => {
+  const pulls = [
+    { number: 1, merged_at: '2026-10-03T00:00:00Z', merge_commit_sha: 'other' },
+    { number: 2, merged_at: '2026-10-02T00:00:00Z', merge_commit_sha: 'x' },
+    { number: 3, merged_at: null },
+  ];
+  assert.equal(pickMergedPullRequest(pulls, 'abc').number, 2);
+  assert.equal(pickMergedPullRequest(pulls, 'other').number, 1);
+  assert.equal(pickMergedPullRequest([{ number: 3, merged_at: null }], 'abc'), null);
+});
+
+test('fetchPullRequestsForCommits runs one GraphQL query per 50 commits', async () => {
+  const commits = Array.from({ length: 120 }, (_, index) => makeCommit(`c${index}`, `change ${index}`));
+  const queries = [];
+  const octokit = {
+    graphql: async (query, variables) => {
+      queries.push(variables);
+      const repository = {};
+      Object.keys(variables).filter(name => name.startsWith('sha')).forEach(name => {
+        const index = name.slice(3);
+        repository[`commit${index}`] = {
+          associatedPullRequests: { nodes: variables[name] === 'c7' ? [] : [pullRequestNode(Number(variables[name].slice(1)) + 1000)] },
+        };
+      });
+      return { repository };
+    },
+  };
+
+  const { pullRequests, summary } = await fetchPullRequestsForCommits(octokit, { owner: 'acme', repo: 'game', commits });
+  assert.equal(queries.length, 3);
+  assert.equal(queries[2].sha19, 'c119');
+  assert.equal(summary.resolved, 119);
+  assert.equal(pullRequests.has('c7'), false);
+  assert.deepEqual(pullRequests.get('c0'), {
+    number: 1000,
+    title: 'PR 1000',
+    url: 'https://github.com/acme/game/pull/1000',
+    labels: ['feature'],
+    author: 'dev',
+    mergedAt: '2026-10-01T10:00:00Z',
+    baseRef: 'main',
+  });
+});
+
+test('a failed batch only loses the PRs of its own commits', async () => {
+  const commits = Array.from({ length: 60 }, (_, index) => makeCommit(`c${index}`, `change ${index}`));
+  let calls = 0;
+  const octokit = {
+    graphql: async () => {
+      calls++;
+      if (calls === 1) throw new Error('secondary rate limit');
+      return { repository: { commit0: { associatedPullRequests: { nodes: [pullRequestNode(9)] } } } };
+    },
+  };
+
+  const { pullRequests, summary } = await fetchPullRequestsForCommits(octokit, { owner: 'acme', repo: 'game', commits });
+  assert.equal(summary.failed, 50);
+  assert.equal(summary.resolved, 1);
+  assert.equal(pullRequests.get('c50').number, 9);
+  assert.match(summary.errors[0], /secondary rate limit/);
+});
@@ -0,0 +1,273 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit, mockComparisons, mockReleaseBranches } = require('./helpers');
+const {
+  octokit,
+  parseReleaseVersion,
+  formatReleaseRef,
+  getReleaseSource,
+  resolveReleaseRef,
+  resolvePreviousRelease,
+  parseCommit,
+  fetchComparisonCommits,
+  extractReleaseChanges,
+} = require('../lib/release-diff');
+
+// --- Helper function to build listed release refs without calling GitHub ---
+const releaseRefs = versions => versions.map(version => ({
+  name: `releases/${version}`,
+  version,
+  parts: parseReleaseVersion(version),
+  type: 'branch',
+  sha: null,
+}));
+
+test('parseReleaseVersion accepts plain and dotted versions with an optional v', () => {
+  assert.deepEqual(parseReleaseVersion('67'), [67]);
+  assert.deepEqual(parseReleaseVersion('v2.1.0'), [2, 1, 0]);
+  assert.equal(parseReleaseVersion('main'), null);
+  assert.equal(parseReleaseVersion('2.x'), null);
+});
+
+test('formatReleaseRef and resolveReleaseRef follow the ref template', () => {
+  const tags = getReleaseSource({ refTemplate: 'v{version}', refType: 'tag' });
+  assert.equal(formatReleaseRef('v2.1.0', tags), 'v2.1.0');
+  assert.equal(formatReleaseRef('67'), 'releases/67');
+  assert.equal(resolveReleaseRef('main'), 'main');
+  assert.equal(resolveReleaseRef('abc1234'), 'abc1234');
+  assert.throws(() => getReleaseSource({ refTemplate: 'releases/' }), /Invalid release ref template/);
+});
+
+test('resolvePreviousRelease picks the closest lower release that exists', async () => {
+  const refs = releaseRefs(['64', '65', '67', '67.1']);
+  const previous = await resolvePreviousRelease('67', { releaseRefs: refs });
+  assert.equal(previous.previousRelease, '65');
+  assert.equal(previous.base, 'releases/65');
+  assert.equal(previous.currentRef, 'releases/67');
+
+  const hotfix = await resolvePreviousRelease('67.2', { releaseRefs: refs, hotfix: true });
+  assert.equal(hotfix.base, 'releases/67.1');
+});
+
+test('resolvePreviousRelease lists the candidates when there is no lower release', async () => {
+  await assert.rejects(
+    resolvePreviousRelease('64', { releaseRefs: releaseRefs(['64', '65']) }),
+    error => {
+      assert.match(error.message, /candidates found: releases\/64, releases\/65/);
+      assert.deepEqual(error.candidates, ['releases/64', 'releases/65']);
+      return true;
+    }
+  );
+  await assert.rejects(resolvePreviousRelease('latest', { releaseRefs: [] }), /Invalid release number format/);
+});
+
+test('parseCommit links Jira tickets first, then GitHub references', () => {
+  const jira = parseCommit(makeCommit('aaaaaaa1', 'ABC-12 Fix login (#40)'));
+  assert.equal(jira.type, 'jira');
+  assert.equal(jira.key, 'ABC-12');
+  assert.equal(jira.summary, 'ABC-12 Fix login');
+  assert.equal(jira.url, 'https://jira.example.com/browse/ABC-12');
+  assert.equal(jira.githubKey, '40');
+
+  const github = parseCommit(makeCommit('bbbbbbb2', 'Tidy up shaders #41'));
+  assert.equal(github.type, 'github');
+  assert.equal(github.url, 'https://github.com/acme/game/pull/41');
+
+  assert.equal(parseCommit(makeCommit('ccccccc3', 'chore: bump deps')), null);
+  assert.equal(parseCommit(makeCommit('ccccccc3', 'chore: bump deps'), { filterEmptyCommits: false }).type, 'plain');
+});
+
+test('parseCommit prefers the associated pull request over "#123" in the text', () => {
+  const pullRequest = { number: 77, url: 'https://github.com/acme/game/pull/77', labels: [] };
+  const change = parseCommit(makeCommit('ddddddd4', 'Fix crash (#12)'), { pullRequest });
+  assert.equal(change.githubKey, '77');
+  assert.equal(change.url, 'https://github.com/acme/game/pull/77');
+});
+
+test('fetchComparisonCommits paginates past the first page', async t => {
+  const all = Array.from({ length: 230 }, (_, index) => makeCommit(`c${index}`, `ABC-${index} change`));
+  t.mock.method(octokit.repos, 'compareCommits', async ({ page }) => ({
+    data: { commits: all.slice((page - 1) * 100, page * 100), total_commits: all.length },
+  }));
+
+  const { commits, coverage } = await fetchComparisonCommits({ owner: 'acme', repo: 'game', base: 'a', head: 'b' });
+  assert.equal(commits.length, 230);
+  assert.equal(octokit.repos.compareCommits.mock.callCount(), 3);
+  assert.deepEqual(coverage, { complete: true, method: 'compare', fallback: false, totalCommits: 230, fetchedCommits: 230 });
+});
+
+test('fetchComparisonCommits walks the commit list when the comparison comes back short', async t => {
+  t.mock.method(octokit.repos, 'compareCommits', async ({ page }) => ({
+    data: page === 1
+      ? { commits: [makeCommit('c1', 'one')], total_commits: 3, merge_base_commit: { sha: 'base' } }
+      : { commits: [] },
+  }));
+  t.mock.method(octokit.paginate, 'iterator', async function* () {
+    yield { data: [makeCommit('c3', 'three'), makeCommit('c2', 'two')] };
+    yield { data: [makeCommit('c1', 'one'), makeCommit('base', 'base'), makeCommit('old', 'old')] };
+  });
+
+  const { commits, coverage } = await fetchComparisonCommits({ owner: 'acme', repo: 'game', base: 'a', head: 'b' });
+  assert.deepEqual(commits.map(commit => commit.sha), ['c1', 'c2', 'c3']);
+  assert.equal(coverage.method, 'commit-walk');
+  assert.equal(coverage.complete, true);
+});
+
+test('extractReleaseChanges compares with the previous release branch', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66']);
+  mockComparisons(t, octokit, {
+    'releases/65...releases/66': [
+      makeCommit('a1', 'ABC-1 Add shop (#10)'),
+      makeCommit('a2', 'ABC-1 Shop follow-up'),
+      makeCommit('a3', 'chore: lint'),
+    ],
+  });
+
+  const result = await extractReleaseChanges('66', { categorize: false });
+  assert.equal(result.base, 'releases/65');
+  assert.equal(result.head, 'releases/66');
+  assert.equal(result.stats.total, 3);
+  assert.equal(result.stats.skipped, 1);
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-1']);
+});
+
+test('a failed comparison names the repository and refs it compared', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66']);
+  mockComparisons(t, octokit, {});
+  const repositories = [{ owner: 'acme', repo: 'server', name: 'Server' }];
+
+  await assert.rejects(
+    extractReleaseChanges('66', { base: 'releases/65', repositories }),
+    error => {
+      assert.equal(error.status, 404);
+      assert.equal(error.owner, 'acme');
+      assert.equal(error.repo, 'server');
+      assert.equal(error.base, 'releases/65');
+      assert.equal(error.head, 'releases/66');
+      return true;
+    }
+  );
+});
+
+test('extractReleaseChanges merges repositories and reports the ones that failed', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66']);
+  t.mock.method(octokit.repos, 'compareCommits', async ({ repo }) => {
+    if (repo === 'server') throw Object.assign(new Error('Not Found'), { status: 404 });
+    return { data: { commits: [makeCommit('a1', 'ABC-1 Add shop')], total_commits: 1 } };
+  });
+  const repositories = [{ owner: 'acme', repo: 'client' }, { owner: 'acme', repo: 'server' }];
+
+  const result = await extractReleaseChanges('66', { repositories, categorize: false });
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-1']);
+  assert.deepEqual(result.repositories.map(repository => [repository.repo, repository.error]), [
+    ['client', null],
+    ['server', 'Not Found'],
+  ]);
+});
+
+test('commits an exclusion rule drops on their own are never looked up on GitHub', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66']);
+  mockComparisons(t, octokit, {
+    'releases/65...releases/66': [
+      makeCommit('a1', 'ABC-1 Add shop', { login: 'dependabot[bot]' }),
+      makeCommit('a2', 'ABC-2 Fix shop'),
+      makeCommit('a3', 'ABC-3 Shop copy'),
+    ],
+  });
+  const lookedUp = [];
+  t.mock.method(octokit, 'graphql', async (query, variables) => {
+    lookedUp.push(...Object.keys(variables).filter(name => name.startsWith('sha')).map(name => variables[name]));
+    return { repository: { commit1: { associatedPullRequests: { nodes: [{ number: 5, mergedAt: '2026-10-01T10:00:00Z', labels: { nodes: [{ name: 'skip-release-notes' }] } }] } } } };
+  });
+
+  const result = await extractReleaseChanges('66', {
+    categorize: false,
+    resolvePullRequests: true,
+    excludeRules: { authors: ['dependabot[bot]'] },
+  });
+  assert.deepEqual(lookedUp, ['a2', 'a3']);
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-2']);
+  assert.equal(result.exclusions.excluded, 2);
+  assert.deepEqual(result.exclusions.rules.map(rule => [rule.type, rule.count]), [['label', 1], ['author', 1]]);
+});
+
+test('breaking commits without references survive the empty-commit filter', async t => {
+  mockComparisons(t, octokit, {
+    'abc...def': [
+      makeCommit('a1', 'feat!: drop v1 api'),
+      makeCommit('a2', 'refactor: x\n\nBREAKING CHANGE: config moved'),
+      makeCommit('a3', 'chore: nothing'),
+    ],
+  });
+
+  const result = await extractReleaseChanges('67', { base: 'abc', head: 'def', categorize: false });
+  assert.deepEqual(result.changes.map(change => [change.summary, Boolean(change.breaking)]), [
+    ['feat!: drop v1 api', true],
+    ['refactor: x', true],
+  ]);
+  assert.equal(result.breakingChanges.length, 2);
+});
+
+test('reverts of earlier releases are announced under the reverted title', async t => {
+  mockComparisons(t, octokit, {
+    'abc...def': [
+      makeCommit('aaa1111', 'ABC-1 Add shop'),
+      makeCommit('bbb2222', 'Revert "ABC-1 Add shop"\n\nThis reverts commit aaa1111.'),
+      makeCommit('ccc3333', 'Revert "Old intro video"\n\nThis reverts commit 9999999.'),
+    ],
+  });
+
+  const result = await extractReleaseChanges('67', { base: 'abc', head: 'def', categorize: false });
+  assert.deepEqual(result.changes.map(change => [change.summary, change.revert]), [
+    ['Old intro video', { title: 'Old intro video', sha: '9999999' }],
+  ]);
+  assert.equal(result.reverts.dropped, 2);
+});
+
+test('hotfixes shipped in the previous release are found after it was merged forward', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66', '67']);
+  mockComparisons(t, octokit, {
+    // releases/66 shipped a hotfix cherry-picked from main...
+    'releases/65...releases/66': [
+      makeCommit('aaa0001', 'ABC-1 Old change'),
+      makeCommit('bbb0002', 'ABC-9 Hotfix\n\n(cherry picked from commit ccc0003)'),
+    ],
+    // ...and was merged forward, so nothing on it is missing from releases/67
+    'releases/67...releases/66': [],
+    'releases/66...releases/67': [
+      makeCommit('ccc0003', 'ABC-9 Hotfix'),
+      makeCommit('ddd0004', 'ABC-10 New thing'),
+    ],
+  });
+  t.mock.method(octokit.repos, 'getCommit', async () => ({ data: { files: [] } }));
+
+  const result = await extractReleaseChanges('67', { categorize: false, shippedChanges: 'omit' });
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-10']);
+  assert.equal(result.shipped.release, '66');
+  assert.equal(result.shipped.checked, 2);
+  assert.deepEqual(result.shipped.changes.map(change => [change.sha, change.shippedSha, change.reason]), [
+    ['ccc0003', 'bbb0002', 'cherry-pick-trailer'],
+  ]);
+});
+
+test('the shipped check is skipped without a warning when the base is a SHA', async t => {
+  mockReleaseBranches(t, octokit, ['66', '67']);
+  mockComparisons(t, octokit, { 'abc1234...releases/67': [makeCommit('aaa0001', 'ABC-1 Add shop')] });
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const result = await extractReleaseChanges('67', { base: 'abc1234', categorize: false, shippedChanges: 'omit' });
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-1']);
+  assert.equal(result.shipped.failed, false);
+  assert.equal(result.shipped.checked, 0);
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('the first release has nothing shipped before it to compare with', async t => {
+  mockReleaseBranches(t, octokit, ['65', '66']);
+  mockComparisons(t, octokit, { 'releases/65...releases/66': [makeCommit('aaa0001', 'ABC-1 Add shop')] });
+
+  const result = await extractReleaseChanges('66', { categorize: false, shippedChanges: 'omit' });
+  assert.deepEqual(result.changes.map(change => change.key), ['ABC-1']);
+  assert.equal(result.shipped.failed, false);
+  assert.equal(result.shipped.checked, 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { parseRevert, applyReverts } = require('../lib/reverts');
+
+const shas = commits => commits.map(commit => commit.sha);
+
+test('parseRevert reads the reverted title and SHA', () => {
+  assert.deepEqual(parseRevert(makeCommit('b1', 'Revert "ABC-1 Add shop" (#12)\n\nThis reverts commit A1B2C3D4.')), {
+    title: 'ABC-1 Add shop',
+    sha: 'a1b2c3d4',
+  });
+  assert.deepEqual(parseRevert(makeCommit('b2', 'Revert "ABC-1 Add shop"')), { title: 'ABC-1 Add shop', sha: null });
+  assert.equal(parseRevert(makeCommit('b3', 'ABC-1 Revert the shop prices')), null);
+});
+
+test('a change reverted in the same release cancels out with its revert', () => {
+  const commits = [
+    makeCommit('aaa1111', 'ABC-1 Add shop'),
+    makeCommit('bbb2222', 'ABC-2 Fix login'),
+    makeCommit('ccc3333', 'Revert "ABC-1 Add shop"\n\nThis reverts commit aaa1111.'),
+  ];
+  const { commits: remaining, reverts, summary } = applyReverts(commits);
+  assert.deepEqual(shas(remaining), ['bbb2222']);
+  assert.equal(reverts.size, 0);
+  assert.deepEqual(summary, {
+    dropped: 2,
+    pairs: [{ original: 'aaa1111', revert: 'ccc3333', title: 'ABC-1 Add shop' }],
+    reverted: 0,
+  });
+});
+
+test('reverting a revert brings the original back', () => {
+  const commits = [
+    makeCommit('aaa1111', 'ABC-1 Add shop'),
+    makeCommit('bbb2222', 'Revert "ABC-1 Add shop"\n\nThis reverts commit aaa1111.'),
+    makeCommit('ccc3333', 'Revert "Revert "ABC-1 Add shop""\n\nThis reverts commit bbb2222.'),
+  ];
+  const { commits: remaining, summary } = applyReverts(commits);
+  assert.deepEqual(shas(remaining), ['aaa1111']);
+  assert.equal(summary.dropped, 2);
+});
+
+test('a title-only revert matches the latest commit with that title', () => {
+  const commits = [
+    makeCommit('aaa1111', 'ABC-1 Tweak prices'),
+    makeCommit('bbb2222', 'ABC-1 Tweak prices'),
+    makeCommit('ccc3333', 'Revert "ABC-1 Tweak prices"'),
+  ];
+  assert.deepEqual(shas(applyReverts(commits).commits), ['aaa1111']);
+});
+
+test('reverts of earlier releases are kept and reported', () => {
+  const commits = [makeCommit('ddd4444', 'Revert "ABC-9 Old feature"\n\nThis reverts commit 9999999.')];
+  const { commits: remaining, reverts, summary } = applyReverts(commits);
+  assert.deepEqual(shas(remaining), ['ddd4444']);
+  assert.deepEqual(reverts.get('ddd4444'), { title: 'ABC-9 Old feature', sha: '9999999' });
+  assert.equal(summary.reverted, 1);
+});
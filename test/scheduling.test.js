@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { createMemoryStore } = require('../lib/drafts');
+const {
+  zonedTimeToEpoch,
+  parsePostAt,
+  scheduleAnnouncementMessages,
+  listScheduledAnnouncements,
+  cancelScheduledAnnouncement,
+  rescheduleAnnouncement,
+  readScheduleState,
+} = require('../lib/scheduling');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z') / 1000;
+const iso = epoch => new Date(epoch * 1000).toISOString();
+
+// --- Helper function to mock Slack's scheduled message API ---
+function mockSlack() {
+  const scheduled = new Map();
+  let next = 0;
+  return {
+    scheduled,
+    chat: {
+      scheduleMessage: async message => {
+        const id = `Q${++next}`;
+        scheduled.set(id, message);
+        return { ok: true, scheduled_message_id: id };
+      },
+      deleteScheduledMessage: async ({ scheduled_message_id: id }) => {
+        if (!scheduled.delete(id)) {
+          throw Object.assign(new Error('invalid_scheduled_message_id'), { data: { error: 'invalid_scheduled_message_id' } });
+        }
+        return { ok: true };
+      },
+      scheduledMessages: {
+        list: async () => ({
+          scheduled_messages: [...scheduled].map(([id, message]) => ({ id, channel_id: message.channel, post_at: message.post_at, text: message.text })),
+        }),
+      },
+    },
+  };
+}
+
+test('zonedTimeToEpoch follows daylight saving time', () => {
+  // Amsterdam is on CEST (UTC+2) until 25 October 2026, then on CET (UTC+1)
+  assert.equal(zonedTimeToEpoch('2026-10-20', '09:30', 'Europe/Amsterdam'), 1792481400);
+  assert.equal(iso(zonedTimeToEpoch('2026-10-20', '09:30', 'Europe/Amsterdam')), '2026-10-20T07:30:00.000Z');
+  assert.equal(iso(zonedTimeToEpoch('2026-10-26', '09:30', 'Europe/Amsterdam')), '2026-10-26T08:30:00.000Z');
+  assert.equal(iso(zonedTimeToEpoch('2026-07-01', '09:30', 'America/New_York')), '2026-07-01T13:30:00.000Z');
+  assert.equal(iso(zonedTimeToEpoch('2026-12-01', '09:30', 'America/New_York')), '2026-12-01T14:30:00.000Z');
+  assert.equal(iso(zonedTimeToEpoch('2026-10-20', '09:30', 'Asia/Kolkata')), '2026-10-20T04:00:00.000Z');
+});
+
+test('zonedTimeToEpoch rejects dates and times that do not exist', () => {
+  assert.throws(() => zonedTimeToEpoch('2026-13-45', '10:00', 'UTC'), /Invalid date\/time: 2026-13-45 10:00 \(the month must be 01-12\)/);
+  assert.throws(() => zonedTimeToEpoch('2026-02-30', '10:00', 'UTC'), /2026-02-30 doesn't exist/);
+  assert.throws(() => zonedTimeToEpoch('2026-10-20', '24:00', 'UTC'), /the hour must be 00-23/);
+  assert.throws(() => zonedTimeToEpoch('20-10-2026', '10:00', 'UTC'), /use YYYY-MM-DD and HH:mm/);
+  assert.equal(iso(zonedTimeToEpoch('2028-02-29', '10:00', 'UTC')), '2028-02-29T10:00:00.000Z');
+});
+
+test('parsePostAt accepts timestamps, ISO 8601 and local times in the timezone', () => {
+  const options = { timeZone: 'Europe/Amsterdam', now: NOW };
+  assert.equal(parsePostAt('2026-10-20 09:30', options), 1792481400);
+  assert.equal(parsePostAt('2026-10-20T09:30', options), 1792481400);
+  assert.equal(parsePostAt('2026-10-20T07:30:00Z', options), 1792481400);
+  assert.equal(parsePostAt('2026-10-20T09:30:00+02:00', options), 1792481400);
+  assert.equal(parsePostAt(1792481400, options), 1792481400);
+});
+
+test('parsePostAt reads ISO 8601 times without an offset in the timezone, not the server\'s', () => {
+  const options = { timeZone: 'Europe/Amsterdam', now: NOW };
+  assert.equal(parsePostAt('2026-10-20T09:30:00', options), 1792481400);
+  assert.equal(parsePostAt('2026-10-20T09:30:15.500', options), 1792481415);
+  assert.equal(parsePostAt('2026-10-20 09:30:00', { timeZone: 'America/New_York', now: NOW }), 1792503000);
+});
+
+test('parsePostAt rejects a date without a time instead of reading it as UTC midnight', () => {
+  const parse = postAt => () => parsePostAt(postAt, { timeZone: 'Europe/Amsterdam', now: NOW });
+  assert.throws(parse('2026-10-20'), /^Error: Invalid postAt: 2026-10-20 has no time/);
+  assert.throws(parse('2026-10-20T09:30:75'), /the second must be 00-59/);
+  assert.throws(parse('October 20, 2026 10:00'), /use a Unix timestamp, an ISO 8601 time with an offset/);
+});
+
+test('parsePostAt rejects invalid, past and far-off times instead of rolling them over', () => {
+  const parse = postAt => () => parsePostAt(postAt, { timeZone: 'Europe/Amsterdam', now: NOW });
+  assert.throws(parse('2026-13-45 10:00'), /^Error: Invalid postAt: 2026-13-45 10:00 is not a valid date\/time \(the month must be 01-12\)$/);
+  assert.throws(parse('2026-02-30 10:00'), /2026-02-30 doesn't exist/);
+  assert.throws(parse('2026-10-20T25:00:00Z'), /the hour must be 00-23/);
+  assert.throws(parse('2026-10-20 09:60'), /the minute must be 00-59/);
+  assert.throws(parse('2026-10-18 10:00'), /is in the past/);
+  assert.throws(parse('2027-06-01 10:00'), /is more than 120 days ahead/);
+  assert.throws(parse('tomorrow'), /use a Unix timestamp/);
+  assert.throws(() => parsePostAt('2026-10-20 09:30', { timeZone: 'Mars/Olympus', now: NOW }), /Invalid timezone: Mars\/Olympus/);
+});
+
+test('readScheduleState reports problems against the modal field they belong to', () => {
+  const state = (date, time, timezone) => ({
+    schedule_date: { date: { selected_date: date } },
+    schedule_time: { time: { selected_time: time } },
+    schedule_timezone: { timezone: { value: timezone } },
+  });
+  assert.deepEqual(readScheduleState(state('2026-10-20', '09:30', 'Europe/Amsterdam'), NOW), { postAt: 1792481400, timeZone: 'Europe/Amsterdam' });
+  assert.deepEqual(readScheduleState(state('2026-10-20', '09:30', 'CEST'), NOW), { errors: { schedule_timezone: 'Unknown timezone "CEST"' } });
+  assert.deepEqual(readScheduleState(state('2026-02-30', '09:30', 'UTC'), NOW), { errors: { schedule_date: "Not a valid date/time (2026-02-30 doesn't exist)" } });
+  assert.deepEqual(readScheduleState(state('2026-10-19', '09:30', 'UTC'), NOW), { errors: { schedule_time: 'That time is in the past' } });
+});
+
+test('scheduled announcements can be listed, rescheduled and cancelled', async () => {
+  const client = mockSlack();
+  const store = createMemoryStore();
+  const announcement = { messages: [{ text: 'part 1' }, { text: 'part 2' }] };
+
+  const record = await scheduleAnnouncementMessages(client, 'C1', announcement, 1792481400, { releaseNumber: '67' }, {}, store);
+  assert.deepEqual(record.scheduledMessageIds, ['Q1', 'Q2']);
+  assert.deepEqual([...client.scheduled.values()].map(message => message.post_at), [1792481400, 1792481401]);
+
+  const [listed] = await listScheduledAnnouncements(client, {}, store);
+  assert.equal(listed.releaseNumber, '67');
+  assert.equal(listed.complete, true);
+
+  const moved = await rescheduleAnnouncement(client, { id: 'Q1', postAt: 1792485000 }, store);
+  assert.deepEqual(moved.scheduledMessageIds, ['Q3', 'Q4']);
+  assert.equal(moved.rescheduledFrom, 1792481400);
+  assert.deepEqual([...client.scheduled.keys()], ['Q3', 'Q4']);
+
+  await cancelScheduledAnnouncement(client, { id: 'Q3' }, store);
+  assert.equal(client.scheduled.size, 0);
+  assert.deepEqual(await listScheduledAnnouncements(client, {}, store), []);
+});
+
+test('messages scheduled without a record are not listed, moved or cancelled', async () => {
+  const client = mockSlack();
+  const store = createMemoryStore();
+  await client.chat.scheduleMessage({ channel: 'C1', post_at: 1792481400, text: 'Standup reminder' });
+  await scheduleAnnouncementMessages(client, 'C1', { messages: [{ text: 'part 1' }] }, 1792485000, { releaseNumber: '67' }, {}, store);
+
+  const listed = await listScheduledAnnouncements(client, {}, store);
+  assert.deepEqual(listed.map(announcement => announcement.id), ['Q2']);
+
+  await assert.rejects(cancelScheduledAnnouncement(client, { id: 'Q1' }, store), /was not scheduled by \/release/);
+  await assert.rejects(rescheduleAnnouncement(client, { id: 'Q1', postAt: 1792488600 }, store), /was not scheduled by \/release/);
+  assert.deepEqual([...client.scheduled.keys()], ['Q1', 'Q2']);
+});
+
+test('threaded announcements and failed schedules leave nothing scheduled', async () => {
+  const client = mockSlack();
+  const store = createMemoryStore();
+  await assert.rejects(
+    scheduleAnnouncementMessages(client, 'C1', { messages: [{ text: 'summary' }], replies: [{ text: 'list' }] }, 1792481400, {}, {}, store),
+    /Threaded announcements cannot be scheduled/
+  );
+
+  let calls = 0;
+  const scheduleMessage = client.chat.scheduleMessage;
+  client.chat.scheduleMessage = async message => {
+    if (++calls === 2) throw new Error('rate_limited');
+    return scheduleMessage(message);
+  };
+  await assert.rejects(
+    scheduleAnnouncementMessages(client, 'C1', { messages: [{ text: 'part 1' }, { text: 'part 2' }] }, 1792481400, {}, {}, store),
+    /rate_limited/
+  );
+  assert.equal(client.scheduled.size, 0);
+});
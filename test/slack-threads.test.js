@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANNOUNCEMENT_HEADER } = require('../lib/render');
+const { renderAnnouncementMetadata, findReleaseAnnouncement } = require('../lib/slack-threads');
+const { renderAnnouncementMessages } = require('../lib/blocks');
+
+// --- Helper function to mock a Slack client with a channel's history ---
+function mockSlack(messages) {
+  const calls = [];
+  return {
+    calls,
+    conversations: {
+      history: async params => {
+        calls.push(params);
+        return { messages };
+      },
+    },
+    chat: {
+      getPermalink: async ({ channel, message_ts: ts }) => ({ permalink: `https://acme.slack.com/archives/${channel}/p${ts.replace('.', '')}` }),
+    },
+  };
+}
+
+test('renderAnnouncementMetadata names the release and its ref', () => {
+  assert.deepEqual(renderAnnouncementMetadata('67', 'releases/67'), {
+    event_type: 'release_announced',
+    event_payload: { release: '67', ref: 'releases/67' },
+  });
+  assert.deepEqual(renderAnnouncementMetadata('2.1.0').event_payload, { release: '2.1.0' });
+});
+
+test('custom-template announcements carry the metadata on their first message', () => {
+  const { messages } = renderAnnouncementMessages('67', [], '*Release 67 is out!*', {
+    template: '*Release {{release}} is out!*',
+    branch: 'releases/67',
+    format: 'text',
+  });
+  assert.deepEqual(messages[0].metadata, renderAnnouncementMetadata('67', 'releases/67'));
+});
+
+test('findReleaseAnnouncement finds announcements by metadata, whatever their text', async () => {
+  const client = mockSlack([
+    { ts: '300.3', text: 'Unrelated chatter about v2.1.0' },
+    { ts: '200.2', text: '🎉 Custom template for our game', metadata: renderAnnouncementMetadata('v2.1.0', 'v2.1.0') },
+    { ts: '100.1', text: 'Older', metadata: renderAnnouncementMetadata('2.0.0', 'v2.0.0') },
+  ]);
+
+  const found = await findReleaseAnnouncement(client, 'C1', ['2.1.0', 'v2.1.0']);
+  assert.deepEqual(found, { channel: 'C1', ts: '200.2', permalink: 'https://acme.slack.com/archives/C1/p2002' });
+  assert.equal(client.calls[0].include_all_metadata, true);
+});
+
+test('findReleaseAnnouncement falls back to the header and ref of older announcements', async () => {
+  const client = mockSlack([
+    { ts: '200.2', text: 'Someone mentioned `releases/67` here' },
+    { ts: '100.1', text: `${ANNOUNCEMENT_HEADER}\nComparing \`releases/66\`...\`releases/67\`` },
+  ]);
+
+  assert.equal((await findReleaseAnnouncement(client, 'C1', ['releases/67'])).ts, '100.1');
+  assert.equal(await findReleaseAnnouncement(client, 'C1', ['releases/68']), null);
+});
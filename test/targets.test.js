@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const {
+  buildTargetFilter,
+  normalizeTarget,
+  getAnnouncementTargets,
+  resolveTargetChannels,
+  renderTargetsSummary,
+} = require('../lib/targets');
+
+const entries = [
+  { key: 'ABC-1', summary: 'Add shop', type: 'jira', category: 'features', repository: { name: 'client' } },
+  { key: 'ABC-2', summary: 'Fix login crash', type: 'jira', category: 'fixes', repository: { name: 'server' }, breaking: { reasons: ['label'] } },
+  { key: '12', summary: 'Bump internal tooling', type: 'github', category: 'chores', repository: { name: 'server' } },
+];
+const keys = list => list.map(entry => entry.key);
+
+test('target filters combine categories, repositories, types and patterns', () => {
+  assert.deepEqual(keys(buildTargetFilter({ categories: ['features', 'fixes'] })(entries)), ['ABC-1', 'ABC-2']);
+  assert.deepEqual(keys(buildTargetFilter({ excludeCategories: ['chores'], repositories: ['server'] })(entries)), ['ABC-2']);
+  assert.deepEqual(keys(buildTargetFilter({ types: ['github'] })(entries)), ['12']);
+  assert.deepEqual(keys(buildTargetFilter({ breakingOnly: true })(entries)), ['ABC-2']);
+  assert.deepEqual(keys(buildTargetFilter({ includePatterns: ['shop|LOGIN'], excludePatterns: ['crash'] })(entries)), ['ABC-1']);
+  assert.deepEqual(keys(buildTargetFilter({ maxChanges: 2 })(entries)), ['ABC-1', 'ABC-2']);
+  assert.deepEqual(keys(buildTargetFilter()(entries)), ['ABC-1', 'ABC-2', '12']);
+});
+
+test('buildTargetFilter rejects unknown rules and bad values', () => {
+  assert.throws(() => buildTargetFilter({ category: ['features'] }, '#cs'), /Invalid filter for #cs: unknown rule "category"/);
+  assert.throws(() => buildTargetFilter({ maxChanges: -1 }, '#cs'), /maxChanges must be a number of changes/);
+  assert.throws(() => buildTargetFilter({ includePatterns: ['(shop'] }, '#cs'), /Invalid filter for #cs: pattern \(shop/);
+  assert.throws(() => buildTargetFilter({ categories: 'fixes' }, '#cs'), /Invalid filter for #cs: categories must be a list of strings/);
+  assert.throws(() => buildTargetFilter({ types: { jira: true } }, '#cs'), /types must be a list of strings/);
+  assert.throws(() => buildTargetFilter({ repositories: [1] }, '#cs'), /repositories must be a list of strings/);
+  assert.throws(() => buildTargetFilter({ breakingOnly: 'yes' }, '#cs'), /breakingOnly must be true or false/);
+  assert.throws(() => buildTargetFilter('features', '#cs'), /Invalid filter for #cs: must be an object/);
+});
+
+test('normalizeTarget tells channel IDs from names', () => {
+  const byId = normalizeTarget('C0123456789');
+  assert.equal(byId.channel, 'C0123456789');
+  assert.equal(byId.channelName, null);
+
+  const byName = normalizeTarget({ channel: '#cs', threaded: true, format: 'text' });
+  assert.equal(byName.channel, null);
+  assert.equal(byName.channelName, 'cs');
+  assert.equal(byName.format, 'text');
+
+  assert.throws(() => normalizeTarget({ template: 'x' }), /a channel is required/);
+  assert.throws(() => normalizeTarget({ channel: 'C1', filters: {} }), /Invalid target C1: unknown field "filters"/);
+  assert.throws(() => normalizeTarget({ channel: 'C1', format: 'html' }), /Invalid announcement format: html/);
+});
+
+test('getAnnouncementTargets reads ANNOUNCEMENT_TARGETS for the channel /release runs in', t => {
+  t.after(() => delete process.env.ANNOUNCEMENT_TARGETS);
+  process.env.ANNOUNCEMENT_TARGETS = JSON.stringify({
+    releases: ['C0123456789', { channel: '#cs', filter: { categories: ['features'] } }],
+  });
+
+  assert.deepEqual(getAnnouncementTargets({ channelName: '#releases' }).map(target => target.label), ['C0123456789', '#cs']);
+  assert.deepEqual(getAnnouncementTargets({ channelName: 'random' }), []);
+  assert.throws(() => getAnnouncementTargets({ targets: { channel: 'C1' } }), /Invalid targets: must be a list of channels/);
+  assert.throws(() => getAnnouncementTargets({ targets: [{ channel: 'C1', template: { file: '.env' } }] }), /template files can only be configured/);
+});
+
+test('resolveTargetChannels looks up names and flags the ones it cannot find', async () => {
+  const client = {
+    conversations: {
+      list: async ({ cursor }) => (cursor
+        ? { channels: [{ name: 'cs', id: 'C0CS' }] }
+        : { channels: [{ name: 'eng', id: 'C0ENG' }], response_metadata: { next_cursor: 'page2' } }),
+    },
+  };
+  const targets = ['C0123456789', '#cs', '#leads'].map(normalizeTarget);
+
+  const resolved = await resolveTargetChannels(client, targets);
+  assert.deepEqual(resolved.map(target => [target.channel, target.error || null]), [
+    ['C0123456789', null],
+    ['C0CS', null],
+    [null, 'Channel not found: #leads'],
+  ]);
+});
+
+test('renderTargetsSummary counts what each channel gets', () => {
+  const targets = [
+    normalizeTarget('C0123456789'),
+    normalizeTarget({ channel: '#cs', filter: { categories: ['features'] }, template: 'x' }),
+    normalizeTarget({ channel: '#leads', filter: { categories: ['docs'] } }),
+  ];
+  assert.equal(renderTargetsSummary(targets, entries), [
+    '📣 *Will be posted to 3 channels:*',
+    '• <#C0123456789>: all 3 changes',
+    '• #cs: 1 of 3 changes · own template',
+    '• #leads: _nothing matches its filter, skipped_',
+  ].join('\n'));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { compileTemplate, getChannelTemplate, buildTemplateContext, renderReleaseMessage } = require('../lib/templates');
+
+const entries = [
+  { type: 'jira', key: 'ABC-1', summary: 'Add shop', url: 'https://jira.example.com/browse/ABC-1', commitAuthor: 'Sam' },
+  { type: 'github', key: '12', summary: 'Fix login', url: 'https://github.com/acme/game/pull/12', commitAuthor: 'Kim', breaking: { reasons: ['label'], migration: 'Log in again' } },
+];
+
+test('templates render loops, conditionals and helpers over the release', () => {
+  const template = compileTemplate([
+    '*Release {{releaseNumber}}*',
+    '{{#each changes}}',
+    '{{@number}}. {{summary}}{{#if breaking}} ⚠️ {{migration}}{{/if}}',
+    '{{else}}',
+    'Nothing this time',
+    '{{/each}}',
+    'By {{join authors " & "}}',
+  ].join('\n'));
+
+  assert.equal(template.render(buildTemplateContext('67', entries)), '*Release 67*\n1. Add shop\n2. Fix login ⚠️ Log in again\nBy Sam & Kim');
+  assert.equal(template.render(buildTemplateContext('67', [])), '*Release 67*\nNothing this time\nBy');
+});
+
+test('templates render partials, including the built-in change partial', () => {
+  const template = compileTemplate('{{#each changes}}{{> change this}}\n{{/each}}{{> footer}}', {
+    partials: { footer: '{{changeCount}} {{plural changeCount "change"}} in {{releaseNumber}}\n' },
+  });
+  assert.equal(
+    template.render(buildTemplateContext('67', entries.slice(0, 1))),
+    '• <https://jira.example.com/browse/ABC-1|Add shop>\n1 change in 67'
+  );
+});
+
+test('compileTemplate rejects broken templates with their name and line', () => {
+  const compile = source => () => compileTemplate(source, { name: 'for #eng' });
+  assert.throws(compile('{{releaseNumbr}}'), /^Error: Invalid template for #eng: unknown field "releaseNumbr" \(line 1\)$/);
+  assert.throws(compile('Changes:\n{{#each changes}}\n{{/if}}'), /{{\/if}} closes {{#each}} from line 2 \(line 3\)/);
+  assert.throws(compile('{{> footer}}'), /unknown partial "footer"/);
+  assert.throws(compile('{{#loop changes}}{{/loop}}'), /unknown block {{#loop changes}}/);
+  assert.throws(compile('{{shout releaseNumber}}'), /unknown helper "shout"/);
+  assert.throws(compile('  '), /the template is empty/);
+});
+
+test('getChannelTemplate picks the channel template, then the default', t => {
+  t.after(() => delete process.env.ANNOUNCEMENT_TEMPLATES);
+  process.env.ANNOUNCEMENT_TEMPLATES = JSON.stringify({
+    economy: 'Economy {{releaseNumber}}',
+    default: 'Release {{releaseNumber}}',
+  });
+
+  assert.equal(getChannelTemplate({ channelId: 'C1', channelName: '#economy' }).render({ releaseNumber: '67' }), 'Economy 67');
+  assert.equal(getChannelTemplate({ channelId: 'C2', channelName: 'general' }).name, 'for the default channel');
+  assert.equal(getChannelTemplate({ template: 'Hi {{releaseNumber}}' }).render({ releaseNumber: '67' }), 'Hi 67');
+
+  delete process.env.ANNOUNCEMENT_TEMPLATES;
+  assert.equal(getChannelTemplate({ channelId: 'C1' }), null);
+});
+
+test('renderReleaseMessage falls back to the default announcement without a template', () => {
+  const text = renderReleaseMessage('67', entries.slice(0, 1), {});
+  assert.match(text, /Deploying to prod/);
+  assert.match(text, /ABC-1/);
+});
+
+test('getChannelTemplate reads template files only from the configuration', t => {
+  t.after(() => delete process.env.ANNOUNCEMENT_TEMPLATES);
+  process.env.ANNOUNCEMENT_TEMPLATES = JSON.stringify({ default: { file: 'examples/templates/compact.md' } });
+
+  assert.ok(getChannelTemplate({ channelId: 'C1' }));
+  assert.throws(() => getChannelTemplate({ template: { file: 'package.json' } }), /Invalid template from the request: template files can only be configured/);
+  assert.ok(getChannelTemplate({ template: { file: 'examples/templates/compact.md' }, allowFiles: true }));
+});